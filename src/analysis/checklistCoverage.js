@@ -0,0 +1,67 @@
+// src/analysis/checklistCoverage.js
+// Turn the model's checklist coverage reply into one coverage entry per
+// pre-call plan question, in checklist order.
+
+const { COVERAGE_STATUSES } = require('../schemas/checklistCoverage');
+
+const MAX_EXCERPT_CHARS = 300;
+
+/**
+ * The checklist questions as sent to the model: [{ id, question }].
+ */
+function checklistForPrompt(checklist) {
+  return (checklist || [])
+    .filter((item) => item && typeof item.id === 'string' && typeof item.question === 'string')
+    .map((item) => ({ id: item.id, question: item.question }));
+}
+
+/**
+ * Merge model results into the checklist. Questions the model skipped are
+ * recorded as missed with no confidence; results for unknown ids are dropped.
+ * Entries: { id, question, status, asked, excerpt, confidence }, where
+ * `asked` keeps the shape of hand-ticked coverage.
+ */
+function mergeCoverage(checklist, results) {
+  const byId = new Map();
+  for (const result of results || []) {
+    if (result && typeof result.id === 'string' && !byId.has(result.id)) {
+      byId.set(result.id, result);
+    }
+  }
+
+  return checklistForPrompt(checklist).map(({ id, question }) => {
+    const result = byId.get(id);
+    const status = result && COVERAGE_STATUSES.includes(result.status) ? result.status : 'missed';
+    const excerpt =
+      status !== 'missed' && result && typeof result.excerpt === 'string' && result.excerpt.trim()
+        ? result.excerpt.trim().slice(0, MAX_EXCERPT_CHARS)
+        : null;
+    const confidence =
+      result && typeof result.confidence === 'number' && Number.isFinite(result.confidence)
+        ? Math.min(1, Math.max(0, result.confidence))
+        : null;
+
+    return { id, question, status, asked: status === 'asked', excerpt, confidence };
+  });
+}
+
+/**
+ * Status of a coverage entry. Hand-ticked entries have only `asked`.
+ */
+function coverageStatus(entry) {
+  return entry.status || (entry.asked ? 'asked' : 'missed');
+}
+
+/**
+ * Split coverage entries by status.
+ */
+function groupCoverage(coverage) {
+  const entries = (coverage || []).filter(Boolean);
+  return {
+    askedQuestions: entries.filter((entry) => coverageStatus(entry) === 'asked'),
+    partiallyAskedQuestions: entries.filter((entry) => coverageStatus(entry) === 'partial'),
+    missedQuestions: entries.filter((entry) => coverageStatus(entry) === 'missed'),
+  };
+}
+
+module.exports = { checklistForPrompt, mergeCoverage, coverageStatus, groupCoverage };
@@ -0,0 +1,178 @@
+// src/analysis/scorecard.js
+// Rubric for the per-call discovery-quality scorecard and helpers that turn
+// the model's 1-5 scores into a weighted total.
+// Override or extend the rubric with SCORECARD_RUBRIC_JSON, keyed by
+// criterion id, e.g. {"objectionHandling":{"weight":0},"rapport":{"label":"Rapport","weight":0.1,"guide":"..."}}
+// A weight of 0 drops a criterion.
+
+const logger = require('../logger');
+const { SCORECARD_SCORES } = require('../schemas/callScorecard');
+const { coverageStatus } = require('./checklistCoverage');
+
+const DEFAULT_SCORECARD_RUBRIC = [
+  {
+    id: 'listening',
+    label: 'Listening ratio',
+    weight: 0.2,
+    guide:
+      'How much of the call the client talked. 5: the client talked most of the call and Zax let answers run; 3: roughly even; 1: Zax monologued or pitched over the client.',
+  },
+  {
+    id: 'questionDepth',
+    label: 'Question depth',
+    weight: 0.25,
+    guide:
+      'Whether questions were open and followed up. 5: open questions with follow-ups that uncovered cause, cost and impact; 3: open questions but answers taken at face value; 1: closed or leading questions only.',
+  },
+  {
+    id: 'checklistCoverage',
+    label: 'Checklist coverage',
+    weight: 0.2,
+    guide:
+      'How much of the pre-call question checklist was covered. 5: 90% or more; 4: 70% or more; 3: 50% or more; 2: 25% or more; 1: less. Without a checklist, judge coverage of process, pain, budget, decision process and timeline.',
+  },
+  {
+    id: 'nextStepClarity',
+    label: 'Next-step clarity',
+    weight: 0.2,
+    guide:
+      'Whether the call ended with a concrete, agreed next step. 5: a dated next step with owners on both sides; 3: a next step without a date or owner; 1: no next step.',
+  },
+  {
+    id: 'objectionHandling',
+    label: 'Objection handling',
+    weight: 0.15,
+    guide:
+      'How concerns and objections were handled. 5: surfaced, explored and answered; 3: acknowledged but not resolved; 1: ignored or argued with. When none came up, score whether Zax tested for concerns.',
+  },
+];
+
+// Minimum checklist coverage percentage for each score, best first
+const COVERAGE_SCORE_THRESHOLDS = [
+  [5, 90],
+  [4, 70],
+  [3, 50],
+  [2, 25],
+  [1, 0],
+];
+
+function loadScorecardRubric() {
+  const raw = process.env.SCORECARD_RUBRIC_JSON;
+  if (!raw) {
+    return DEFAULT_SCORECARD_RUBRIC;
+  }
+
+  try {
+    const overrides = JSON.parse(raw);
+    const byId = new Map(DEFAULT_SCORECARD_RUBRIC.map((criterion) => [criterion.id, criterion]));
+    for (const [id, override] of Object.entries(overrides)) {
+      byId.set(id, { ...byId.get(id), ...override, id });
+    }
+
+    const rubric = Array.from(byId.values());
+    for (const criterion of rubric) {
+      if (
+        typeof criterion.label !== 'string' ||
+        typeof criterion.guide !== 'string' ||
+        typeof criterion.weight !== 'number' ||
+        !(criterion.weight >= 0)
+      ) {
+        throw new Error(`Criterion "${criterion.id}" needs a label, a guide and a weight >= 0`);
+      }
+    }
+    return rubric.filter((criterion) => criterion.weight > 0);
+  } catch (err) {
+    logger.warn({ err }, 'Ignoring invalid SCORECARD_RUBRIC_JSON');
+    return DEFAULT_SCORECARD_RUBRIC;
+  }
+}
+
+const SCORECARD_RUBRIC = loadScorecardRubric();
+
+/**
+ * The rubric as sent to the model: [{ id, label, guide }].
+ */
+function rubricForPrompt(rubric) {
+  return rubric.map(({ id, label, guide }) => ({ id, label, guide }));
+}
+
+/**
+ * Share of checklist questions covered, 0-100, partially covered questions
+ * counting half; null without coverage.
+ */
+function coveragePercent(coverage) {
+  const entries = (coverage || []).filter(Boolean);
+  if (entries.length === 0) {
+    return null;
+  }
+  const covered = entries.reduce((sum, entry) => {
+    const status = coverageStatus(entry);
+    return sum + (status === 'asked' ? 1 : status === 'partial' ? 0.5 : 0);
+  }, 0);
+  return Math.round((covered / entries.length) * 100);
+}
+
+function scoreForCoveragePercent(percent) {
+  return COVERAGE_SCORE_THRESHOLDS.find(([, minimum]) => percent >= minimum)[0];
+}
+
+/**
+ * Merge model scores into the rubric: [{ id, label, weight, score,
+ * justification }]. Criteria the model skipped get a null score. With a
+ * known coverage percentage the checklistCoverage score comes from it
+ * rather than from the model, so it always matches the stored coverage.
+ */
+function mergeScores(rubric, results, { coveragePercent: percent = null } = {}) {
+  const byId = new Map();
+  for (const result of results || []) {
+    if (result && typeof result.id === 'string' && !byId.has(result.id)) {
+      byId.set(result.id, result);
+    }
+  }
+
+  return rubric.map(({ id, label, weight }) => {
+    if (id === 'checklistCoverage' && percent != null) {
+      return {
+        id,
+        label,
+        weight,
+        score: scoreForCoveragePercent(percent),
+        justification: `${percent}% of the pre-call checklist was covered (partially covered questions count half).`,
+      };
+    }
+
+    const result = byId.get(id);
+    const valid = result && SCORECARD_SCORES.includes(result.score);
+    return {
+      id,
+      label,
+      weight,
+      score: valid ? result.score : null,
+      justification:
+        valid && typeof result.justification === 'string' ? result.justification.trim() : null,
+    };
+  });
+}
+
+/**
+ * Weighted average of the scored criteria on the same 1-5 scale, rounded to
+ * two decimals; null when nothing was scored.
+ */
+function weightedTotal(scores) {
+  const scored = scores.filter((entry) => entry.score != null);
+  const totalWeight = scored.reduce((sum, entry) => sum + entry.weight, 0);
+  if (!totalWeight) {
+    return null;
+  }
+  const total = scored.reduce((sum, entry) => sum + entry.score * entry.weight, 0) / totalWeight;
+  return Math.round(total * 100) / 100;
+}
+
+module.exports = {
+  DEFAULT_SCORECARD_RUBRIC,
+  SCORECARD_RUBRIC,
+  rubricForPrompt,
+  coveragePercent,
+  mergeScores,
+  weightedTotal,
+};
@@ -0,0 +1,113 @@
+// src/analysis/transcriptBudget.js
+// Keep transcripts within a model's context budget without dropping content:
+// over-budget transcripts are split into sections, each section is condensed
+// into notes (map), and the ordered notes replace the transcript (reduce input).
+
+const { mapWithConcurrency } = require('../utils/concurrency');
+
+// Rough estimate for English text; good enough for budgeting
+const CHARS_PER_TOKEN = 4;
+
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Split text into sections of at most `maxTokens`, breaking on line
+ * boundaries (timestamped transcripts) or sentence ends (plain text).
+ */
+function splitIntoSections(text, maxTokens) {
+  const maxChars = Math.max(1, maxTokens * CHARS_PER_TOKEN);
+  const byLine = text.includes('\n');
+  const separator = byLine ? '\n' : ' ';
+  const units = byLine ? text.split('\n') : text.split(/(?<=[.!?])\s+/);
+
+  const sections = [];
+  let current = [];
+  let currentLength = 0;
+
+  const flush = () => {
+    if (current.length > 0) {
+      sections.push(current.join(separator));
+      current = [];
+      currentLength = 0;
+    }
+  };
+
+  for (let unit of units) {
+    // A single line longer than a section gets hard-split
+    while (unit.length > maxChars) {
+      flush();
+      sections.push(unit.slice(0, maxChars));
+      unit = unit.slice(maxChars);
+    }
+
+    if (currentLength + unit.length + separator.length > maxChars) {
+      flush();
+    }
+
+    current.push(unit);
+    currentLength += unit.length + separator.length;
+  }
+
+  flush();
+  return sections.filter((section) => section.trim().length > 0);
+}
+
+/**
+ * Return transcript text that fits `budgetTokens`.
+ *
+ * options = {
+ *   budgetTokens, sectionTokens, concurrency?,
+ *   cachedNotes?: { sectionTokens, notes } from a previous run,
+ *   summarizeSection: async (sectionText, index, total) => notesText,
+ * }
+ *
+ * Returns { text, condensed, sectionNotes, fromCache }.
+ */
+async function fitTranscriptToBudget(text, options) {
+  const {
+    budgetTokens,
+    sectionTokens,
+    concurrency = 3,
+    cachedNotes = null,
+    summarizeSection,
+  } = options;
+
+  if (estimateTokens(text) <= budgetTokens) {
+    return { text, condensed: false, sectionNotes: null, fromCache: false };
+  }
+
+  const canReuse =
+    cachedNotes &&
+    cachedNotes.sectionTokens === sectionTokens &&
+    Array.isArray(cachedNotes.notes) &&
+    cachedNotes.notes.length > 0;
+
+  let notes;
+  if (canReuse) {
+    notes = cachedNotes.notes;
+  } else {
+    const sections = splitIntoSections(text, sectionTokens);
+    notes = await mapWithConcurrency(sections, concurrency, (section, index) =>
+      summarizeSection(section, index, sections.length)
+    );
+  }
+
+  const condensedText = notes
+    .map((note, index) => `### Section ${index + 1} of ${notes.length}\n${String(note).trim()}`)
+    .join('\n\n');
+
+  return {
+    text: condensedText,
+    condensed: true,
+    sectionNotes: { sectionTokens, notes },
+    fromCache: Boolean(canReuse),
+  };
+}
+
+module.exports = {
+  estimateTokens,
+  splitIntoSections,
+  fitTranscriptToBudget,
+};
@@ -0,0 +1,231 @@
+// src/analytics/coaching.js
+// Roll post-call coaching up across calls: goal achievement over time,
+// which checklist categories get missed, and recurring improvement themes.
+
+const { coverageStatus } = require('../analysis/checklistCoverage');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Periods are UTC; a week is named by its Monday
+const COACHING_PERIODS = {
+  week: (createdAt) => {
+    const date = new Date(createdAt);
+    const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+    return new Date(date.getTime() - daysSinceMonday * DAY_MS).toISOString().slice(0, 10);
+  },
+  month: (createdAt) => createdAt.slice(0, 7),
+};
+
+// Improvement areas are free text; these patterns group them into themes.
+// An area can belong to several themes; areas matching none count as "other".
+const IMPROVEMENT_THEMES = [
+  { theme: 'budget', label: 'Budget and pricing', pattern: /budget|pricing|spend|funding/i },
+  {
+    theme: 'decision-process',
+    label: 'Decision makers and buying process',
+    pattern: /decision|sign[- ]?off|approv|stakeholder|buying process|authority|champion/i,
+  },
+  {
+    theme: 'pain-quantification',
+    label: 'Quantifying pain and impact',
+    pattern: /quantif|impact|\broi\b|metric|cost of|how much/i,
+  },
+  { theme: 'timeline', label: 'Timeline and urgency', pattern: /timeline|time ?frame|deadline|urgen/i },
+  {
+    theme: 'next-steps',
+    label: 'Next steps and commitments',
+    pattern: /next step|commit|close the call|book(ed|ing)? (a|the)|calendar/i,
+  },
+  {
+    theme: 'questioning',
+    label: 'Questioning depth',
+    pattern: /open[- ]ended|follow[- ]up question|dig(ging)? deeper|probe|probing|leading question/i,
+  },
+  {
+    theme: 'listening',
+    label: 'Listening and talk time',
+    pattern: /listen|talk(ed|ing)? (too much|over)|interrupt|monolog|pitch(ed|ing)? too (early|soon)/i,
+  },
+  { theme: 'competition', label: 'Competition and alternatives', pattern: /competit|alternative|incumbent/i },
+];
+
+const MAX_THEME_EXAMPLES = 3;
+
+/**
+ * true, false or 'partial' from the model's goalAchieved, which may be a
+ * boolean or free text ("partially", "Yes - ..."); null when unclear.
+ */
+function normalizeGoalAchieved(value) {
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  const text = typeof value === 'string' ? value.trim().toLowerCase() : '';
+  if (/^partial|^somewhat|^mostly/.test(text)) {
+    return 'partial';
+  }
+  if (/^(yes|true|achieved|met)\b/.test(text)) {
+    return true;
+  }
+  if (/^(no|false|not)\b/.test(text)) {
+    return false;
+  }
+  return null;
+}
+
+function emptyGoalCounts() {
+  return { calls: 0, achieved: 0, partial: 0, notAchieved: 0, unknown: 0, achievementRate: null };
+}
+
+function countGoal(counts, achieved) {
+  counts.calls += 1;
+  if (achieved === true) {
+    counts.achieved += 1;
+  } else if (achieved === 'partial') {
+    counts.partial += 1;
+  } else if (achieved === false) {
+    counts.notAchieved += 1;
+  } else {
+    counts.unknown += 1;
+  }
+}
+
+// Share of calls with a known outcome where the goal was met; a partial
+// outcome counts half
+function withRate(counts) {
+  const known = counts.achieved + counts.partial + counts.notAchieved;
+  return {
+    ...counts,
+    achievementRate: known
+      ? Math.round(((counts.achieved + counts.partial / 2) / known) * 1000) / 1000
+      : null,
+  };
+}
+
+function countBy(values, keys) {
+  const counts = Object.fromEntries(keys.map((key) => [key, 0]));
+  for (const value of values) {
+    if (Object.prototype.hasOwnProperty.call(counts, value)) {
+      counts[value] += 1;
+    } else {
+      counts.unknown = (counts.unknown || 0) + 1;
+    }
+  }
+  return counts;
+}
+
+function summarizeMissedCategories(calls) {
+  const byCategory = new Map();
+
+  for (const call of calls) {
+    const categories = new Map(
+      (call.checklist || [])
+        .filter((item) => item && item.id)
+        .map((item) => [item.id, item.category || 'uncategorised'])
+    );
+
+    for (const entry of call.coverage || []) {
+      if (!entry || !categories.has(entry.id)) {
+        continue;
+      }
+      const category = categories.get(entry.id);
+      if (!byCategory.has(category)) {
+        byCategory.set(category, { category, questions: 0, asked: 0, partial: 0, missed: 0 });
+      }
+      const counts = byCategory.get(category);
+      counts.questions += 1;
+      counts[coverageStatus(entry)] += 1;
+    }
+  }
+
+  return Array.from(byCategory.values())
+    .map((counts) => ({
+      ...counts,
+      missRate: Math.round(((counts.missed + counts.partial / 2) / counts.questions) * 1000) / 1000,
+    }))
+    .sort((a, b) => b.missed - a.missed || b.missRate - a.missRate || a.category.localeCompare(b.category));
+}
+
+function summarizeImprovementThemes(calls) {
+  const byTheme = new Map();
+  const add = (theme, label, area) => {
+    if (!byTheme.has(theme)) {
+      byTheme.set(theme, { theme, label, calls: new Set(), mentions: 0, examples: [] });
+    }
+    const entry = byTheme.get(theme);
+    entry.mentions += 1;
+    if (entry.examples.length < MAX_THEME_EXAMPLES && !entry.examples.includes(area)) {
+      entry.examples.push(area);
+    }
+    return entry;
+  };
+
+  for (const call of calls) {
+    const areas = call.coaching && Array.isArray(call.coaching.improvementAreas)
+      ? call.coaching.improvementAreas
+      : [];
+
+    for (const rawArea of areas) {
+      const area = typeof rawArea === 'string' ? rawArea.trim() : '';
+      if (!area) {
+        continue;
+      }
+      const themes = IMPROVEMENT_THEMES.filter(({ pattern }) => pattern.test(area));
+      for (const { theme, label } of themes.length ? themes : [{ theme: 'other', label: 'Other' }]) {
+        add(theme, label, area).calls.add(call.jobId);
+      }
+    }
+  }
+
+  return Array.from(byTheme.values())
+    .map((entry) => ({ ...entry, calls: entry.calls.size }))
+    .sort((a, b) => b.calls - a.calls || b.mentions - a.mentions || a.theme.localeCompare(b.theme));
+}
+
+/**
+ * Aggregate one coaching record per call.
+ *
+ * calls = [{ jobId, callCreatedAt, coaching, coverage?, checklist? }] where
+ * `coverage` is the call's checklist coverage entries and `checklist` the
+ * linked plan's questionChecklist (for categories).
+ */
+function summarizeCoaching(calls, { period = 'month' } = {}) {
+  const bucketOf = COACHING_PERIODS[period];
+  const goal = emptyGoalCounts();
+  const buckets = new Map();
+
+  for (const call of calls) {
+    const achieved = normalizeGoalAchieved(call.coaching && call.coaching.goalAchieved);
+    countGoal(goal, achieved);
+
+    const key = bucketOf(call.callCreatedAt);
+    if (!buckets.has(key)) {
+      buckets.set(key, { goal: emptyGoalCounts(), calls: [] });
+    }
+    countGoal(buckets.get(key).goal, achieved);
+    buckets.get(key).calls.push(call);
+  }
+
+  const riskOf = (call) => call.coaching && call.coaching.riskLevel;
+  const sizeOf = (call) => call.coaching && call.coaching.opportunitySize;
+
+  return {
+    calls: calls.length,
+    goalAchievement: withRate(goal),
+    riskLevels: countBy(calls.map(riskOf), ['low', 'medium', 'high']),
+    opportunitySizes: countBy(calls.map(sizeOf), ['small', 'medium', 'large']),
+    periods: Array.from(buckets.keys())
+      .sort()
+      .map((key) => {
+        const bucket = buckets.get(key);
+        return {
+          period: key,
+          ...withRate(bucket.goal),
+          riskLevels: countBy(bucket.calls.map(riskOf), ['low', 'medium', 'high']),
+        };
+      }),
+    missedCategories: summarizeMissedCategories(calls),
+    improvementThemes: summarizeImprovementThemes(calls),
+  };
+}
+
+module.exports = { COACHING_PERIODS, normalizeGoalAchieved, summarizeCoaching };
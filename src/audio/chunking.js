@@ -0,0 +1,170 @@
+// src/audio/chunking.js
+// Split long recordings into time-bounded chunks (via ffmpeg) and stitch the
+// per-chunk Whisper output back into a single transcript.
+
+const path = require('path');
+const { execFile } = require('child_process');
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe';
+// A stuck ffmpeg/ffprobe run is killed after this long and fails the job
+const FFMPEG_TIMEOUT_MS = Number(process.env.FFMPEG_TIMEOUT_MS || 10 * 60 * 1000);
+
+function run(command, args, { signal } = {}) {
+  const name = path.basename(command);
+  return new Promise((resolve, reject) => {
+    execFile(
+      command,
+      args,
+      { maxBuffer: 10 * 1024 * 1024, signal, timeout: FFMPEG_TIMEOUT_MS, killSignal: 'SIGKILL' },
+      (err, stdout, stderr) => {
+        if (err) {
+          if (err.name === 'AbortError') {
+            reject(err);
+            return;
+          }
+          if (err.code === 'ENOENT') {
+            const error = new Error(
+              `${name} not found (${command}); it is needed to split recordings too large for one transcription request. Install ffmpeg or set FFMPEG_PATH/FFPROBE_PATH.`
+            );
+            error.code = 'FFMPEG_NOT_FOUND';
+            reject(error);
+            return;
+          }
+          if (err.killed) {
+            const error = new Error(`${name} did not finish within ${FFMPEG_TIMEOUT_MS} ms`);
+            error.code = 'FFMPEG_TIMEOUT';
+            reject(error);
+            return;
+          }
+          const error = new Error(`${name} failed: ${String(stderr || err.message).trim()}`);
+          error.original = err;
+          reject(error);
+          return;
+        }
+        resolve(stdout);
+      }
+    );
+  });
+}
+
+async function probeDurationSeconds(filePath, { signal } = {}) {
+  const stdout = await run(FFPROBE_PATH, [
+    '-v',
+    'error',
+    '-show_entries',
+    'format=duration',
+    '-of',
+    'default=noprint_wrappers=1:nokey=1',
+    filePath,
+  ], { signal });
+
+  const duration = Number.parseFloat(String(stdout).trim());
+  if (!Number.isFinite(duration) || duration <= 0) {
+    throw new Error('Could not determine recording duration');
+  }
+  return duration;
+}
+
+/**
+ * Cut a recording into consecutive chunks of at most `chunkSeconds`.
+ * Chunks are re-encoded to 16 kHz mono MP3, which keeps a 10 minute chunk
+ * around 5 MB - well under the Whisper upload limit.
+ *
+ * Returns [{ index, path, startSeconds, endSeconds }]. `signal` stops ffmpeg.
+ */
+async function splitAudioIntoChunks(filePath, { chunkSeconds, outDir, signal }) {
+  const duration = await probeDurationSeconds(filePath, { signal });
+  const chunkCount = Math.max(1, Math.ceil(duration / chunkSeconds));
+  const chunks = [];
+
+  for (let index = 0; index < chunkCount; index += 1) {
+    const startSeconds = index * chunkSeconds;
+    const endSeconds = Math.min(duration, startSeconds + chunkSeconds);
+    const chunkPath = path.join(outDir, `chunk-${String(index).padStart(3, '0')}.mp3`);
+
+    await run(FFMPEG_PATH, [
+      '-v',
+      'error',
+      '-y',
+      '-ss',
+      String(startSeconds),
+      '-t',
+      String(endSeconds - startSeconds),
+      '-i',
+      filePath,
+      '-vn',
+      '-ac',
+      '1',
+      '-ar',
+      '16000',
+      '-c:a',
+      'libmp3lame',
+      '-b:a',
+      '64k',
+      chunkPath,
+    ], { signal });
+
+    chunks.push({ index, path: chunkPath, startSeconds, endSeconds });
+  }
+
+  return chunks;
+}
+
+/**
+ * Merge per-chunk verbose_json transcriptions into one transcript.
+ * results = [{ startSeconds, transcription }] in any order; segment times are
+ * shifted by each chunk's start offset so they are relative to the full call.
+ */
+function stitchChunkTranscripts(results) {
+  const ordered = results.slice().sort((a, b) => a.startSeconds - b.startSeconds);
+
+  const texts = [];
+  const segments = [];
+  let language = null;
+  let durationSeconds = 0;
+
+  for (const { startSeconds, transcription } of ordered) {
+    const text =
+      transcription && typeof transcription.text === 'string'
+        ? transcription.text.trim()
+        : '';
+    if (text) {
+      texts.push(text);
+    }
+
+    if (!language && transcription && typeof transcription.language === 'string') {
+      language = transcription.language;
+    }
+
+    const chunkSegments =
+      transcription && Array.isArray(transcription.segments) ? transcription.segments : [];
+    for (const segment of chunkSegments) {
+      segments.push({
+        id: segments.length,
+        start: startSeconds + (Number(segment.start) || 0),
+        end: startSeconds + (Number(segment.end) || 0),
+        text: typeof segment.text === 'string' ? segment.text.trim() : '',
+      });
+    }
+
+    const chunkDuration =
+      transcription && typeof transcription.duration === 'number'
+        ? transcription.duration
+        : 0;
+    durationSeconds = Math.max(durationSeconds, startSeconds + chunkDuration);
+  }
+
+  return {
+    text: texts.join(' '),
+    language,
+    durationSeconds: durationSeconds || null,
+    segments,
+  };
+}
+
+module.exports = {
+  probeDurationSeconds,
+  splitAudioIntoChunks,
+  stitchChunkTranscripts,
+};
@@ -0,0 +1,493 @@
+// src/audio/probe.js
+// Magic-byte sniffing and a lightweight header probe for uploaded recordings.
+// Only container headers are read (plus the tail of Ogg files and the MP4
+// `moov` atom), so this works without ffmpeg and stays cheap for big files.
+
+const fs = require('fs');
+
+// Containers Whisper accepts, keyed by the name stored on the job
+const AUDIO_CONTAINERS = {
+  wav: { ext: '.wav', mime: 'audio/wav' },
+  mp3: { ext: '.mp3', mime: 'audio/mpeg' },
+  flac: { ext: '.flac', mime: 'audio/flac' },
+  ogg: { ext: '.ogg', mime: 'audio/ogg' },
+  webm: { ext: '.webm', mime: 'audio/webm' },
+  m4a: { ext: '.m4a', mime: 'audio/mp4' },
+  mp4: { ext: '.mp4', mime: 'video/mp4' },
+};
+
+const HEADER_BYTES = 64 * 1024;
+const MAX_MOOV_BYTES = 32 * 1024 * 1024;
+
+const MP3_BITRATES_V1 = [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320];
+const MP3_BITRATES_V2 = [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160];
+// Keyed by the MPEG version bits: 3 = MPEG-1, 2 = MPEG-2, 0 = MPEG-2.5
+const MP3_SAMPLE_RATES = {
+  3: [44100, 48000, 32000],
+  2: [22050, 24000, 16000],
+  0: [11025, 12000, 8000],
+};
+
+function readAt(fd, position, length) {
+  const buffer = Buffer.alloc(length);
+  const bytesRead = fs.readSync(fd, buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+function ascii(buffer, start, end) {
+  return buffer.length >= end ? buffer.toString('latin1', start, end) : '';
+}
+
+/**
+ * Parse an MPEG audio Layer III frame header at `offset`, or return null.
+ */
+function parseMp3FrameHeader(buffer, offset) {
+  if (offset + 4 > buffer.length) {
+    return null;
+  }
+
+  const b1 = buffer[offset + 1];
+  const b2 = buffer[offset + 2];
+  const b3 = buffer[offset + 3];
+  if (buffer[offset] !== 0xff || (b1 & 0xe0) !== 0xe0) {
+    return null;
+  }
+
+  const versionBits = (b1 >> 3) & 0x03;
+  const layerBits = (b1 >> 1) & 0x03;
+  const bitrateIndex = b2 >> 4;
+  const sampleRateIndex = (b2 >> 2) & 0x03;
+  if (versionBits === 1 || layerBits !== 1) {
+    return null;
+  }
+  if (bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+    return null;
+  }
+
+  const bitrate = (versionBits === 3 ? MP3_BITRATES_V1 : MP3_BITRATES_V2)[bitrateIndex] * 1000;
+  const sampleRate = MP3_SAMPLE_RATES[versionBits][sampleRateIndex];
+  const samplesPerFrame = versionBits === 3 ? 1152 : 576;
+  const padding = (b2 >> 1) & 0x01;
+
+  return {
+    versionBits,
+    bitrate,
+    sampleRate,
+    channels: b3 >> 6 === 3 ? 1 : 2,
+    samplesPerFrame,
+    frameLength: Math.floor(((samplesPerFrame / 8) * bitrate) / sampleRate) + padding,
+  };
+}
+
+function id3v2Length(header) {
+  if (ascii(header, 0, 3) !== 'ID3' || header.length < 10) {
+    return 0;
+  }
+  const size =
+    ((header[6] & 0x7f) << 21) |
+    ((header[7] & 0x7f) << 14) |
+    ((header[8] & 0x7f) << 7) |
+    (header[9] & 0x7f);
+  const hasFooter = (header[5] & 0x10) !== 0;
+  return 10 + size + (hasFooter ? 10 : 0);
+}
+
+/**
+ * First MP3 frame at or shortly after `start`. A frame counts only when the
+ * next frame header follows it (or the buffer ends first), which keeps
+ * random 0xFF bytes in other files from passing as MP3.
+ */
+function findMp3Frame(buffer, start) {
+  const limit = Math.min(buffer.length - 4, start + 4096);
+  for (let offset = start; offset <= limit; offset += 1) {
+    const frame = parseMp3FrameHeader(buffer, offset);
+    if (!frame) {
+      continue;
+    }
+    const next = offset + frame.frameLength;
+    if (next + 4 > buffer.length || parseMp3FrameHeader(buffer, next)) {
+      return { offset, frame };
+    }
+  }
+  return null;
+}
+
+/**
+ * Identify the container from the first bytes of a file.
+ * Returns a key of AUDIO_CONTAINERS, or null for anything else.
+ */
+function sniffContainer(header) {
+  if (ascii(header, 0, 4) === 'RIFF' && ascii(header, 8, 12) === 'WAVE') {
+    return 'wav';
+  }
+  if (ascii(header, 0, 4) === 'fLaC') {
+    return 'flac';
+  }
+  if (ascii(header, 0, 4) === 'OggS') {
+    return 'ogg';
+  }
+  if (header.length >= 4 && header.readUInt32BE(0) === 0x1a45dfa3) {
+    // EBML; only the WebM flavour of Matroska is accepted by Whisper
+    return header.subarray(0, 64).includes('webm') ? 'webm' : null;
+  }
+  if (ascii(header, 4, 8) === 'ftyp') {
+    const brand = ascii(header, 8, 12);
+    return ['M4A ', 'M4B ', 'M4P '].includes(brand) ? 'm4a' : 'mp4';
+  }
+  if (ascii(header, 0, 3) === 'ID3') {
+    return 'mp3';
+  }
+  if (findMp3Frame(header.subarray(0, 4096 + 8), 0)) {
+    return 'mp3';
+  }
+  return null;
+}
+
+function probeWav(fd, header, sizeBytes) {
+  const details = {};
+  let offset = 12;
+  let byteRate = null;
+
+  while (offset + 8 <= sizeBytes) {
+    const chunkHeader = readAt(fd, offset, 8);
+    if (chunkHeader.length < 8) {
+      break;
+    }
+    const id = chunkHeader.toString('latin1', 0, 4);
+    const size = chunkHeader.readUInt32LE(4);
+
+    if (id === 'fmt ') {
+      const fmt = readAt(fd, offset + 8, Math.min(size, 40));
+      const formatTag = fmt.readUInt16LE(0);
+      const bits = fmt.readUInt16LE(14);
+      details.channels = fmt.readUInt16LE(2);
+      details.sampleRate = fmt.readUInt32LE(4);
+      byteRate = fmt.readUInt32LE(8);
+      details.codec =
+        formatTag === 1 || formatTag === 0xfffe
+          ? `pcm_s${bits}le`
+          : formatTag === 3
+            ? `pcm_f${bits}le`
+            : formatTag === 6
+              ? 'pcm_alaw'
+              : formatTag === 7
+                ? 'pcm_mulaw'
+                : `wav_format_${formatTag}`;
+    } else if (id === 'data') {
+      // Streaming writers leave the size at 0 or 0xFFFFFFFF; use the file size
+      const dataBytes =
+        size === 0 || size === 0xffffffff ? sizeBytes - offset - 8 : Math.min(size, sizeBytes - offset - 8);
+      if (byteRate) {
+        details.durationSeconds = dataBytes / byteRate;
+      }
+      break;
+    }
+
+    offset += 8 + size + (size % 2);
+  }
+
+  return details;
+}
+
+function probeMp3(fd, header, sizeBytes) {
+  const start = id3v2Length(header);
+  const frameHeader = start ? readAt(fd, start, 8192) : header;
+  const found = findMp3Frame(frameHeader, 0);
+  if (!found) {
+    return { codec: 'mp3' };
+  }
+
+  const { offset, frame } = found;
+  const details = {
+    codec: 'mp3',
+    sampleRate: frame.sampleRate,
+    channels: frame.channels,
+  };
+
+  // VBR files carry the frame count in a Xing/Info (or VBRI) header
+  const sideInfo = frame.versionBits === 3
+    ? (frame.channels === 1 ? 17 : 32)
+    : (frame.channels === 1 ? 9 : 17);
+  const xingOffset = offset + 4 + sideInfo;
+  let frames = null;
+  const tag = ascii(frameHeader, xingOffset, xingOffset + 4);
+  if ((tag === 'Xing' || tag === 'Info') && frameHeader.length >= xingOffset + 12) {
+    const flags = frameHeader.readUInt32BE(xingOffset + 4);
+    if (flags & 0x01) {
+      frames = frameHeader.readUInt32BE(xingOffset + 8);
+    }
+  } else if (ascii(frameHeader, offset + 36, offset + 40) === 'VBRI' && frameHeader.length >= offset + 54) {
+    frames = frameHeader.readUInt32BE(offset + 36 + 14);
+  }
+
+  details.durationSeconds = frames
+    ? (frames * frame.samplesPerFrame) / frame.sampleRate
+    : ((sizeBytes - start - offset) * 8) / frame.bitrate;
+  return details;
+}
+
+function probeFlac(header) {
+  // STREAMINFO is always the first metadata block
+  if (header.length < 26 || (header[4] & 0x7f) !== 0) {
+    return { codec: 'flac' };
+  }
+  const sampleRate = (header[18] << 12) | (header[19] << 4) | (header[20] >> 4);
+  const channels = ((header[20] >> 1) & 0x07) + 1;
+  const totalSamples = (header[21] & 0x0f) * 2 ** 32 + header.readUInt32BE(22);
+
+  return {
+    codec: 'flac',
+    sampleRate,
+    channels,
+    durationSeconds: sampleRate && totalSamples ? totalSamples / sampleRate : null,
+  };
+}
+
+function probeOgg(fd, header, sizeBytes) {
+  if (header.length < 28) {
+    return {};
+  }
+  const payload = header.subarray(27 + header[26]);
+  const details = {};
+  let granuleRate = null;
+  let preSkip = 0;
+
+  if (ascii(payload, 0, 8) === 'OpusHead') {
+    details.codec = 'opus';
+    details.channels = payload[9];
+    details.sampleRate = payload.readUInt32LE(12) || 48000;
+    preSkip = payload.readUInt16LE(10);
+    granuleRate = 48000;
+  } else if (payload[0] === 0x01 && ascii(payload, 1, 7) === 'vorbis') {
+    details.codec = 'vorbis';
+    details.channels = payload[11];
+    details.sampleRate = payload.readUInt32LE(12);
+    granuleRate = details.sampleRate;
+  } else if (ascii(payload, 1, 5) === 'FLAC') {
+    details.codec = 'flac';
+  }
+
+  // The last page's granule position is the stream length in samples
+  if (granuleRate) {
+    const tailStart = Math.max(0, sizeBytes - HEADER_BYTES);
+    const tail = readAt(fd, tailStart, sizeBytes - tailStart);
+    const lastPage = tail.lastIndexOf('OggS');
+    if (lastPage >= 0 && lastPage + 14 <= tail.length) {
+      const granule = Number(tail.readBigUInt64LE(lastPage + 6));
+      if (granule > 0) {
+        details.durationSeconds = Math.max(0, granule - preSkip) / granuleRate;
+      }
+    }
+  }
+
+  return details;
+}
+
+function readEbmlUInt(buffer, offset, length) {
+  let value = 0;
+  for (let index = 0; index < length; index += 1) {
+    value = value * 256 + buffer[offset + index];
+  }
+  return value;
+}
+
+function probeWebm(header) {
+  const details = {};
+
+  const codecs = [
+    ['A_OPUS', 'opus'],
+    ['A_VORBIS', 'vorbis'],
+    ['A_AAC', 'aac'],
+    ['A_MPEG/L3', 'mp3'],
+    ['A_PCM', 'pcm'],
+  ];
+  const match = codecs.find(([id]) => header.includes(id));
+  if (match) {
+    details.codec = match[1];
+  }
+
+  // TimecodeScale (0x2AD7B1, default 1ms) and Segment Info Duration (0x4489)
+  let timecodeScale = 1000000;
+  const scaleAt = header.indexOf(Buffer.from([0x2a, 0xd7, 0xb1]));
+  if (scaleAt >= 0 && header[scaleAt + 3] >= 0x81 && header[scaleAt + 3] <= 0x88) {
+    timecodeScale = readEbmlUInt(header, scaleAt + 4, header[scaleAt + 3] & 0x0f);
+  }
+
+  const durationAt = header.indexOf(Buffer.from([0x44, 0x89]));
+  if (durationAt >= 0) {
+    const sizeByte = header[durationAt + 2];
+    const valueAt = durationAt + 3;
+    let ticks = null;
+    if (sizeByte === 0x84 && valueAt + 4 <= header.length) {
+      ticks = header.readFloatBE(valueAt);
+    } else if (sizeByte === 0x88 && valueAt + 8 <= header.length) {
+      ticks = header.readDoubleBE(valueAt);
+    }
+    // Browser MediaRecorder files often have no duration at all
+    if (ticks && Number.isFinite(ticks) && ticks > 0) {
+      details.durationSeconds = (ticks * timecodeScale) / 1e9;
+    }
+  }
+
+  return details;
+}
+
+function childAtoms(buffer, start, end) {
+  const atoms = [];
+  let offset = start;
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    let headerSize = 8;
+    if (size === 1 && offset + 16 <= end) {
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < headerSize || offset + size > end) {
+      break;
+    }
+    atoms.push({ type, start: offset + headerSize, end: offset + size });
+    offset += size;
+  }
+  return atoms;
+}
+
+function findAtom(buffer, parent, type) {
+  return childAtoms(buffer, parent.start, parent.end).find((atom) => atom.type === type) || null;
+}
+
+function probeMp4(fd, sizeBytes) {
+  // moov may sit at the end of the file (no "faststart"), so walk top-level atoms
+  let moov = null;
+  let offset = 0;
+  while (offset + 8 <= sizeBytes) {
+    const atomHeader = readAt(fd, offset, 16);
+    if (atomHeader.length < 8) {
+      break;
+    }
+    let size = atomHeader.readUInt32BE(0);
+    const type = atomHeader.toString('latin1', 4, 8);
+    if (size === 1 && atomHeader.length >= 16) {
+      size = Number(atomHeader.readBigUInt64BE(8));
+    } else if (size === 0) {
+      size = sizeBytes - offset;
+    }
+    if (size < 8) {
+      break;
+    }
+    if (type === 'moov') {
+      if (size <= MAX_MOOV_BYTES) {
+        moov = readAt(fd, offset, size);
+      }
+      break;
+    }
+    offset += size;
+  }
+
+  if (!moov) {
+    return {};
+  }
+
+  const details = {};
+  const root = childAtoms(moov, 0, moov.length)[0];
+
+  const mvhd = findAtom(moov, root, 'mvhd');
+  if (mvhd) {
+    const version = moov[mvhd.start];
+    const timescale = moov.readUInt32BE(mvhd.start + (version === 1 ? 20 : 12));
+    const duration =
+      version === 1
+        ? Number(moov.readBigUInt64BE(mvhd.start + 24))
+        : moov.readUInt32BE(mvhd.start + 16);
+    if (timescale > 0) {
+      details.durationSeconds = duration / timescale;
+    }
+  }
+
+  // Codec of the first sound track (trak > mdia > hdlr 'soun', minf > stbl > stsd)
+  for (const trak of childAtoms(moov, root.start, root.end).filter((atom) => atom.type === 'trak')) {
+    const mdia = findAtom(moov, trak, 'mdia');
+    const hdlr = mdia && findAtom(moov, mdia, 'hdlr');
+    if (!hdlr || moov.toString('latin1', hdlr.start + 8, hdlr.start + 12) !== 'soun') {
+      continue;
+    }
+    const minf = findAtom(moov, mdia, 'minf');
+    const stbl = minf && findAtom(moov, minf, 'stbl');
+    const stsd = stbl && findAtom(moov, stbl, 'stsd');
+    if (stsd && stsd.start + 16 <= stsd.end) {
+      const format = moov.toString('latin1', stsd.start + 12, stsd.start + 16);
+      details.codec = format === 'mp4a' ? 'aac' : format.trim().toLowerCase();
+      // Sound sample entry: channel count and 16.16 sample rate
+      if (stsd.start + 40 <= stsd.end) {
+        details.channels = moov.readUInt16BE(stsd.start + 32);
+        details.sampleRate = moov.readUInt32BE(stsd.start + 40) >>> 16;
+      }
+    }
+    break;
+  }
+
+  return details;
+}
+
+const DETAIL_PROBES = {
+  wav: (fd, header, sizeBytes) => probeWav(fd, header, sizeBytes),
+  mp3: (fd, header, sizeBytes) => probeMp3(fd, header, sizeBytes),
+  flac: (fd, header) => probeFlac(header),
+  ogg: (fd, header, sizeBytes) => probeOgg(fd, header, sizeBytes),
+  webm: (fd, header) => probeWebm(header),
+  m4a: (fd, header, sizeBytes) => probeMp4(fd, sizeBytes),
+  mp4: (fd, header, sizeBytes) => probeMp4(fd, sizeBytes),
+};
+
+/**
+ * Sniff and probe a recording on disk.
+ *
+ * Returns null when the file is not a supported audio/video container,
+ * otherwise { container, ext, mime, codec, durationSeconds, sampleRate,
+ * channels, sizeBytes }. Header fields that cannot be read are null; a
+ * damaged header never turns a recognised container into a rejection.
+ */
+function probeAudioFile(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const sizeBytes = fs.fstatSync(fd).size;
+    const header = readAt(fd, 0, Math.min(HEADER_BYTES, sizeBytes));
+    const container = sniffContainer(header);
+    if (!container) {
+      return null;
+    }
+
+    let details = {};
+    try {
+      details = DETAIL_PROBES[container](fd, header, sizeBytes) || {};
+    } catch (err) {
+      details = {};
+    }
+
+    const durationSeconds =
+      typeof details.durationSeconds === 'number' && Number.isFinite(details.durationSeconds)
+        ? Math.round(details.durationSeconds * 1000) / 1000
+        : null;
+
+    return {
+      container,
+      ext: AUDIO_CONTAINERS[container].ext,
+      mime: AUDIO_CONTAINERS[container].mime,
+      codec: details.codec || null,
+      durationSeconds,
+      sampleRate: details.sampleRate || null,
+      channels: details.channels || null,
+      sizeBytes,
+    };
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+module.exports = {
+  AUDIO_CONTAINERS,
+  sniffContainer,
+  probeAudioFile,
+};
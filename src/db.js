@@ -23,15 +23,17 @@ function createSqliteDb(Database) {
   const fs = require("fs");
   const path = require("path");
 
-  // Ensure a /data folder exists next to /src
-  const dataDir = path.join(__dirname, "..", "data");
-  if (!fs.existsSync(dataDir)) {
-    fs.mkdirSync(dataDir, { recursive: true });
+  // DB file: DB_PATH if set (":memory:" works for tests), else /data/discovery.sqlite
+  let dbPath = process.env.DB_PATH;
+  if (!dbPath) {
+    // Ensure a /data folder exists next to /src
+    const dataDir = path.join(__dirname, "..", "data");
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true });
+    }
+    dbPath = path.join(dataDir, "discovery.sqlite");
   }
 
-  // DB file: /data/discovery.sqlite
-  const dbPath = path.join(dataDir, "discovery.sqlite");
-
   // Open (or create) the database
   const db = new Database(dbPath);
 
@@ -65,6 +67,65 @@ function createSqliteDb(Database) {
       // Ignore duplicate column errors or other non-fatal issues
     }
 
+    // Job queue leasing columns
+    for (const column of [
+      "leaseOwner TEXT",
+      "leaseExpiresAt TEXT",
+      "heartbeatAt TEXT",
+      "attempts INTEGER NOT NULL DEFAULT 0",
+      "resumeStage TEXT",
+      "progressJson TEXT",
+      "validationJson TEXT",
+      "analysisPromptId TEXT",
+      "analysisPromptVersion INTEGER",
+      "analysisModel TEXT",
+      "contentHash TEXT",
+      "duplicateOf TEXT",
+      "audioContainer TEXT",
+      "audioCodec TEXT",
+      "audioDurationSeconds REAL",
+      "audioSizeBytes INTEGER",
+      "analyzedAt TEXT",
+      "audioDeletedAt TEXT",
+      "storageKey TEXT",
+      "clientName TEXT COLLATE NOCASE",
+      "clientIndustry TEXT COLLATE NOCASE",
+      "precallPlanId TEXT",
+    ]) {
+      try {
+        db.prepare(`ALTER TABLE jobs ADD COLUMN ${column}`).run();
+      } catch (e) {
+        // Ignore duplicate column errors or other non-fatal issues
+      }
+    }
+
+    db.prepare(
+      "CREATE INDEX IF NOT EXISTS idx_jobs_contentHash ON jobs (contentHash)"
+    ).run();
+
+    // Job listing: every filter is paired with the (createdAt, id) sort key
+    for (const index of [
+      "idx_jobs_createdAt ON jobs (createdAt, id)",
+      "idx_jobs_updatedAt ON jobs (updatedAt, id)",
+      "idx_jobs_status_createdAt ON jobs (status, createdAt, id)",
+      "idx_jobs_emailStatus_createdAt ON jobs (emailStatus, createdAt, id)",
+      "idx_jobs_clientName ON jobs (clientName)",
+      "idx_jobs_clientIndustry ON jobs (clientIndustry)",
+      "idx_jobs_precallPlanId ON jobs (precallPlanId)",
+    ]) {
+      db.prepare(`CREATE INDEX IF NOT EXISTS ${index}`).run();
+    }
+
+    // Client columns for jobs analysed before they existed
+    db.prepare(`
+        UPDATE jobs
+        SET clientName = json_extract(analysisJson, '$.CLIENT_NAME'),
+            clientIndustry = json_extract(analysisJson, '$.CLIENT_INDUSTRY')
+        WHERE clientName IS NULL
+          AND analysisJson IS NOT NULL
+          AND json_valid(analysisJson)
+      `).run();
+
     db.prepare(`
         CREATE TABLE IF NOT EXISTS precall_plans (
           id TEXT PRIMARY KEY,
@@ -93,6 +154,37 @@ function createSqliteDb(Database) {
         )
       `).run();
 
+    // Schema-validation results for model output (violations, repair status)
+    // and provenance: which prompt version and model produced the record
+    for (const table of ["precall_plans", "postcall_coaching"]) {
+      for (const column of [
+        "validationJson TEXT",
+        "promptId TEXT",
+        "promptVersion INTEGER",
+        "model TEXT",
+      ]) {
+        try {
+          db.prepare(`ALTER TABLE ${table} ADD COLUMN ${column}`).run();
+        } catch (e) {
+          // Ignore duplicate column errors or other non-fatal issues
+        }
+      }
+    }
+
+    db.prepare(`
+        CREATE TABLE IF NOT EXISTS analysis_runs (
+          id TEXT PRIMARY KEY,
+          jobId TEXT NOT NULL,
+          createdAt TEXT NOT NULL,
+          promptId TEXT NOT NULL,
+          promptVersion INTEGER NOT NULL,
+          model TEXT NOT NULL,
+          resultSummary TEXT,
+          analysisJson TEXT NOT NULL,
+          validationJson TEXT
+        )
+      `).run();
+
     db.prepare(`
         CREATE TABLE IF NOT EXISTS call_checklists (
           id TEXT PRIMARY KEY,
@@ -103,6 +195,57 @@ function createSqliteDb(Database) {
         )
       `).run();
 
+    // The user's extra instructions for a coaching run
+    try {
+      db.prepare("ALTER TABLE postcall_coaching ADD COLUMN extraNotes TEXT").run();
+    } catch (e) {
+      // Ignore duplicate column errors or other non-fatal issues
+    }
+
+    // Set when the coverage was detected by a model rather than ticked by hand
+    for (const column of [
+      "validationJson TEXT",
+      "promptId TEXT",
+      "promptVersion INTEGER",
+      "model TEXT",
+    ]) {
+      try {
+        db.prepare(`ALTER TABLE call_checklists ADD COLUMN ${column}`).run();
+      } catch (e) {
+        // Ignore duplicate column errors or other non-fatal issues
+      }
+    }
+
+    db.prepare(`
+        CREATE TABLE IF NOT EXISTS call_scorecards (
+          id TEXT PRIMARY KEY,
+          jobId TEXT NOT NULL,
+          precallPlanId TEXT,
+          createdAt TEXT NOT NULL,
+          rubricJson TEXT NOT NULL,
+          scoresJson TEXT NOT NULL,
+          totalScore REAL,
+          coveragePercent REAL,
+          validationJson TEXT,
+          promptId TEXT,
+          promptVersion INTEGER,
+          model TEXT
+        )
+      `).run();
+
+    db.prepare(
+      "CREATE INDEX IF NOT EXISTS idx_call_scorecards_jobId ON call_scorecards (jobId)"
+    ).run();
+
+    // One row per job, replaced whenever the transcript segments change
+    db.prepare(`
+        CREATE TABLE IF NOT EXISTS call_metrics (
+          jobId TEXT PRIMARY KEY,
+          computedAt TEXT NOT NULL,
+          metricsJson TEXT NOT NULL
+        )
+      `).run();
+
     db.prepare(`
         CREATE TABLE IF NOT EXISTS user_settings (
           id TEXT PRIMARY KEY,
@@ -113,6 +256,85 @@ function createSqliteDb(Database) {
           theme TEXT NOT NULL DEFAULT 'dark'
         )
       `).run();
+
+    db.prepare(`
+        CREATE TABLE IF NOT EXISTS transcripts (
+          id TEXT PRIMARY KEY,
+          jobId TEXT NOT NULL UNIQUE,
+          createdAt TEXT NOT NULL,
+          updatedAt TEXT NOT NULL,
+          text TEXT NOT NULL,
+          model TEXT,
+          language TEXT,
+          durationSeconds REAL,
+          segmentsJson TEXT,
+          sectionNotesJson TEXT
+        )
+      `).run();
+
+    for (const column of ["segmentsJson TEXT", "sectionNotesJson TEXT"]) {
+      try {
+        db.prepare(`ALTER TABLE transcripts ADD COLUMN ${column}`).run();
+      } catch (e) {
+        // Ignore duplicate column errors or other non-fatal issues
+      }
+    }
+
+    db.prepare(`
+        CREATE TABLE IF NOT EXISTS job_attempts (
+          id TEXT PRIMARY KEY,
+          jobId TEXT NOT NULL,
+          fromStage TEXT NOT NULL,
+          stage TEXT,
+          status TEXT NOT NULL,
+          startedAt TEXT NOT NULL,
+          finishedAt TEXT,
+          error TEXT
+        )
+      `).run();
+
+    db.prepare(`
+        CREATE TABLE IF NOT EXISTS usage_events (
+          id TEXT PRIMARY KEY,
+          createdAt TEXT NOT NULL,
+          feature TEXT NOT NULL,
+          provider TEXT NOT NULL,
+          model TEXT,
+          jobId TEXT,
+          precallPlanId TEXT,
+          postcallCoachingId TEXT,
+          promptTokens INTEGER NOT NULL DEFAULT 0,
+          completionTokens INTEGER NOT NULL DEFAULT 0,
+          totalTokens INTEGER NOT NULL DEFAULT 0,
+          audioSeconds REAL NOT NULL DEFAULT 0,
+          costUsd REAL
+        )
+      `).run();
+
+    db.prepare(
+      "CREATE INDEX IF NOT EXISTS idx_usage_events_createdAt ON usage_events (createdAt)"
+    ).run();
+    db.prepare(
+      "CREATE INDEX IF NOT EXISTS idx_usage_events_jobId ON usage_events (jobId)"
+    ).run();
+    db.prepare(
+      "CREATE INDEX IF NOT EXISTS idx_usage_events_precallPlanId ON usage_events (precallPlanId)"
+    ).run();
+
+    // Full-text search over transcripts, analyses, plans and coaching.
+    // One row per searchable field of a source record.
+    db.prepare(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS search_documents USING fts5(
+          body,
+          sourceType UNINDEXED,
+          sourceId UNINDEXED,
+          field UNINDEXED,
+          jobId UNINDEXED,
+          precallPlanId UNINDEXED,
+          createdAt UNINDEXED,
+          tokenize = 'porter unicode61 remove_diacritics 2'
+        )
+      `).run();
   }
 
   /**
@@ -134,6 +356,14 @@ function createSqliteDb(Database) {
       error: job.error || null,
       emailStatus: job.emailStatus || null,
       emailSentAt: job.emailSentAt || null,
+      contentHash: job.contentHash || null,
+      duplicateOf: job.duplicateOf || null,
+      audioContainer: job.audioContainer || null,
+      audioCodec: job.audioCodec || null,
+      audioDurationSeconds: job.audioDurationSeconds ?? null,
+      audioSizeBytes: job.audioSizeBytes ?? null,
+      storageKey: job.storageKey || null,
+      precallPlanId: job.precallPlanId || null,
     };
 
     const stmt = db.prepare(`
@@ -148,7 +378,15 @@ function createSqliteDb(Database) {
           analysisJson,
           error,
           emailStatus,
-          emailSentAt
+          emailSentAt,
+          contentHash,
+          duplicateOf,
+          audioContainer,
+          audioCodec,
+          audioDurationSeconds,
+          audioSizeBytes,
+          storageKey,
+          precallPlanId
         ) VALUES (
           @id,
           @filename,
@@ -160,7 +398,15 @@ function createSqliteDb(Database) {
           @analysisJson,
           @error,
           @emailStatus,
-          @emailSentAt
+          @emailSentAt,
+          @contentHash,
+          @duplicateOf,
+          @audioContainer,
+          @audioCodec,
+          @audioDurationSeconds,
+          @audioSizeBytes,
+          @storageKey,
+          @precallPlanId
         )
       `);
 
@@ -180,6 +426,10 @@ function createSqliteDb(Database) {
    *   briefingJson,
    *   checklistJson,
    *   coachingJson,
+   *   validationJson,
+   *   promptId,
+   *   promptVersion,
+   *   model,
    * }
    */
   function createPrecallPlan(plan) {
@@ -194,6 +444,10 @@ function createSqliteDb(Database) {
       briefingJson: plan.briefingJson,
       checklistJson: plan.checklistJson,
       coachingJson: plan.coachingJson || null,
+      validationJson: plan.validationJson || null,
+      promptId: plan.promptId || null,
+      promptVersion: plan.promptVersion ?? null,
+      model: plan.model || null,
     };
 
     const stmt = db.prepare(`
@@ -207,7 +461,11 @@ function createSqliteDb(Database) {
           desiredOutcome,
           briefingJson,
           checklistJson,
-          coachingJson
+          coachingJson,
+          validationJson,
+          promptId,
+          promptVersion,
+          model
         ) VALUES (
           @id,
           @createdAt,
@@ -218,7 +476,11 @@ function createSqliteDb(Database) {
           @desiredOutcome,
           @briefingJson,
           @checklistJson,
-          @coachingJson
+          @coachingJson,
+          @validationJson,
+          @promptId,
+          @promptVersion,
+          @model
         )
       `);
 
@@ -259,6 +521,13 @@ function createSqliteDb(Database) {
   }
 
   function deletePrecallPlanById(id) {
+    db.prepare(
+      "DELETE FROM search_documents WHERE sourceType = 'precall-plan' AND sourceId = ?"
+    ).run(id);
+    db.prepare(
+      "UPDATE jobs SET precallPlanId = NULL, updatedAt = ? WHERE precallPlanId = ?"
+    ).run(new Date().toISOString(), id);
+
     const stmt = db.prepare(`
         DELETE FROM precall_plans
         WHERE id = ?
@@ -273,9 +542,14 @@ function createSqliteDb(Database) {
     precallPlanId,
     createdAt,
     coachingJson,
+    validation = null,
+    promptId = null,
+    promptVersion = null,
+    model = null,
     emailStatus = null,
     emailSentAt = null,
     error = null,
+    extraNotes = null,
   }) {
     const stmt = db.prepare(`
         INSERT INTO postcall_coaching (
@@ -284,10 +558,15 @@ function createSqliteDb(Database) {
           precallPlanId,
           createdAt,
           coachingJson,
+          validationJson,
+          promptId,
+          promptVersion,
+          model,
           emailStatus,
           emailSentAt,
-          error
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+          error,
+          extraNotes
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `);
 
     stmt.run(
@@ -296,9 +575,14 @@ function createSqliteDb(Database) {
       precallPlanId ?? null,
       createdAt,
       JSON.stringify(coachingJson),
+      validation ? JSON.stringify(validation) : null,
+      promptId,
+      promptVersion,
+      model,
       emailStatus,
       emailSentAt,
-      error
+      error,
+      extraNotes
     );
   }
 
@@ -307,31 +591,65 @@ function createSqliteDb(Database) {
         SELECT *
         FROM postcall_coaching
         WHERE jobId = ?
-        ORDER BY datetime(createdAt) DESC
+        ORDER BY datetime(createdAt) DESC, rowid DESC
         LIMIT 1
       `).get(jobId);
 
-    if (!row) {
-      return null;
-    }
+    return row ? mapPostcallCoachingRow(row) : null;
+  }
 
-    let coaching;
-    try {
-      coaching = JSON.parse(row.coachingJson);
-    } catch {
-      coaching = null;
-    }
+  function getPostcallCoachingById(id) {
+    const row = db.prepare("SELECT * FROM postcall_coaching WHERE id = ?").get(id);
+    return row ? mapPostcallCoachingRow(row) : null;
+  }
 
-    return {
-      id: row.id,
-      jobId: row.jobId,
-      precallPlanId: row.precallPlanId,
-      createdAt: row.createdAt,
-      coaching,
-      emailStatus: row.emailStatus,
-      emailSentAt: row.emailSentAt,
-      error: row.error,
-    };
+  /**
+   * The latest coaching run of each job whose call was created in
+   * [from, to) (ISO strings, both optional), oldest call first. Records also
+   * carry `callCreatedAt`, the job's createdAt.
+   */
+  function getLatestPostcallCoachingPerJob({ from, to } = {}) {
+    return db.prepare(`
+        SELECT pc.*, j.createdAt AS callCreatedAt
+        FROM postcall_coaching pc
+        JOIN jobs j ON j.id = pc.jobId
+        WHERE pc.rowid = (
+            SELECT latest.rowid
+            FROM postcall_coaching latest
+            WHERE latest.jobId = pc.jobId
+            ORDER BY datetime(latest.createdAt) DESC, latest.rowid DESC
+            LIMIT 1
+          )
+          AND (@from IS NULL OR j.createdAt >= @from)
+          AND (@to IS NULL OR j.createdAt < @to)
+        ORDER BY j.createdAt ASC
+      `)
+      .all({ from: from || null, to: to || null })
+      .map((row) => ({ ...mapPostcallCoachingRow(row), callCreatedAt: row.callCreatedAt }));
+  }
+
+  /**
+   * Every coaching run for a job, oldest first.
+   */
+  function getPostcallCoachingByJobId(jobId) {
+    return db.prepare(`
+        SELECT *
+        FROM postcall_coaching
+        WHERE jobId = ?
+        ORDER BY datetime(createdAt) ASC, rowid ASC
+      `).all(jobId).map(mapPostcallCoachingRow);
+  }
+
+  /**
+   * Record the outcome of emailing a coaching record.
+   * fields = { emailStatus, emailSentAt, error }
+   */
+  function updatePostcallCoachingEmail(id, { emailStatus, emailSentAt = null, error = null }) {
+    db.prepare(`
+        UPDATE postcall_coaching
+        SET emailStatus = ?, emailSentAt = ?, error = ?
+        WHERE id = ?
+      `).run(emailStatus, emailSentAt, error, id);
   }
 
   function saveCallChecklist({
@@ -340,6 +658,10 @@ function createSqliteDb(Database) {
     precallPlanId,
     createdAt,
     coverageJson,
+    validation = null,
+    promptId = null,
+    promptVersion = null,
+    model = null,
   }) {
     const stmt = db.prepare(`
         INSERT INTO call_checklists (
@@ -347,8 +669,12 @@ function createSqliteDb(Database) {
           jobId,
           precallPlanId,
           createdAt,
-          coverageJson
-        ) VALUES (?, ?, ?, ?, ?)
+          coverageJson,
+          validationJson,
+          promptId,
+          promptVersion,
+          model
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
       `);
 
     stmt.run(
@@ -356,7 +682,11 @@ function createSqliteDb(Database) {
       jobId,
       precallPlanId ?? null,
       createdAt,
-      JSON.stringify(coverageJson)
+      JSON.stringify(coverageJson),
+      validation ? JSON.stringify(validation) : null,
+      promptId,
+      promptVersion,
+      model
     );
   }
 
@@ -365,30 +695,247 @@ function createSqliteDb(Database) {
         SELECT *
         FROM call_checklists
         WHERE jobId = ?
-        ORDER BY datetime(createdAt) DESC
+        ORDER BY datetime(createdAt) DESC, rowid DESC
         LIMIT 1
       `).get(jobId);
 
+    return row ? mapCallChecklistRow(row) : null;
+  }
+
+  /**
+   * Every checklist coverage version for a job, oldest first.
+   */
+  function getCallChecklistsByJobId(jobId) {
+    return db.prepare(`
+        SELECT *
+        FROM call_checklists
+        WHERE jobId = ?
+        ORDER BY datetime(createdAt) ASC, rowid ASC
+      `).all(jobId).map(mapCallChecklistRow);
+  }
+
+  /**
+   * Store a job's conversation metrics, replacing any earlier ones.
+   */
+  function saveCallMetrics({ jobId, computedAt, metrics }) {
+    db.prepare(`
+        INSERT INTO call_metrics (jobId, computedAt, metricsJson)
+        VALUES (?, ?, ?)
+        ON CONFLICT(jobId) DO UPDATE SET
+          computedAt = excluded.computedAt,
+          metricsJson = excluded.metricsJson
+      `).run(jobId, computedAt, JSON.stringify(metrics));
+  }
+
+  function getCallMetricsByJobId(jobId) {
+    const row = db.prepare("SELECT * FROM call_metrics WHERE jobId = ?").get(jobId);
+    return row ? mapCallMetricsRow(row) : null;
+  }
+
+  /**
+   * scorecard = { id, jobId, precallPlanId?, createdAt, rubric, scores,
+   *   totalScore, coveragePercent?, validation?, promptId, promptVersion, model }
+   */
+  function saveCallScorecard(scorecard) {
+    db.prepare(`
+        INSERT INTO call_scorecards (
+          id,
+          jobId,
+          precallPlanId,
+          createdAt,
+          rubricJson,
+          scoresJson,
+          totalScore,
+          coveragePercent,
+          validationJson,
+          promptId,
+          promptVersion,
+          model
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+      scorecard.id,
+      scorecard.jobId,
+      scorecard.precallPlanId ?? null,
+      scorecard.createdAt,
+      JSON.stringify(scorecard.rubric),
+      JSON.stringify(scorecard.scores),
+      scorecard.totalScore ?? null,
+      scorecard.coveragePercent ?? null,
+      scorecard.validation ? JSON.stringify(scorecard.validation) : null,
+      scorecard.promptId || null,
+      scorecard.promptVersion ?? null,
+      scorecard.model || null
+    );
+  }
+
+  /**
+   * Every scorecard for a job, oldest first.
+   */
+  function getCallScorecardsByJobId(jobId) {
+    return db.prepare(`
+        SELECT *
+        FROM call_scorecards
+        WHERE jobId = ?
+        ORDER BY datetime(createdAt) ASC, rowid ASC
+      `).all(jobId).map(mapCallScorecardRow);
+  }
+
+  /**
+   * The latest scorecard of each call created in [from, to), best total
+   * first. Records also carry the call's `clientName` and `callCreatedAt`.
+   */
+  function getRankedCallScorecards({ from, to, limit = 50 } = {}) {
+    return db.prepare(`
+        SELECT cs.*, j.clientName AS clientName, j.createdAt AS callCreatedAt
+        FROM call_scorecards cs
+        JOIN jobs j ON j.id = cs.jobId
+        WHERE cs.rowid = (
+            SELECT latest.rowid
+            FROM call_scorecards latest
+            WHERE latest.jobId = cs.jobId
+            ORDER BY datetime(latest.createdAt) DESC, latest.rowid DESC
+            LIMIT 1
+          )
+          AND (@from IS NULL OR j.createdAt >= @from)
+          AND (@to IS NULL OR j.createdAt < @to)
+        ORDER BY cs.totalScore IS NULL, cs.totalScore DESC, j.createdAt DESC
+        LIMIT @limit
+      `)
+      .all({ from: from || null, to: to || null, limit })
+      .map((row) => ({
+        ...mapCallScorecardRow(row),
+        clientName: row.clientName || null,
+        callCreatedAt: row.callCreatedAt,
+      }));
+  }
+
+  /**
+   * Store the full transcript for a job (one transcript per job; a second
+   * save for the same job replaces the text and metadata).
+   * transcript = { id, jobId, text, model?, language?, durationSeconds?, segments? }
+   * segments = [{ id, start, end, text, speaker, speakerSource }]
+   */
+  function saveTranscript(transcript) {
+    const now = new Date().toISOString();
+
+    const toInsert = {
+      id: transcript.id,
+      jobId: transcript.jobId,
+      createdAt: transcript.createdAt || now,
+      updatedAt: now,
+      text: transcript.text,
+      model: transcript.model || null,
+      language: transcript.language || null,
+      durationSeconds:
+        typeof transcript.durationSeconds === "number"
+          ? transcript.durationSeconds
+          : null,
+      segmentsJson: Array.isArray(transcript.segments)
+        ? JSON.stringify(transcript.segments)
+        : null,
+    };
+
+    db.prepare(`
+        INSERT INTO transcripts (
+          id,
+          jobId,
+          createdAt,
+          updatedAt,
+          text,
+          model,
+          language,
+          durationSeconds,
+          segmentsJson
+        ) VALUES (
+          @id,
+          @jobId,
+          @createdAt,
+          @updatedAt,
+          @text,
+          @model,
+          @language,
+          @durationSeconds,
+          @segmentsJson
+        )
+        ON CONFLICT(jobId) DO UPDATE SET
+          updatedAt = excluded.updatedAt,
+          text = excluded.text,
+          model = excluded.model,
+          language = excluded.language,
+          durationSeconds = excluded.durationSeconds,
+          segmentsJson = excluded.segmentsJson,
+          sectionNotesJson = NULL
+      `).run(toInsert);
+  }
+
+  function getTranscriptByJobId(jobId) {
+    const row = db.prepare(`
+        SELECT *
+        FROM transcripts
+        WHERE jobId = ?
+      `).get(jobId);
+
     if (!row) {
       return null;
     }
 
-    let coverage;
+    let segments;
+    try {
+      segments = row.segmentsJson ? JSON.parse(row.segmentsJson) : [];
+    } catch {
+      segments = [];
+    }
+
+    let sectionNotes;
     try {
-      coverage = JSON.parse(row.coverageJson);
+      sectionNotes = row.sectionNotesJson ? JSON.parse(row.sectionNotesJson) : null;
     } catch {
-      coverage = null;
+      sectionNotes = null;
     }
 
     return {
       id: row.id,
       jobId: row.jobId,
-      precallPlanId: row.precallPlanId,
       createdAt: row.createdAt,
-      coverage,
+      updatedAt: row.updatedAt,
+      text: row.text,
+      model: row.model,
+      language: row.language,
+      durationSeconds: row.durationSeconds,
+      segments,
+      sectionNotes,
     };
   }
 
+  /**
+   * Replace the segments (e.g. after speaker-label corrections) of a
+   * stored transcript. Returns false when the job has no transcript.
+   */
+  function updateTranscriptSegments(jobId, segments) {
+    // Section notes were taken from the old labels, so drop them
+    const result = db.prepare(`
+        UPDATE transcripts
+        SET segmentsJson = ?,
+            sectionNotesJson = NULL,
+            updatedAt = ?
+        WHERE jobId = ?
+      `).run(JSON.stringify(segments), new Date().toISOString(), jobId);
+
+    return result.changes > 0;
+  }
+
+  /**
+   * Cache the per-section notes produced for an over-budget transcript.
+   * sectionNotes = { sectionTokens, notes: string[] }
+   */
+  function saveTranscriptSectionNotes(jobId, sectionNotes) {
+    db.prepare(`
+        UPDATE transcripts
+        SET sectionNotesJson = ?
+        WHERE jobId = ?
+      `).run(JSON.stringify(sectionNotes), jobId);
+  }
+
   function getUserSettings() {
     const row = db.prepare(
       `SELECT * FROM user_settings LIMIT 1`
@@ -454,6 +1001,18 @@ function createSqliteDb(Database) {
       "error",
       "emailStatus",
       "emailSentAt",
+      "attempts",
+      "resumeStage",
+      "progressJson",
+      "validationJson",
+      "analysisPromptId",
+      "analysisPromptVersion",
+      "analysisModel",
+      "analyzedAt",
+      "audioDeletedAt",
+      "clientName",
+      "clientIndustry",
+      "precallPlanId",
     ];
 
     const updates = {};
@@ -484,6 +1043,280 @@ function createSqliteDb(Database) {
     stmt.run({ id, ...updates });
   }
 
+  /**
+   * Record the start of a processing run for a job.
+   * attempt = { id, jobId, fromStage, startedAt }
+   */
+  function createJobAttempt(attempt) {
+    db.prepare(`
+        INSERT INTO job_attempts (
+          id,
+          jobId,
+          fromStage,
+          stage,
+          status,
+          startedAt
+        ) VALUES (?, ?, ?, ?, 'running', ?)
+      `).run(
+      attempt.id,
+      attempt.jobId,
+      attempt.fromStage,
+      attempt.fromStage,
+      attempt.startedAt
+    );
+  }
+
+  /**
+   * Close a processing run with its outcome, last stage reached and error.
+   */
+  function finishJobAttempt(id, { status, stage, error = null }) {
+    db.prepare(`
+        UPDATE job_attempts
+        SET status = ?,
+            stage = ?,
+            error = ?,
+            finishedAt = ?
+        WHERE id = ?
+      `).run(status, stage, error, new Date().toISOString(), id);
+  }
+
+  function getJobAttemptsByJobId(jobId) {
+    return db.prepare(`
+        SELECT *
+        FROM job_attempts
+        WHERE jobId = ?
+        ORDER BY startedAt ASC
+      `).all(jobId);
+  }
+
+  /**
+   * Store a re-run of the analysis prompt for a job. Runs sit next to the
+   * job's current analysis for comparison; they never replace it.
+   * run = { id, jobId, createdAt, promptId, promptVersion, model,
+   *   resultSummary, analysis, validation }
+   */
+  function saveAnalysisRun(run) {
+    db.prepare(`
+        INSERT INTO analysis_runs (
+          id,
+          jobId,
+          createdAt,
+          promptId,
+          promptVersion,
+          model,
+          resultSummary,
+          analysisJson,
+          validationJson
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+      run.id,
+      run.jobId,
+      run.createdAt,
+      run.promptId,
+      run.promptVersion,
+      run.model,
+      run.resultSummary || null,
+      JSON.stringify(run.analysis),
+      run.validation ? JSON.stringify(run.validation) : null
+    );
+  }
+
+  function getAnalysisRunsByJobId(jobId) {
+    return db.prepare(`
+        SELECT *
+        FROM analysis_runs
+        WHERE jobId = ?
+        ORDER BY createdAt ASC
+      `).all(jobId).map(mapAnalysisRunRow);
+  }
+
+  /**
+   * Record one model call (chat completion or transcription).
+   * event = { id, createdAt, feature, provider, model, jobId, precallPlanId,
+   *   postcallCoachingId, promptTokens, completionTokens, totalTokens,
+   *   audioSeconds, costUsd }
+   */
+  function recordUsageEvent(event) {
+    db.prepare(`
+        INSERT INTO usage_events (
+          id,
+          createdAt,
+          feature,
+          provider,
+          model,
+          jobId,
+          precallPlanId,
+          postcallCoachingId,
+          promptTokens,
+          completionTokens,
+          totalTokens,
+          audioSeconds,
+          costUsd
+        ) VALUES (
+          @id,
+          @createdAt,
+          @feature,
+          @provider,
+          @model,
+          @jobId,
+          @precallPlanId,
+          @postcallCoachingId,
+          @promptTokens,
+          @completionTokens,
+          @totalTokens,
+          @audioSeconds,
+          @costUsd
+        )
+      `).run({
+      id: event.id,
+      createdAt: event.createdAt,
+      feature: event.feature,
+      provider: event.provider,
+      model: event.model || null,
+      jobId: event.jobId || null,
+      precallPlanId: event.precallPlanId || null,
+      postcallCoachingId: event.postcallCoachingId || null,
+      promptTokens: event.promptTokens || 0,
+      completionTokens: event.completionTokens || 0,
+      totalTokens: event.totalTokens || 0,
+      audioSeconds: event.audioSeconds || 0,
+      costUsd: typeof event.costUsd === "number" ? event.costUsd : null,
+    });
+  }
+
+  /**
+   * Usage events matching all given filters, oldest first.
+   * filters = { from?, to?, feature?, jobId?, precallPlanId? }
+   * (from inclusive, to exclusive; both ISO timestamps)
+   */
+  function getUsageEvents(filters = {}) {
+    const conditions = [];
+    const params = {};
+
+    if (filters.from) {
+      conditions.push("createdAt >= @from");
+      params.from = filters.from;
+    }
+    if (filters.to) {
+      conditions.push("createdAt < @to");
+      params.to = filters.to;
+    }
+    for (const key of ["feature", "jobId", "precallPlanId"]) {
+      if (filters[key]) {
+        conditions.push(`${key} = @${key}`);
+        params[key] = filters[key];
+      }
+    }
+
+    const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+    return db.prepare(`
+        SELECT *
+        FROM usage_events
+        ${where}
+        ORDER BY createdAt ASC
+      `).all(params);
+  }
+
+  /**
+   * Atomically lease the oldest runnable job for a worker.
+   * A job is runnable when it is queued or in an active stage, and nobody
+   * holds a live lease on it. A claimed job stays 'queued' until its
+   * handler moves it on, so the lease alone keeps other workers off it; an
+   * expired lease means the worker that held it died.
+   * Returns the leased job row (with attempts incremented) or null.
+   */
+  function claimNextJob({ workerId, leaseMs, activeStatuses }) {
+    const claim = db.transaction(() => {
+      const now = new Date();
+      const nowIso = now.toISOString();
+      const placeholders = activeStatuses.map(() => "?").join(", ");
+
+      const row = db.prepare(`
+          SELECT id
+          FROM jobs
+          WHERE (status = 'queued' OR status IN (${placeholders}))
+            AND (leaseExpiresAt IS NULL OR leaseExpiresAt < ?)
+          ORDER BY createdAt ASC
+          LIMIT 1
+        `).get(...activeStatuses, nowIso);
+
+      if (!row) {
+        return null;
+      }
+
+      db.prepare(`
+          UPDATE jobs
+          SET leaseOwner = ?,
+              leaseExpiresAt = ?,
+              heartbeatAt = ?,
+              attempts = COALESCE(attempts, 0) + 1,
+              updatedAt = ?
+          WHERE id = ?
+        `).run(
+        workerId,
+        new Date(now.getTime() + leaseMs).toISOString(),
+        nowIso,
+        nowIso,
+        row.id
+      );
+
+      return getJobById(row.id);
+    });
+
+    return claim();
+  }
+
+  /**
+   * Extend a job lease. Returns false when the lease is no longer held by
+   * this worker (e.g. it expired and another worker took the job).
+   */
+  function heartbeatJob(id, workerId, leaseMs) {
+    const now = new Date();
+    const result = db.prepare(`
+        UPDATE jobs
+        SET heartbeatAt = ?,
+            leaseExpiresAt = ?
+        WHERE id = ? AND leaseOwner = ?
+      `).run(
+      now.toISOString(),
+      new Date(now.getTime() + leaseMs).toISOString(),
+      id,
+      workerId
+    );
+
+    return result.changes > 0;
+  }
+
+  function releaseJobLease(id, workerId) {
+    db.prepare(`
+        UPDATE jobs
+        SET leaseOwner = NULL,
+            leaseExpiresAt = NULL
+        WHERE id = ? AND leaseOwner = ?
+      `).run(id, workerId);
+  }
+
+  /**
+   * Put jobs left in an active stage by a dead worker back on the queue.
+   * Returns the number of jobs requeued.
+   */
+  function requeueOrphanedJobs(activeStatuses) {
+    const nowIso = new Date().toISOString();
+    const placeholders = activeStatuses.map(() => "?").join(", ");
+
+    const result = db.prepare(`
+        UPDATE jobs
+        SET status = 'queued',
+            leaseOwner = NULL,
+            leaseExpiresAt = NULL,
+            updatedAt = ?
+        WHERE status IN (${placeholders})
+          AND (leaseExpiresAt IS NULL OR leaseExpiresAt < ?)
+      `).run(nowIso, ...activeStatuses, nowIso);
+
+    return result.changes;
+  }
+
   /**
    * Get all jobs (newest first)
    */
@@ -496,6 +1329,150 @@ function createSqliteDb(Database) {
     return stmt.all();
   }
 
+  /**
+   * Replace the search documents of one source record.
+   * source = { sourceType, sourceId, jobId, precallPlanId, createdAt }
+   * documents = [{ field, body }]
+   */
+  function replaceSearchDocuments(source, documents) {
+    const insert = db.prepare(`
+        INSERT INTO search_documents (
+          body, sourceType, sourceId, field, jobId, precallPlanId, createdAt
+        ) VALUES (?, ?, ?, ?, ?, ?, ?)
+      `);
+
+    db.transaction(() => {
+      db.prepare(
+        "DELETE FROM search_documents WHERE sourceType = ? AND sourceId = ?"
+      ).run(source.sourceType, source.sourceId);
+
+      for (const document of documents) {
+        insert.run(
+          document.body,
+          source.sourceType,
+          source.sourceId,
+          document.field,
+          source.jobId || null,
+          source.precallPlanId || null,
+          source.createdAt || null
+        );
+      }
+    })();
+  }
+
+  function countSearchDocuments() {
+    return db.prepare("SELECT COUNT(*) AS count FROM search_documents").get().count;
+  }
+
+  /**
+   * Best matches for all of `terms` (the last one as a prefix), best first.
+   * Snippets mark matches with \u0002 ... \u0003.
+   */
+  function searchDocuments(terms, { sourceTypes = [], limit = 20 } = {}) {
+    const match = terms
+      .map((term, index) => {
+        const quoted = `"${term.replace(/"/g, '""')}"`;
+        return index === terms.length - 1 ? `${quoted}*` : quoted;
+      })
+      .join(" ");
+
+    const placeholders = sourceTypes.map(() => "?").join(", ");
+    const typeFilter = sourceTypes.length ? `AND sourceType IN (${placeholders})` : "";
+
+    return db.prepare(`
+        SELECT
+          sourceType,
+          sourceId,
+          field,
+          jobId,
+          precallPlanId,
+          createdAt,
+          snippet(search_documents, 0, char(2), char(3), '…', 16) AS snippet
+        FROM search_documents
+        WHERE search_documents MATCH ?
+          ${typeFilter}
+        ORDER BY bm25(search_documents)
+        LIMIT ?
+      `).all(match, ...sourceTypes, limit);
+  }
+
+  /**
+   * One page of jobs for the job list.
+   *
+   * options = {
+   *   status, emailStatus,         // exact match
+   *   from, to,                    // createdAt range, ISO strings, `to` exclusive
+   *   clientName,                  // case-insensitive prefix
+   *   clientIndustry,              // case-insensitive exact match
+   *   sort,                        // "createdAt" or "updatedAt"
+   *   descending,                  // newest first (default)
+   *   after,                       // { value, id } of the last row of the previous page
+   *   limit,
+   * }
+   *
+   * Rows are ordered by (sort, id) so the cursor is stable across equal timestamps.
+   */
+  function listJobs({
+    status,
+    emailStatus,
+    from,
+    to,
+    clientName,
+    clientIndustry,
+    sort = "createdAt",
+    descending = true,
+    after = null,
+    limit = 50,
+  } = {}) {
+    const sortColumn = sort === "updatedAt" ? "updatedAt" : "createdAt";
+    const direction = descending ? "DESC" : "ASC";
+    const conditions = [];
+    const params = { limit };
+
+    if (status) {
+      conditions.push("status = @status");
+      params.status = status;
+    }
+    if (emailStatus) {
+      conditions.push("emailStatus = @emailStatus");
+      params.emailStatus = emailStatus;
+    }
+    if (from) {
+      conditions.push("createdAt >= @from");
+      params.from = from;
+    }
+    if (to) {
+      conditions.push("createdAt < @to");
+      params.to = to;
+    }
+    if (clientName) {
+      conditions.push("clientName LIKE @clientName ESCAPE '\\'");
+      params.clientName = `${clientName.replace(/[\\%_]/g, "\\$&")}%`;
+    }
+    if (clientIndustry) {
+      conditions.push("clientIndustry = @clientIndustry");
+      params.clientIndustry = clientIndustry;
+    }
+    if (after) {
+      const op = descending ? "<" : ">";
+      conditions.push(
+        `(${sortColumn} ${op} @afterValue OR (${sortColumn} = @afterValue AND id ${op} @afterId))`
+      );
+      params.afterValue = after.value;
+      params.afterId = after.id;
+    }
+
+    const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+
+    return db.prepare(`
+        SELECT *
+        FROM jobs
+        ${where}
+        ORDER BY ${sortColumn} ${direction}, id ${direction}
+        LIMIT @limit
+      `).all(params);
+  }
+
   /**
    * Get a single job by id
    */
@@ -509,15 +1486,78 @@ function createSqliteDb(Database) {
   }
 
   /**
-   * Delete a job record by id
+   * Newest job whose upload has the given content hash, ignoring jobs in
+   * `excludeStatuses`. Returns undefined when there is none.
+   */
+  function findJobByContentHash(contentHash, { excludeStatuses = [] } = {}) {
+    const placeholders = excludeStatuses.map(() => "?").join(", ");
+    const statusFilter = excludeStatuses.length
+      ? `AND status NOT IN (${placeholders})`
+      : "";
+
+    return db.prepare(`
+        SELECT *
+        FROM jobs
+        WHERE contentHash = ?
+          ${statusFilter}
+        ORDER BY createdAt DESC
+        LIMIT 1
+      `).get(contentHash, ...excludeStatuses);
+  }
+
+  /**
+   * Jobs analysed before `cutoff` whose audio is still on disk, ignoring
+   * jobs in `excludeStatuses`. Jobs analysed before analyzedAt was recorded
+   * fall back to updatedAt.
+   */
+  function getJobsWithAudioAnalyzedBefore(cutoff, { excludeStatuses = [] } = {}) {
+    const placeholders = excludeStatuses.map(() => "?").join(", ");
+    const statusFilter = excludeStatuses.length
+      ? `AND status NOT IN (${placeholders})`
+      : "";
+
+    return db.prepare(`
+        SELECT *
+        FROM jobs
+        WHERE analysisJson IS NOT NULL
+          AND COALESCE(storageKey, filename) IS NOT NULL
+          AND audioDeletedAt IS NULL
+          AND COALESCE(analyzedAt, updatedAt) < ?
+          ${statusFilter}
+      `).all(cutoff, ...excludeStatuses);
+  }
+
+  /**
+   * Delete a job record by id together with everything that belongs to it.
+   * Usage events are kept for cost reporting but detached from the job.
    */
   async function deleteJobById(id) {
-    const stmt = db.prepare(`
-        DELETE FROM jobs
-        WHERE id = ?
-      `);
+    db.transaction(() => {
+      db.prepare(`
+          UPDATE usage_events
+          SET jobId = NULL, postcallCoachingId = NULL
+          WHERE jobId = ?
+            OR postcallCoachingId IN (SELECT id FROM postcall_coaching WHERE jobId = ?)
+        `).run(id, id);
+
+      for (const table of [
+        "transcripts",
+        "analysis_runs",
+        "postcall_coaching",
+        "call_checklists",
+        "call_scorecards",
+        "call_metrics",
+        "job_attempts",
+        "search_documents",
+      ]) {
+        db.prepare(`DELETE FROM ${table} WHERE jobId = ?`).run(id);
+      }
 
-    stmt.run(id);
+      db.prepare(`
+          DELETE FROM jobs
+          WHERE id = ?
+        `).run(id);
+    })();
   }
 
   return {
@@ -529,13 +1569,44 @@ function createSqliteDb(Database) {
     deletePrecallPlanById,
     savePostcallCoaching,
     getLatestPostcallCoachingByJobId,
+    getPostcallCoachingByJobId,
+    getLatestPostcallCoachingPerJob,
+    getPostcallCoachingById,
+    updatePostcallCoachingEmail,
     saveCallChecklist,
     getLatestCallChecklistByJobId,
+    getCallChecklistsByJobId,
+    saveCallScorecard,
+    getCallScorecardsByJobId,
+    getRankedCallScorecards,
+    saveCallMetrics,
+    getCallMetricsByJobId,
+    saveTranscript,
+    getTranscriptByJobId,
+    updateTranscriptSegments,
+    saveTranscriptSectionNotes,
     getUserSettings,
     upsertUserSettings,
     updateJob,
+    createJobAttempt,
+    finishJobAttempt,
+    getJobAttemptsByJobId,
+    saveAnalysisRun,
+    getAnalysisRunsByJobId,
+    recordUsageEvent,
+    getUsageEvents,
+    claimNextJob,
+    heartbeatJob,
+    releaseJobLease,
+    requeueOrphanedJobs,
     getJobs,
+    listJobs,
+    replaceSearchDocuments,
+    countSearchDocuments,
+    searchDocuments,
     getJobById,
+    findJobByContentHash,
+    getJobsWithAudioAnalyzedBefore,
     deleteJobById,
   };
 }
@@ -545,6 +1616,13 @@ function createInMemoryDb() {
   const jobsById = new Map();
   const postcallCoachingRecords = [];
   const callChecklists = [];
+  const callScorecards = [];
+  const callMetricsByJobId = new Map();
+  const transcriptsByJobId = new Map();
+  const jobAttempts = [];
+  const usageEvents = [];
+  const analysisRuns = [];
+  const searchDocumentsList = [];
   let userSettings = null;
 
   function initDb() {
@@ -565,6 +1643,21 @@ function createInMemoryDb() {
       error: job.error || null,
       emailStatus: job.emailStatus || null,
       emailSentAt: job.emailSentAt || null,
+      leaseOwner: null,
+      leaseExpiresAt: null,
+      heartbeatAt: null,
+      attempts: 0,
+      resumeStage: null,
+      progressJson: null,
+      validationJson: null,
+      contentHash: job.contentHash || null,
+      duplicateOf: job.duplicateOf || null,
+      audioContainer: job.audioContainer || null,
+      audioCodec: job.audioCodec || null,
+      audioDurationSeconds: job.audioDurationSeconds ?? null,
+      audioSizeBytes: job.audioSizeBytes ?? null,
+      storageKey: job.storageKey || null,
+      precallPlanId: job.precallPlanId || null,
     };
 
     jobsById.set(record.id, record);
@@ -588,6 +1681,10 @@ function createInMemoryDb() {
       briefingJson: plan.briefingJson,
       checklistJson: plan.checklistJson,
       coachingJson: plan.coachingJson || null,
+      validationJson: plan.validationJson || null,
+      promptId: plan.promptId || null,
+      promptVersion: plan.promptVersion ?? null,
+      model: plan.model || null,
     };
 
     // In-memory store: reuse jobs arrays/maps semantics but separate structure
@@ -622,6 +1719,16 @@ function createInMemoryDb() {
   }
 
   function deletePrecallPlanById(id) {
+    removeSearchDocuments(
+      (document) => document.sourceType === "precall-plan" && document.sourceId === id
+    );
+    const now = new Date().toISOString();
+    for (const job of jobs) {
+      if (job.precallPlanId === id) {
+        job.precallPlanId = null;
+        job.updatedAt = now;
+      }
+    }
     jobsById.delete(`precall:${id}`);
   }
 
@@ -631,9 +1738,14 @@ function createInMemoryDb() {
     precallPlanId,
     createdAt,
     coachingJson,
+    validation = null,
+    promptId = null,
+    promptVersion = null,
+    model = null,
     emailStatus = null,
     emailSentAt = null,
     error = null,
+    extraNotes = null,
   }) {
     const record = {
       id,
@@ -641,9 +1753,14 @@ function createInMemoryDb() {
       precallPlanId: precallPlanId || null,
       createdAt,
       coachingJson: JSON.stringify(coachingJson),
+      validationJson: validation ? JSON.stringify(validation) : null,
+      promptId,
+      promptVersion,
+      model,
       emailStatus,
       emailSentAt,
       error,
+      extraNotes,
     };
 
     const existingIndex = postcallCoachingRecords.findIndex(
@@ -673,27 +1790,40 @@ function createInMemoryDb() {
       }
     }
 
-    if (!latest) {
-      return null;
-    }
+    return latest ? mapPostcallCoachingRow(latest) : null;
+  }
 
-    let coaching;
-    try {
-      coaching = JSON.parse(latest.coachingJson);
-    } catch {
-      coaching = null;
+  function getPostcallCoachingById(id) {
+    const record = postcallCoachingRecords.find((entry) => entry.id === id);
+    return record ? mapPostcallCoachingRow(record) : null;
+  }
+
+  function getLatestPostcallCoachingPerJob({ from, to } = {}) {
+    const records = [];
+    for (const job of jobs) {
+      if ((from && job.createdAt < from) || (to && job.createdAt >= to)) {
+        continue;
+      }
+      const latest = getLatestPostcallCoachingByJobId(job.id);
+      if (latest) {
+        records.push({ ...latest, callCreatedAt: job.createdAt });
+      }
     }
+    return records.sort((a, b) => (a.callCreatedAt < b.callCreatedAt ? -1 : 1));
+  }
 
-    return {
-      id: latest.id,
-      jobId: latest.jobId,
-      precallPlanId: latest.precallPlanId,
-      createdAt: latest.createdAt,
-      coaching,
-      emailStatus: latest.emailStatus,
-      emailSentAt: latest.emailSentAt,
-      error: latest.error,
-    };
+  function getPostcallCoachingByJobId(jobId) {
+    return postcallCoachingRecords
+      .filter((entry) => entry.jobId === jobId)
+      .sort((a, b) => new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime())
+      .map(mapPostcallCoachingRow);
+  }
+
+  function updatePostcallCoachingEmail(id, { emailStatus, emailSentAt = null, error = null }) {
+    const record = postcallCoachingRecords.find((entry) => entry.id === id);
+    if (record) {
+      Object.assign(record, { emailStatus, emailSentAt, error });
+    }
   }
 
   function saveCallChecklist({
@@ -702,6 +1832,10 @@ function createInMemoryDb() {
     precallPlanId,
     createdAt,
     coverageJson,
+    validation = null,
+    promptId = null,
+    promptVersion = null,
+    model = null,
   }) {
     const record = {
       id,
@@ -709,6 +1843,10 @@ function createInMemoryDb() {
       precallPlanId: precallPlanId || null,
       createdAt,
       coverageJson: JSON.stringify(coverageJson),
+      validationJson: validation ? JSON.stringify(validation) : null,
+      promptId,
+      promptVersion,
+      model,
     };
 
     const existingIndex = callChecklists.findIndex((entry) => entry.id === id);
@@ -736,24 +1874,122 @@ function createInMemoryDb() {
       }
     }
 
-    if (!latest) {
-      return null;
+    return latest ? mapCallChecklistRow(latest) : null;
+  }
+
+  function getCallChecklistsByJobId(jobId) {
+    return callChecklists
+      .filter((entry) => entry.jobId === jobId)
+      .sort((a, b) => new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime())
+      .map(mapCallChecklistRow);
+  }
+
+  function saveCallMetrics({ jobId, computedAt, metrics }) {
+    callMetricsByJobId.set(jobId, { jobId, computedAt, metricsJson: JSON.stringify(metrics) });
+  }
+
+  function getCallMetricsByJobId(jobId) {
+    const record = callMetricsByJobId.get(jobId);
+    return record ? mapCallMetricsRow(record) : null;
+  }
+
+  function saveCallScorecard(scorecard) {
+    callScorecards.push({
+      id: scorecard.id,
+      jobId: scorecard.jobId,
+      precallPlanId: scorecard.precallPlanId || null,
+      createdAt: scorecard.createdAt,
+      rubricJson: JSON.stringify(scorecard.rubric),
+      scoresJson: JSON.stringify(scorecard.scores),
+      totalScore: scorecard.totalScore ?? null,
+      coveragePercent: scorecard.coveragePercent ?? null,
+      validationJson: scorecard.validation ? JSON.stringify(scorecard.validation) : null,
+      promptId: scorecard.promptId || null,
+      promptVersion: scorecard.promptVersion ?? null,
+      model: scorecard.model || null,
+    });
+  }
+
+  function getCallScorecardsByJobId(jobId) {
+    return callScorecards
+      .filter((entry) => entry.jobId === jobId)
+      .sort((a, b) => new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime())
+      .map(mapCallScorecardRow);
+  }
+
+  function getRankedCallScorecards({ from, to, limit = 50 } = {}) {
+    const records = [];
+    for (const job of jobs) {
+      if ((from && job.createdAt < from) || (to && job.createdAt >= to)) {
+        continue;
+      }
+      const versions = getCallScorecardsByJobId(job.id);
+      if (versions.length) {
+        records.push({
+          ...versions[versions.length - 1],
+          clientName: job.clientName || null,
+          callCreatedAt: job.createdAt,
+        });
+      }
     }
+    return records
+      .sort(
+        (a, b) =>
+          (b.totalScore ?? -1) - (a.totalScore ?? -1) ||
+          (a.callCreatedAt < b.callCreatedAt ? 1 : -1)
+      )
+      .slice(0, limit);
+  }
 
-    let coverage;
-    try {
-      coverage = JSON.parse(latest.coverageJson);
-    } catch {
-      coverage = null;
+  function saveTranscript(transcript) {
+    const now = new Date().toISOString();
+    const existing = transcriptsByJobId.get(transcript.jobId);
+
+    transcriptsByJobId.set(transcript.jobId, {
+      id: existing ? existing.id : transcript.id,
+      jobId: transcript.jobId,
+      createdAt: existing
+        ? existing.createdAt
+        : transcript.createdAt || now,
+      updatedAt: now,
+      text: transcript.text,
+      model: transcript.model || null,
+      language: transcript.language || null,
+      durationSeconds:
+        typeof transcript.durationSeconds === "number"
+          ? transcript.durationSeconds
+          : null,
+      segments: Array.isArray(transcript.segments)
+        ? transcript.segments.map((segment) => ({ ...segment }))
+        : [],
+      sectionNotes: null,
+    });
+  }
+
+  function getTranscriptByJobId(jobId) {
+    const record = transcriptsByJobId.get(jobId);
+    return record
+      ? { ...record, segments: record.segments.map((segment) => ({ ...segment })) }
+      : null;
+  }
+
+  function updateTranscriptSegments(jobId, segments) {
+    const record = transcriptsByJobId.get(jobId);
+    if (!record) {
+      return false;
     }
 
-    return {
-      id: latest.id,
-      jobId: latest.jobId,
-      precallPlanId: latest.precallPlanId,
-      createdAt: latest.createdAt,
-      coverage,
-    };
+    record.segments = segments.map((segment) => ({ ...segment }));
+    record.sectionNotes = null;
+    record.updatedAt = new Date().toISOString();
+    return true;
+  }
+
+  function saveTranscriptSectionNotes(jobId, sectionNotes) {
+    const record = transcriptsByJobId.get(jobId);
+    if (record) {
+      record.sectionNotes = sectionNotes;
+    }
   }
 
   function getUserSettings() {
@@ -824,6 +2060,18 @@ function createInMemoryDb() {
       "error",
       "emailStatus",
       "emailSentAt",
+      "attempts",
+      "resumeStage",
+      "progressJson",
+      "validationJson",
+      "analysisPromptId",
+      "analysisPromptVersion",
+      "analysisModel",
+      "analyzedAt",
+      "audioDeletedAt",
+      "clientName",
+      "clientIndustry",
+      "precallPlanId",
     ];
 
     let hasUpdates = false;
@@ -841,6 +2089,158 @@ function createInMemoryDb() {
     job.updatedAt = new Date().toISOString();
   }
 
+  function createJobAttempt(attempt) {
+    jobAttempts.push({
+      id: attempt.id,
+      jobId: attempt.jobId,
+      fromStage: attempt.fromStage,
+      stage: attempt.fromStage,
+      status: "running",
+      startedAt: attempt.startedAt,
+      finishedAt: null,
+      error: null,
+    });
+  }
+
+  function finishJobAttempt(id, { status, stage, error = null }) {
+    const attempt = jobAttempts.find((entry) => entry.id === id);
+    if (!attempt) {
+      return;
+    }
+
+    attempt.status = status;
+    attempt.stage = stage;
+    attempt.error = error;
+    attempt.finishedAt = new Date().toISOString();
+  }
+
+  function getJobAttemptsByJobId(jobId) {
+    return jobAttempts
+      .filter((entry) => entry.jobId === jobId)
+      .sort((a, b) => (a.startedAt < b.startedAt ? -1 : 1))
+      .map((entry) => ({ ...entry }));
+  }
+
+  function saveAnalysisRun(run) {
+    analysisRuns.push({
+      id: run.id,
+      jobId: run.jobId,
+      createdAt: run.createdAt,
+      promptId: run.promptId,
+      promptVersion: run.promptVersion,
+      model: run.model,
+      resultSummary: run.resultSummary || null,
+      analysisJson: JSON.stringify(run.analysis),
+      validationJson: run.validation ? JSON.stringify(run.validation) : null,
+    });
+  }
+
+  function getAnalysisRunsByJobId(jobId) {
+    return analysisRuns
+      .filter((run) => run.jobId === jobId)
+      .sort((a, b) => (a.createdAt < b.createdAt ? -1 : 1))
+      .map(mapAnalysisRunRow);
+  }
+
+  function recordUsageEvent(event) {
+    usageEvents.push({
+      id: event.id,
+      createdAt: event.createdAt,
+      feature: event.feature,
+      provider: event.provider,
+      model: event.model || null,
+      jobId: event.jobId || null,
+      precallPlanId: event.precallPlanId || null,
+      postcallCoachingId: event.postcallCoachingId || null,
+      promptTokens: event.promptTokens || 0,
+      completionTokens: event.completionTokens || 0,
+      totalTokens: event.totalTokens || 0,
+      audioSeconds: event.audioSeconds || 0,
+      costUsd: typeof event.costUsd === "number" ? event.costUsd : null,
+    });
+  }
+
+  function getUsageEvents(filters = {}) {
+    return usageEvents
+      .filter(
+        (event) =>
+          (!filters.from || event.createdAt >= filters.from) &&
+          (!filters.to || event.createdAt < filters.to) &&
+          ["feature", "jobId", "precallPlanId"].every(
+            (key) => !filters[key] || event[key] === filters[key]
+          )
+      )
+      .sort((a, b) => (a.createdAt < b.createdAt ? -1 : 1))
+      .map((event) => ({ ...event }));
+  }
+
+  function claimNextJob({ workerId, leaseMs, activeStatuses }) {
+    const now = new Date();
+    const nowIso = now.toISOString();
+
+    const candidate = jobs
+      .filter(
+        (job) =>
+          (job.status === "queued" || activeStatuses.includes(job.status)) &&
+          (!job.leaseExpiresAt || job.leaseExpiresAt < nowIso)
+      )
+      .sort((a, b) => (a.createdAt < b.createdAt ? -1 : 1))[0];
+
+    if (!candidate) {
+      return null;
+    }
+
+    candidate.leaseOwner = workerId;
+    candidate.leaseExpiresAt = new Date(now.getTime() + leaseMs).toISOString();
+    candidate.heartbeatAt = nowIso;
+    candidate.attempts = (candidate.attempts || 0) + 1;
+    candidate.updatedAt = nowIso;
+
+    return { ...candidate };
+  }
+
+  function heartbeatJob(id, workerId, leaseMs) {
+    const job = jobsById.get(id);
+    if (!job || job.leaseOwner !== workerId) {
+      return false;
+    }
+
+    const now = new Date();
+    job.heartbeatAt = now.toISOString();
+    job.leaseExpiresAt = new Date(now.getTime() + leaseMs).toISOString();
+    return true;
+  }
+
+  function releaseJobLease(id, workerId) {
+    const job = jobsById.get(id);
+    if (!job || job.leaseOwner !== workerId) {
+      return;
+    }
+
+    job.leaseOwner = null;
+    job.leaseExpiresAt = null;
+  }
+
+  function requeueOrphanedJobs(activeStatuses) {
+    const nowIso = new Date().toISOString();
+    let count = 0;
+
+    for (const job of jobs) {
+      if (
+        activeStatuses.includes(job.status) &&
+        (!job.leaseExpiresAt || job.leaseExpiresAt < nowIso)
+      ) {
+        job.status = "queued";
+        job.leaseOwner = null;
+        job.leaseExpiresAt = null;
+        job.updatedAt = nowIso;
+        count += 1;
+      }
+    }
+
+    return count;
+  }
+
   function getJobs() {
     return jobs
       .slice()
@@ -851,16 +2251,179 @@ function createInMemoryDb() {
       .map((job) => ({ ...job }));
   }
 
+  function removeSearchDocuments(predicate) {
+    for (let index = searchDocumentsList.length - 1; index >= 0; index -= 1) {
+      if (predicate(searchDocumentsList[index])) {
+        searchDocumentsList.splice(index, 1);
+      }
+    }
+  }
+
+  function replaceSearchDocuments(source, documents) {
+    removeSearchDocuments(
+      (document) =>
+        document.sourceType === source.sourceType && document.sourceId === source.sourceId
+    );
+    for (const document of documents) {
+      searchDocumentsList.push({
+        body: document.body,
+        sourceType: source.sourceType,
+        sourceId: source.sourceId,
+        field: document.field,
+        jobId: source.jobId || null,
+        precallPlanId: source.precallPlanId || null,
+        createdAt: source.createdAt || null,
+      });
+    }
+  }
+
+  function countSearchDocuments() {
+    return searchDocumentsList.length;
+  }
+
+  function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  }
+
+  // Substring matching instead of FTS5: every term must occur in the body,
+  // ranked by how often they do
+  function searchDocuments(terms, { sourceTypes = [], limit = 20 } = {}) {
+    const pattern = new RegExp(terms.map(escapeRegExp).join("|"), "gi");
+
+    return searchDocumentsList
+      .filter((document) => !sourceTypes.length || sourceTypes.includes(document.sourceType))
+      .map((document) => {
+        const body = document.body.toLowerCase();
+        if (!terms.every((term) => body.includes(term.toLowerCase()))) {
+          return null;
+        }
+        const matches = Array.from(document.body.matchAll(pattern));
+        const first = matches[0].index;
+        const start = Math.max(0, document.body.lastIndexOf(" ", Math.max(0, first - 60)) + 1);
+        const endSpace = document.body.indexOf(" ", first + 100);
+        const end = endSpace === -1 ? document.body.length : endSpace;
+        const snippet =
+          (start > 0 ? "…" : "") +
+          document.body.slice(start, end).replace(pattern, "\u0002$&\u0003") +
+          (end < document.body.length ? "…" : "");
+
+        return {
+          sourceType: document.sourceType,
+          sourceId: document.sourceId,
+          field: document.field,
+          jobId: document.jobId,
+          precallPlanId: document.precallPlanId,
+          createdAt: document.createdAt,
+          snippet,
+          score: matches.length,
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ score, ...hit }) => hit);
+  }
+
+  function listJobs({
+    status,
+    emailStatus,
+    from,
+    to,
+    clientName,
+    clientIndustry,
+    sort = "createdAt",
+    descending = true,
+    after = null,
+    limit = 50,
+  } = {}) {
+    const sortColumn = sort === "updatedAt" ? "updatedAt" : "createdAt";
+    const sign = descending ? -1 : 1;
+    const compare = (a, b) => {
+      if (a[sortColumn] !== b[sortColumn]) {
+        return a[sortColumn] < b[sortColumn] ? -sign : sign;
+      }
+      return a.id < b.id ? -sign : a.id > b.id ? sign : 0;
+    };
+    const lower = (value) => String(value || "").toLowerCase();
+
+    return jobs
+      .filter(
+        (job) =>
+          (!status || job.status === status) &&
+          (!emailStatus || job.emailStatus === emailStatus) &&
+          (!from || job.createdAt >= from) &&
+          (!to || job.createdAt < to) &&
+          (!clientName || lower(job.clientName).startsWith(lower(clientName))) &&
+          (!clientIndustry || lower(job.clientIndustry) === lower(clientIndustry)) &&
+          (!after || compare(job, { [sortColumn]: after.value, id: after.id }) > 0)
+      )
+      .sort(compare)
+      .slice(0, limit)
+      .map((job) => ({ ...job }));
+  }
+
   function getJobById(id) {
     const job = jobsById.get(id);
     return job ? { ...job } : undefined;
   }
 
+  function findJobByContentHash(contentHash, { excludeStatuses = [] } = {}) {
+    const matches = jobs
+      .filter(
+        (job) =>
+          job.contentHash === contentHash && !excludeStatuses.includes(job.status)
+      )
+      .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+    return matches.length ? { ...matches[0] } : undefined;
+  }
+
+  function getJobsWithAudioAnalyzedBefore(cutoff, { excludeStatuses = [] } = {}) {
+    return jobs
+      .filter(
+        (job) =>
+          job.analysisJson &&
+          (job.storageKey || job.filename) &&
+          !job.audioDeletedAt &&
+          (job.analyzedAt || job.updatedAt) < cutoff &&
+          !excludeStatuses.includes(job.status)
+      )
+      .map((job) => ({ ...job }));
+  }
+
   async function deleteJobById(id) {
     if (!jobsById.has(id)) {
       return;
     }
 
+    const coachingIds = new Set(
+      postcallCoachingRecords
+        .filter((record) => record.jobId === id)
+        .map((record) => record.id)
+    );
+    for (const event of usageEvents) {
+      if (event.jobId === id || coachingIds.has(event.postcallCoachingId)) {
+        event.jobId = null;
+        event.postcallCoachingId = null;
+      }
+    }
+
+    for (const records of [
+      postcallCoachingRecords,
+      callChecklists,
+      callScorecards,
+      jobAttempts,
+      analysisRuns,
+    ]) {
+      for (let index = records.length - 1; index >= 0; index -= 1) {
+        if (records[index].jobId === id) {
+          records.splice(index, 1);
+        }
+      }
+    }
+    transcriptsByJobId.delete(id);
+    callMetricsByJobId.delete(id);
+    removeSearchDocuments((document) => document.jobId === id);
+
     jobsById.delete(id);
     const index = jobs.findIndex((job) => job.id === id);
     if (index >= 0) {
@@ -877,13 +2440,166 @@ function createInMemoryDb() {
     deletePrecallPlanById,
     savePostcallCoaching,
     getLatestPostcallCoachingByJobId,
+    getPostcallCoachingByJobId,
+    getLatestPostcallCoachingPerJob,
+    getPostcallCoachingById,
+    updatePostcallCoachingEmail,
     saveCallChecklist,
     getLatestCallChecklistByJobId,
+    getCallChecklistsByJobId,
+    saveCallScorecard,
+    getCallScorecardsByJobId,
+    getRankedCallScorecards,
+    saveCallMetrics,
+    getCallMetricsByJobId,
+    saveTranscript,
+    getTranscriptByJobId,
+    updateTranscriptSegments,
+    saveTranscriptSectionNotes,
     getUserSettings,
     upsertUserSettings,
     updateJob,
+    createJobAttempt,
+    finishJobAttempt,
+    getJobAttemptsByJobId,
+    saveAnalysisRun,
+    getAnalysisRunsByJobId,
+    recordUsageEvent,
+    getUsageEvents,
+    claimNextJob,
+    heartbeatJob,
+    releaseJobLease,
+    requeueOrphanedJobs,
     getJobs,
+    listJobs,
+    replaceSearchDocuments,
+    countSearchDocuments,
+    searchDocuments,
     getJobById,
+    findJobByContentHash,
+    getJobsWithAudioAnalyzedBefore,
     deleteJobById,
   };
 }
+
+function mapAnalysisRunRow(row) {
+  let analysis = null;
+  let validation = null;
+  try {
+    analysis = JSON.parse(row.analysisJson);
+    validation = row.validationJson ? JSON.parse(row.validationJson) : null;
+  } catch {
+    // Keep whatever parsed; a corrupt row should not break the list
+  }
+
+  return {
+    id: row.id,
+    jobId: row.jobId,
+    createdAt: row.createdAt,
+    promptId: row.promptId,
+    promptVersion: row.promptVersion,
+    model: row.model,
+    resultSummary: row.resultSummary,
+    analysis,
+    validation,
+  };
+}
+
+function mapPostcallCoachingRow(row) {
+  let coaching;
+  try {
+    coaching = JSON.parse(row.coachingJson);
+  } catch {
+    coaching = null;
+  }
+
+  let validation;
+  try {
+    validation = row.validationJson ? JSON.parse(row.validationJson) : null;
+  } catch {
+    validation = null;
+  }
+
+  return {
+    id: row.id,
+    jobId: row.jobId,
+    precallPlanId: row.precallPlanId,
+    createdAt: row.createdAt,
+    coaching,
+    validation,
+    promptId: row.promptId || null,
+    promptVersion: row.promptVersion ?? null,
+    model: row.model || null,
+    emailStatus: row.emailStatus,
+    emailSentAt: row.emailSentAt,
+    error: row.error,
+    extraNotes: row.extraNotes || null,
+  };
+}
+
+function mapCallChecklistRow(row) {
+  let coverage;
+  try {
+    coverage = JSON.parse(row.coverageJson);
+  } catch {
+    coverage = null;
+  }
+
+  let validation;
+  try {
+    validation = row.validationJson ? JSON.parse(row.validationJson) : null;
+  } catch {
+    validation = null;
+  }
+
+  return {
+    id: row.id,
+    jobId: row.jobId,
+    precallPlanId: row.precallPlanId,
+    createdAt: row.createdAt,
+    coverage,
+    validation,
+    promptId: row.promptId || null,
+    promptVersion: row.promptVersion ?? null,
+    model: row.model || null,
+  };
+}
+
+function mapCallScorecardRow(row) {
+  let rubric = null;
+  let scores = null;
+  let validation = null;
+  try {
+    rubric = JSON.parse(row.rubricJson);
+    scores = JSON.parse(row.scoresJson);
+    validation = row.validationJson ? JSON.parse(row.validationJson) : null;
+  } catch {
+    // Keep whatever parsed; a corrupt row should not break the list
+  }
+
+  return {
+    id: row.id,
+    jobId: row.jobId,
+    precallPlanId: row.precallPlanId || null,
+    createdAt: row.createdAt,
+    totalScore: row.totalScore ?? null,
+    coveragePercent: row.coveragePercent ?? null,
+    scores,
+    rubric,
+    validation,
+    promptId: row.promptId || null,
+    promptVersion: row.promptVersion ?? null,
+    model: row.model || null,
+  };
+}
+
+function mapCallMetricsRow(row) {
+  let metrics;
+  try {
+    metrics = JSON.parse(row.metricsJson);
+  } catch {
+    metrics = null;
+  }
+
+  return { jobId: row.jobId, computedAt: row.computedAt, metrics };
+}
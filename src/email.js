@@ -2,6 +2,7 @@
 // Email helper for sending discovery call summaries via SMTP using nodemailer
 
 const nodemailer = require("nodemailer");
+const logger = require("./logger");
 
 const {
   SMTP_HOST,
@@ -257,6 +258,117 @@ async function sendJobSummaryEmail(job) {
   }
 }
 
+function describeGoalAchieved(value) {
+  if (value === true) {
+    return "Yes";
+  }
+  if (value === false) {
+    return "No";
+  }
+  return typeof value === "string" && value.trim() ? value.trim() : "Unknown";
+}
+
+/**
+ * Build the plain-text post-call coaching email, in the same sections as
+ * the coaching screen.
+ */
+function buildPostcallCoachingBody(record, job) {
+  const coaching = (record && record.coaching) || {};
+  const clientName = (job && job.clientName) || "Unknown";
+  const lines = [];
+
+  lines.push("Kalyan AI - Post-Call Coaching");
+  lines.push("");
+  lines.push(`Client: ${clientName}`);
+  lines.push(`Call ID: ${record.jobId}`);
+  lines.push(`Coaching ID: ${record.id}`);
+  lines.push(`Created At: ${record.createdAt || "Unknown"}`);
+
+  lines.push("");
+  lines.push("== Goal & Outcome ==");
+  lines.push(
+    ...formatSection("Goal", coaching.goalSummary),
+    ...formatSection("Achieved", describeGoalAchieved(coaching.goalAchieved)),
+    ...formatSection("Comment", coaching.goalComment),
+  );
+
+  lines.push("");
+  lines.push("== Your Next Move ==");
+  lines.push(
+    ...formatSection("Primary Next Action", coaching.primaryNextAction),
+    ...formatSection("Steps", coaching.nextActionSteps),
+  );
+
+  lines.push("");
+  lines.push("== Client Follow-Up ==");
+  lines.push(...formatSection("Send the Client", coaching.followUpsForClient));
+
+  lines.push("");
+  lines.push("== Risk & Opportunity ==");
+  lines.push("");
+  lines.push(`Risk Level: ${coaching.riskLevel || "Unknown"}`);
+  lines.push(`Opportunity Size: ${coaching.opportunitySize || "Unknown"}`);
+
+  lines.push("");
+  lines.push("== Coaching ==");
+  lines.push(
+    ...formatSection("Strengths", coaching.strengths),
+    ...formatSection("Improvement Areas", coaching.improvementAreas),
+    ...formatSection("Missed Questions", coaching.missedQuestions),
+    ...formatSection("Coaching Tips", coaching.coachingTips),
+  );
+
+  return lines.join("\n");
+}
+
+/**
+ * Send a post-call coaching email to options.to, or NOTIFY_EMAIL.
+ * Returns true on success, false if sending was skipped or failed.
+ */
+async function sendPostcallCoachingEmail(record, options = {}) {
+  const recipient =
+    typeof options.to === "string" && options.to.trim()
+      ? options.to.trim()
+      : NOTIFY_EMAIL;
+
+  const logContext = { coachingId: record.id, jobId: record.jobId };
+
+  if (!recipient || !FROM_EMAIL) {
+    logger.warn(
+      logContext,
+      "sendPostcallCoachingEmail: recipient or FROM_EMAIL not configured; skipping email",
+    );
+    return false;
+  }
+
+  if (!transporter) {
+    logger.warn(
+      logContext,
+      "sendPostcallCoachingEmail: transporter not configured correctly; skipping email",
+    );
+    return false;
+  }
+
+  const clientName = (options.job && options.job.clientName) || "Unknown";
+  const subject = `Kalyan AI - Post-Call Coaching - ${clientName} - ${record.jobId}`;
+
+  try {
+    await transporter.sendMail({
+      from: FROM_EMAIL,
+      to: recipient,
+      subject,
+      text: buildPostcallCoachingBody(record, options.job),
+    });
+    return true;
+  } catch (err) {
+    logger.error(
+      { err, ...logContext },
+      "sendPostcallCoachingEmail: failed to send email",
+    );
+    return false;
+  }
+}
+
 async function sendPrecallPlanEmail(options = {}) {
   if (!FROM_EMAIL) {
     console.warn(
@@ -308,6 +420,8 @@ async function sendPrecallPlanEmail(options = {}) {
 
 module.exports = {
   buildJobSummaryBody,
+  buildPostcallCoachingBody,
   sendJobSummaryEmail,
+  sendPostcallCoachingEmail,
   sendPrecallPlanEmail,
 };
@@ -0,0 +1,48 @@
+// src/events.js
+// In-process event bus for job lifecycle events. The SSE endpoints
+// (GET /jobs/:id/events, GET /events) subscribe here.
+//
+// event = { id, type, jobId, at, ...data }
+//   job.status   { status, error }  status changes (queued -> ... -> done/error/cancelled)
+//   job.progress { progress }       per-chunk transcription progress
+//   job.deleted  {}
+
+const { EventEmitter } = require('events');
+
+const emitter = new EventEmitter();
+// One listener per open SSE connection
+emitter.setMaxListeners(0);
+
+let sequence = 0;
+
+function publishJobEvent(type, jobId, data = {}) {
+  sequence += 1;
+  const event = {
+    id: sequence,
+    type,
+    jobId,
+    at: new Date().toISOString(),
+    ...data,
+  };
+  emitter.emit('job', event);
+  return event;
+}
+
+/**
+ * Listen to job events, optionally for a single job.
+ * Returns a function that removes the listener.
+ */
+function subscribeToJobEvents(listener, { jobId } = {}) {
+  const handler = jobId
+    ? (event) => {
+        if (event.jobId === jobId) {
+          listener(event);
+        }
+      }
+    : listener;
+
+  emitter.on('job', handler);
+  return () => emitter.off('job', handler);
+}
+
+module.exports = { publishJobEvent, subscribeToJobEvents };
@@ -1,6 +1,9 @@
 require('dotenv').config({ override: true });
 const logger = require('./logger');
 const app = require('./server');
+const { startJobWorker } = require('./jobQueue');
+const { startRetentionSweeper } = require('./retention');
+const { rebuildSearchIndexIfEmpty } = require('./search');
 
 const port = process.env.PORT || 3001;
 
@@ -8,4 +11,13 @@ if (process.env.NODE_ENV !== 'test') {
   app.listen(port, () => {
     logger.info({ port }, 'Server listening');
   });
+
+  startJobWorker();
+  startRetentionSweeper();
+
+  try {
+    rebuildSearchIndexIfEmpty();
+  } catch (err) {
+    logger.error({ err }, 'Failed to build search index');
+  }
 }
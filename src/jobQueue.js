@@ -0,0 +1,253 @@
+// src/jobQueue.js
+// DB-backed discovery-call job queue with worker leasing and heartbeats.
+//
+// Jobs live in the `jobs` table; their `status` doubles as the queue state.
+// A worker leases a job before running it and keeps the lease alive with a
+// heartbeat. If the process dies mid-job the lease expires and the job is
+// picked up again (on startup or by the next poll).
+
+const os = require('os');
+const logger = require('./logger');
+const { publishJobEvent } = require('./events');
+const {
+  claimNextJob,
+  getJobById,
+  heartbeatJob,
+  releaseJobLease,
+  requeueOrphanedJobs,
+  updateJob,
+} = require('./db');
+
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  TRANSCRIBING: 'transcribing',
+  ANALYZING: 'analyzing',
+  EMAILING: 'emailing',
+  DONE: 'done',
+  ERROR: 'error',
+  CANCELLED: 'cancelled',
+};
+
+// Stages a worker can be in while holding a lease. 'processing' is the
+// pre-queue status and is treated as active so old rows get recovered.
+const ACTIVE_JOB_STATUSES = [
+  JOB_STATUS.TRANSCRIBING,
+  JOB_STATUS.ANALYZING,
+  JOB_STATUS.EMAILING,
+  'processing',
+];
+
+// Statuses after which a job will not change again unless it is retried
+const TERMINAL_JOB_STATUSES = [JOB_STATUS.DONE, JOB_STATUS.ERROR, JOB_STATUS.CANCELLED];
+
+const LEASE_MS = Number(process.env.JOB_LEASE_MS || 60000);
+const POLL_INTERVAL_MS = Number(process.env.JOB_POLL_INTERVAL_MS || 5000);
+const MAX_CONCURRENT_JOBS = Math.max(1, Number(process.env.JOB_CONCURRENCY || 1));
+const MAX_JOB_ATTEMPTS = Math.max(1, Number(process.env.JOB_MAX_ATTEMPTS || 3));
+
+const workerId = `${os.hostname()}:${process.pid}`;
+
+let jobHandler = null;
+let runningJobs = 0;
+let pollTimer = null;
+
+// Jobs this process is running, by job id: { controller, finished } where
+// `finished` settles once the handler has returned
+const runningRuns = new Map();
+
+/**
+ * Register the function that processes a single job id.
+ * It is called as handler(jobId, { signal }); `signal` aborts when the job
+ * is cancelled or this worker loses its lease (reason code LEASE_LOST), and
+ * the handler must not write to the job after that.
+ */
+function registerJobHandler(handler) {
+  jobHandler = handler;
+}
+
+/**
+ * Persist a job status change (plus any other job fields) and publish it
+ * as a job.status event.
+ */
+function setJobStatus(jobId, status, fields = {}) {
+  updateJob(jobId, { ...fields, status });
+  publishJobEvent('job.status', jobId, {
+    status,
+    error: fields.error != null ? fields.error : null,
+  });
+}
+
+/**
+ * Signal that a job row has been set to 'queued' and should be picked up.
+ */
+function enqueueJob(jobId) {
+  logger.info({ jobId }, 'Job queued');
+  publishJobEvent('job.status', jobId, { status: JOB_STATUS.QUEUED, error: null });
+  setImmediate(drainQueue);
+}
+
+function drainQueue() {
+  if (!jobHandler) {
+    return;
+  }
+
+  while (runningJobs < MAX_CONCURRENT_JOBS) {
+    let job;
+    try {
+      job = claimNextJob({
+        workerId,
+        leaseMs: LEASE_MS,
+        activeStatuses: ACTIVE_JOB_STATUSES,
+      });
+    } catch (err) {
+      logger.error({ err }, 'Failed to claim next job');
+      return;
+    }
+
+    if (!job) {
+      return;
+    }
+
+    runningJobs += 1;
+    runLeasedJob(job).finally(() => {
+      runningJobs -= 1;
+      setImmediate(drainQueue);
+    });
+  }
+}
+
+async function runLeasedJob(job) {
+  const jobId = job.id;
+
+  if (job.attempts > MAX_JOB_ATTEMPTS) {
+    const message = `Job abandoned after ${MAX_JOB_ATTEMPTS} attempts.`;
+    logger.error({ jobId, attempts: job.attempts }, message);
+    setJobStatus(jobId, JOB_STATUS.ERROR, {
+      resultSummary: message,
+      error: message,
+      emailStatus: 'error',
+    });
+    releaseJobLease(jobId, workerId);
+    return;
+  }
+
+  logger.info({ jobId, workerId, attempt: job.attempts }, 'Job leased');
+
+  const controller = new AbortController();
+  const run = { controller, finished: null };
+  runningRuns.set(jobId, run);
+
+  const heartbeat = setInterval(() => {
+    try {
+      if (!heartbeatJob(jobId, workerId, LEASE_MS)) {
+        // Another worker may already hold the job; stop before both write to it
+        logger.warn({ jobId, workerId }, 'Lost lease on running job; aborting it');
+        clearInterval(heartbeat);
+        const reason = new Error('Lost the job lease to another worker');
+        reason.code = 'LEASE_LOST';
+        controller.abort(reason);
+        return;
+      }
+      // Picks up cancellations made through another process
+      const row = getJobById(jobId);
+      if (row && row.status === JOB_STATUS.CANCELLED && !controller.signal.aborted) {
+        controller.abort();
+      }
+    } catch (err) {
+      logger.warn({ err, jobId }, 'Failed to heartbeat job');
+    }
+  }, Math.max(1000, Math.floor(LEASE_MS / 3)));
+  heartbeat.unref();
+
+  run.finished = (async () => {
+    try {
+      await jobHandler(jobId, { signal: controller.signal });
+    } catch (err) {
+      logger.error({ err, jobId }, 'Unhandled error from job handler');
+    } finally {
+      // After a lost lease this process may already be running the job again
+      if (runningRuns.get(jobId) === run) {
+        runningRuns.delete(jobId);
+      }
+      clearInterval(heartbeat);
+      try {
+        releaseJobLease(jobId, workerId);
+      } catch (err) {
+        logger.warn({ err, jobId }, 'Failed to release job lease');
+      }
+    }
+  })();
+  await run.finished;
+}
+
+/**
+ * Abort a job this process is running. Returns false when it is not
+ * running here (queued, finished, or leased by another process).
+ */
+function abortRunningJob(jobId) {
+  const run = runningRuns.get(jobId);
+  if (!run) {
+    return false;
+  }
+  run.controller.abort();
+  return true;
+}
+
+/**
+ * Abort a job this process is running and wait for its handler to return,
+ * so nothing writes to the job afterwards. Resolves to false when it is not
+ * running here.
+ */
+async function stopRunningJob(jobId) {
+  const run = runningRuns.get(jobId);
+  if (!run) {
+    return false;
+  }
+  run.controller.abort();
+  await run.finished;
+  return true;
+}
+
+/**
+ * Recover jobs orphaned by a previous process and start polling the queue.
+ */
+function startJobWorker() {
+  if (pollTimer) {
+    return;
+  }
+
+  try {
+    const recovered = requeueOrphanedJobs(ACTIVE_JOB_STATUSES);
+    if (recovered > 0) {
+      logger.warn({ recovered }, 'Requeued jobs orphaned by a previous run');
+    }
+  } catch (err) {
+    logger.error({ err }, 'Failed to requeue orphaned jobs');
+  }
+
+  pollTimer = setInterval(drainQueue, POLL_INTERVAL_MS);
+  pollTimer.unref();
+  drainQueue();
+
+  logger.info({ workerId, concurrency: MAX_CONCURRENT_JOBS }, 'Job worker started');
+}
+
+function stopJobWorker() {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+}
+
+module.exports = {
+  JOB_STATUS,
+  ACTIVE_JOB_STATUSES,
+  TERMINAL_JOB_STATUSES,
+  registerJobHandler,
+  setJobStatus,
+  enqueueJob,
+  abortRunningJob,
+  stopRunningJob,
+  startJobWorker,
+  stopJobWorker,
+};
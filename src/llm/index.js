@@ -0,0 +1,88 @@
+// src/llm/index.js
+// Entry point for model calls. The provider is picked by LLM_PROVIDER
+// ("openai" by default, "stub" for offline tests and demos).
+//
+// Provider interface:
+//   name
+//   isConfigured() -> boolean
+//   complete({ feature, model, messages, responseFormat, temperature, signal, context })
+//     -> { content, model, usage: { promptTokens, completionTokens, totalTokens } }
+//   transcribe({ feature, model, filePath | buffer, fileName, language, signal, context })
+//     -> { text, language, duration, segments, model }
+//
+// `signal` (AbortSignal) cancels an in-flight call.
+// Every call is recorded in usage_events; `context` links it to a record:
+// { jobId?, precallPlanId?, postcallCoachingId? }
+
+const logger = require('../logger');
+const { MODELS } = require('./models');
+const { createOpenAiProvider } = require('./providers/openai');
+const { createStubProvider } = require('./providers/stub');
+const { recordModelUsage } = require('./usage');
+
+const PROVIDER_FACTORIES = {
+  openai: createOpenAiProvider,
+  stub: createStubProvider,
+};
+
+const JSON_OBJECT_FORMAT = { type: 'json_object' };
+
+let provider = null;
+
+function withUsageRecording(baseProvider) {
+  return {
+    name: baseProvider.name,
+    isConfigured: baseProvider.isConfigured,
+
+    async complete(options) {
+      const result = await baseProvider.complete(options);
+      recordModelUsage({
+        feature: options.feature,
+        provider: baseProvider.name,
+        model: result.model || options.model,
+        context: options.context,
+        usage: result.usage || {},
+      });
+      return result;
+    },
+
+    async transcribe(options) {
+      const result = await baseProvider.transcribe(options);
+      recordModelUsage({
+        feature: options.feature,
+        provider: baseProvider.name,
+        model: result.model || options.model,
+        context: options.context,
+        usage: { audioSeconds: result.duration || 0 },
+      });
+      return result;
+    },
+  };
+}
+
+/**
+ * The configured provider, created on first use.
+ */
+function getLlmProvider() {
+  if (provider) {
+    return provider;
+  }
+
+  const name = String(process.env.LLM_PROVIDER || 'openai').trim().toLowerCase();
+  const factory = PROVIDER_FACTORIES[name];
+  if (!factory) {
+    throw new Error(
+      `Unknown LLM_PROVIDER "${name}". Expected one of: ${Object.keys(PROVIDER_FACTORIES).join(', ')}.`
+    );
+  }
+
+  provider = withUsageRecording(factory());
+  logger.info({ provider: provider.name }, 'LLM provider selected');
+  return provider;
+}
+
+module.exports = {
+  MODELS,
+  JSON_OBJECT_FORMAT,
+  getLlmProvider,
+};
@@ -0,0 +1,16 @@
+// src/llm/models.js
+// Model names per feature. Every name can be overridden with an env var so
+// switching models never needs a code change.
+
+const MODELS = {
+  analysis: process.env.ANALYSIS_MODEL || 'gpt-4.1-mini',
+  callScorecard: process.env.CALL_SCORECARD_MODEL || 'gpt-4.1-mini',
+  checklistCoverage: process.env.CHECKLIST_COVERAGE_MODEL || 'gpt-4.1-mini',
+  postcallCoaching: process.env.POSTCALL_COACHING_MODEL || 'gpt-5.1-mini',
+  precallPrep: process.env.PRECALL_PREP_MODEL || 'gpt-5.1-mini',
+  summary: process.env.SUMMARY_MODEL || 'gpt-4o-mini',
+  transcription:
+    process.env.TRANSCRIPTION_MODEL || process.env.WHISPER_MODEL || 'whisper-1',
+};
+
+module.exports = { MODELS };
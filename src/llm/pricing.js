@@ -0,0 +1,75 @@
+// src/llm/pricing.js
+// List prices (USD) used to estimate what each model call costs.
+// Chat models are priced per 1M tokens, transcription models per audio minute.
+// Prices change: override or extend with LLM_PRICING_JSON, e.g.
+//   {"gpt-4.1-mini":{"inputPerMillion":0.4,"outputPerMillion":1.6}}
+
+const logger = require('../logger');
+
+const DEFAULT_MODEL_PRICING = {
+  'gpt-4.1': { inputPerMillion: 2.0, outputPerMillion: 8.0 },
+  'gpt-4.1-mini': { inputPerMillion: 0.4, outputPerMillion: 1.6 },
+  'gpt-4.1-nano': { inputPerMillion: 0.1, outputPerMillion: 0.4 },
+  'gpt-4o': { inputPerMillion: 2.5, outputPerMillion: 10.0 },
+  'gpt-4o-mini': { inputPerMillion: 0.15, outputPerMillion: 0.6 },
+  'gpt-5': { inputPerMillion: 1.25, outputPerMillion: 10.0 },
+  'gpt-5-mini': { inputPerMillion: 0.25, outputPerMillion: 2.0 },
+  'gpt-5.1': { inputPerMillion: 1.25, outputPerMillion: 10.0 },
+  'gpt-5.1-mini': { inputPerMillion: 0.25, outputPerMillion: 2.0 },
+  'whisper-1': { audioPerMinute: 0.006 },
+  'gpt-4o-transcribe': { audioPerMinute: 0.006 },
+  'gpt-4o-mini-transcribe': { audioPerMinute: 0.003 },
+};
+
+function loadPricing() {
+  const raw = process.env.LLM_PRICING_JSON;
+  if (!raw) {
+    return DEFAULT_MODEL_PRICING;
+  }
+
+  try {
+    return { ...DEFAULT_MODEL_PRICING, ...JSON.parse(raw) };
+  } catch (err) {
+    logger.warn({ err }, 'Ignoring invalid LLM_PRICING_JSON');
+    return DEFAULT_MODEL_PRICING;
+  }
+}
+
+const MODEL_PRICING = loadPricing();
+
+/**
+ * Pricing for a model name. Dated snapshots ("gpt-4.1-mini-2025-04-14")
+ * fall back to the longest priced prefix.
+ */
+function findModelPricing(model) {
+  if (!model) {
+    return null;
+  }
+  if (MODEL_PRICING[model]) {
+    return MODEL_PRICING[model];
+  }
+
+  const prefix = Object.keys(MODEL_PRICING)
+    .filter((name) => model.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? MODEL_PRICING[prefix] : null;
+}
+
+/**
+ * Estimated cost in USD, or null when the model has no known price.
+ */
+function estimateCostUsd({ model, promptTokens = 0, completionTokens = 0, audioSeconds = 0 }) {
+  const pricing = findModelPricing(model);
+  if (!pricing) {
+    return null;
+  }
+
+  const cost =
+    (promptTokens / 1e6) * (pricing.inputPerMillion || 0) +
+    (completionTokens / 1e6) * (pricing.outputPerMillion || 0) +
+    (audioSeconds / 60) * (pricing.audioPerMinute || 0);
+
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+module.exports = { MODEL_PRICING, findModelPricing, estimateCostUsd };
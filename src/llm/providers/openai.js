@@ -0,0 +1,87 @@
+// src/llm/providers/openai.js
+// LLM provider backed by the official OpenAI SDK client.
+
+const fs = require('fs');
+const { toFile } = require('openai');
+const { openai } = require('../../openaiClient');
+const { messageContent } = require('../structuredJson');
+
+const NOT_CONFIGURED_MESSAGE = 'OpenAI client is not configured. Set OPENAI_API_KEY.';
+
+function mapUsage(usage) {
+  if (!usage) {
+    return { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+  }
+  const promptTokens = Number(usage.prompt_tokens) || 0;
+  const completionTokens = Number(usage.completion_tokens) || 0;
+  return {
+    promptTokens,
+    completionTokens,
+    totalTokens: Number(usage.total_tokens) || promptTokens + completionTokens,
+  };
+}
+
+function createOpenAiProvider() {
+  function requireClient() {
+    if (!openai) {
+      throw new Error(NOT_CONFIGURED_MESSAGE);
+    }
+    return openai;
+  }
+
+  async function complete({ model, messages, responseFormat, temperature, signal }) {
+    const request = { model, messages };
+    if (responseFormat) {
+      request.response_format = responseFormat;
+    }
+    if (typeof temperature === 'number') {
+      request.temperature = temperature;
+    }
+
+    const completion = await requireClient().chat.completions.create(request, { signal });
+
+    return {
+      content: messageContent(completion),
+      model: completion.model || model,
+      usage: mapUsage(completion.usage),
+    };
+  }
+
+  async function transcribe({ model, filePath, buffer, fileName, language, signal }) {
+    const file = filePath
+      ? fs.createReadStream(filePath)
+      : await toFile(buffer, fileName || 'audio.mp3');
+
+    // verbose_json gives us language, duration and segment timings
+    const request = {
+      file,
+      model,
+      response_format: 'verbose_json',
+      timestamp_granularities: ['segment'],
+    };
+    if (language) {
+      request.language = language;
+    }
+
+    const transcription = await requireClient().audio.transcriptions.create(request, { signal });
+    const result =
+      typeof transcription === 'string' ? { text: transcription } : transcription || {};
+
+    return {
+      text: typeof result.text === 'string' ? result.text : '',
+      language: result.language || null,
+      duration: typeof result.duration === 'number' ? result.duration : null,
+      segments: Array.isArray(result.segments) ? result.segments : [],
+      model,
+    };
+  }
+
+  return {
+    name: 'openai',
+    isConfigured: () => Boolean(openai),
+    complete,
+    transcribe,
+  };
+}
+
+module.exports = { createOpenAiProvider };
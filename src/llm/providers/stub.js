@@ -0,0 +1,67 @@
+// src/llm/providers/stub.js
+// Deterministic offline provider. Every feature answers with a fixture from
+// src/llm/fixtures, so the full upload -> analysis -> coaching flow runs
+// without OPENAI_API_KEY (tests, demos, local UI work).
+
+const fs = require('fs');
+const path = require('path');
+const { estimateTokens } = require('../../analysis/transcriptBudget');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+function readFixture(feature) {
+  for (const ext of ['.json', '.txt']) {
+    const fixturePath = path.join(FIXTURES_DIR, `${feature}${ext}`);
+    if (fs.existsSync(fixturePath)) {
+      return fs.readFileSync(fixturePath, 'utf8').trim();
+    }
+  }
+  throw new Error(`Stub LLM provider has no fixture for feature "${feature}".`);
+}
+
+function createStubProvider() {
+  async function complete({ feature, model, messages, signal }) {
+    if (signal) {
+      signal.throwIfAborted();
+    }
+    const content = readFixture(feature);
+    const promptText = (messages || [])
+      .map((message) => (typeof message.content === 'string' ? message.content : ''))
+      .join('\n');
+    const promptTokens = estimateTokens(promptText);
+    const completionTokens = estimateTokens(content);
+
+    return {
+      content,
+      model: model || 'stub',
+      usage: {
+        promptTokens,
+        completionTokens,
+        totalTokens: promptTokens + completionTokens,
+      },
+    };
+  }
+
+  async function transcribe({ feature, model, signal }) {
+    if (signal) {
+      signal.throwIfAborted();
+    }
+    const transcription = JSON.parse(readFixture(feature || 'transcription'));
+    return {
+      text: transcription.text,
+      language: transcription.language || null,
+      duration: typeof transcription.duration === 'number' ? transcription.duration : null,
+      segments: Array.isArray(transcription.segments) ? transcription.segments : [],
+      model: model || 'stub',
+    };
+  }
+
+  return {
+    name: 'stub',
+    isConfigured: () => true,
+    complete,
+    transcribe,
+  };
+}
+
+module.exports = { createStubProvider };
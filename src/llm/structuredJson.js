@@ -0,0 +1,126 @@
+// src/llm/structuredJson.js
+// Ask a model for JSON, validate it against a schema and give the model one
+// chance to repair an invalid reply using the validation errors.
+
+const logger = require('../logger');
+const { validateAgainstSchema } = require('../schemas/validate');
+
+/**
+ * Text content of the first choice of a chat completion ('' when missing).
+ */
+function messageContent(completion) {
+  return completion &&
+    Array.isArray(completion.choices) &&
+    completion.choices[0] &&
+    completion.choices[0].message &&
+    typeof completion.choices[0].message.content === 'string'
+    ? completion.choices[0].message.content.trim()
+    : '';
+}
+
+function checkResponse(raw, schema) {
+  const text = typeof raw === 'string' ? raw.trim() : '';
+  if (!text) {
+    return { value: undefined, violations: ['Response was empty'] };
+  }
+
+  let value;
+  try {
+    value = JSON.parse(text);
+  } catch (err) {
+    return {
+      value: undefined,
+      violations: [`Response is not valid JSON (${err.message})`],
+    };
+  }
+
+  // Every caller reads fields off the reply, so null, arrays and bare
+  // values count as a failed parse rather than a schema violation
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    const got = value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+    return {
+      value: undefined,
+      violations: [`Response must be a JSON object (got ${got})`],
+    };
+  }
+
+  return { value, violations: validateAgainstSchema(schema, value) };
+}
+
+function buildRepairPrompt(violations) {
+  return [
+    'Your previous reply did not match the required JSON schema. Problems found:',
+    ...violations.map((violation) => `- ${violation}`),
+    '',
+    'Reply again with the complete, corrected JSON object only. Keep all valid content, fix only what is listed, and do not add any text before or after the JSON.',
+  ].join('\n');
+}
+
+/**
+ * Run a JSON completion with validation and a single repair round-trip.
+ *
+ * options = {
+ *   messages,            // chat messages for the first request
+ *   schema,              // JSON Schema the reply must satisfy
+ *   complete,            // async (messages) => raw reply text
+ *   label,               // name used in logs and errors
+ * }
+ *
+ * Resolves to { value, validation } where validation is
+ * { valid, repaired, initialViolations, violations }. Replies that still
+ * violate the schema after the repair are returned with their violations;
+ * only a reply that is still not a JSON object after the repair throws
+ * (code INVALID_MODEL_JSON).
+ */
+async function completeValidatedJson({ messages, schema, complete, label }) {
+  const firstRaw = await complete(messages);
+  const first = checkResponse(firstRaw, schema);
+
+  if (first.value !== undefined && first.violations.length === 0) {
+    return {
+      value: first.value,
+      validation: { valid: true, repaired: false, initialViolations: [], violations: [] },
+    };
+  }
+
+  logger.warn(
+    { label, violations: first.violations },
+    'Model JSON failed validation; requesting repair',
+  );
+
+  const repairMessages = [
+    ...messages,
+    { role: 'assistant', content: typeof firstRaw === 'string' ? firstRaw : '' },
+    { role: 'user', content: buildRepairPrompt(first.violations) },
+  ];
+
+  const secondRaw = await complete(repairMessages);
+  const second = checkResponse(secondRaw, schema);
+
+  const usable = second.value !== undefined ? second : first;
+  if (usable.value === undefined) {
+    const error = new Error(`${label}: model did not return valid JSON`);
+    error.code = 'INVALID_MODEL_JSON';
+    error.violations = second.violations;
+    throw error;
+  }
+
+  if (usable.violations.length > 0) {
+    logger.warn(
+      { label, violations: usable.violations },
+      'Model JSON still invalid after repair; keeping it with recorded violations',
+    );
+  }
+
+  return {
+    value: usable.value,
+    validation: {
+      valid: usable.violations.length === 0,
+      repaired: usable === second && second.violations.length === 0,
+      initialViolations: first.violations,
+      violations: usable.violations,
+    },
+  };
+}
+
+module.exports = { completeValidatedJson, messageContent };
@@ -0,0 +1,139 @@
+// src/llm/usage.js
+// Records every model call in usage_events and rolls events up for reports.
+
+const crypto = require('crypto');
+const logger = require('../logger');
+const { recordUsageEvent } = require('../db');
+const { estimateCostUsd } = require('./pricing');
+
+const USAGE_PERIODS = {
+  day: (createdAt) => createdAt.slice(0, 10),
+  month: (createdAt) => createdAt.slice(0, 7),
+};
+
+/**
+ * Store one usage event. Never throws: losing a usage row must not fail
+ * the transcription or completion it describes.
+ *
+ * context = { jobId?, precallPlanId?, postcallCoachingId? }
+ */
+function recordModelUsage({ feature, provider, model, context, usage }) {
+  const promptTokens = usage.promptTokens || 0;
+  const completionTokens = usage.completionTokens || 0;
+  const audioSeconds = usage.audioSeconds || 0;
+
+  try {
+    recordUsageEvent({
+      id: crypto.randomUUID(),
+      createdAt: new Date().toISOString(),
+      feature: feature || 'unknown',
+      provider,
+      model,
+      jobId: context && context.jobId,
+      precallPlanId: context && context.precallPlanId,
+      postcallCoachingId: context && context.postcallCoachingId,
+      promptTokens,
+      completionTokens,
+      totalTokens: usage.totalTokens || promptTokens + completionTokens,
+      audioSeconds,
+      // Stub calls are free; everything else is priced from the model table
+      costUsd:
+        provider === 'stub'
+          ? 0
+          : estimateCostUsd({ model, promptTokens, completionTokens, audioSeconds }),
+    });
+  } catch (err) {
+    logger.warn({ err, feature, model }, 'Failed to record model usage');
+  }
+}
+
+function emptyTotals() {
+  return {
+    calls: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    totalTokens: 0,
+    audioSeconds: 0,
+    costUsd: 0,
+    unpricedCalls: 0,
+  };
+}
+
+function addEvent(totals, event) {
+  totals.calls += 1;
+  totals.promptTokens += event.promptTokens || 0;
+  totals.completionTokens += event.completionTokens || 0;
+  totals.totalTokens += event.totalTokens || 0;
+  totals.audioSeconds += event.audioSeconds || 0;
+  if (typeof event.costUsd === 'number') {
+    totals.costUsd += event.costUsd;
+  } else {
+    totals.unpricedCalls += 1;
+  }
+}
+
+function roundTotals(totals) {
+  return {
+    ...totals,
+    audioSeconds: Math.round(totals.audioSeconds * 10) / 10,
+    costUsd: Math.round(totals.costUsd * 1e6) / 1e6,
+  };
+}
+
+function summarizeByFeature(events) {
+  const byFeature = new Map();
+  for (const event of events) {
+    if (!byFeature.has(event.feature)) {
+      byFeature.set(event.feature, { feature: event.feature, models: new Set(), ...emptyTotals() });
+    }
+    const entry = byFeature.get(event.feature);
+    if (event.model) {
+      entry.models.add(event.model);
+    }
+    addEvent(entry, event);
+  }
+
+  return Array.from(byFeature.values())
+    .map((entry) => roundTotals({ ...entry, models: Array.from(entry.models).sort() }))
+    .sort((a, b) => b.costUsd - a.costUsd || a.feature.localeCompare(b.feature));
+}
+
+/**
+ * Roll usage events up into overall totals, per-feature totals and, when a
+ * period ("day" or "month") is given, per-period totals split by feature.
+ * Periods are UTC calendar days/months of the event timestamp.
+ */
+function summarizeUsage(events, { period } = {}) {
+  const totals = emptyTotals();
+  for (const event of events) {
+    addEvent(totals, event);
+  }
+
+  const summary = {
+    totals: roundTotals(totals),
+    byFeature: summarizeByFeature(events),
+  };
+
+  if (period) {
+    const bucketOf = USAGE_PERIODS[period];
+    const buckets = new Map();
+    for (const event of events) {
+      const key = bucketOf(event.createdAt);
+      if (!buckets.has(key)) {
+        buckets.set(key, []);
+      }
+      buckets.get(key).push(event);
+    }
+
+    summary.periods = Array.from(buckets.keys())
+      .sort()
+      .map((key) => {
+        const { totals: periodTotals, byFeature } = summarizeUsage(buckets.get(key));
+        return { period: key, totals: periodTotals, byFeature };
+      });
+  }
+
+  return summary;
+}
+
+module.exports = { USAGE_PERIODS, recordModelUsage, summarizeUsage };
@@ -0,0 +1,81 @@
+// src/precall/planMatching.js
+// Suggest the pre-call plan a discovery call belongs to by comparing the
+// client the analysis found (CLIENT_NAME) with each plan's company and
+// client names.
+
+// Legal-form and filler words that differ between how a rep types a company
+// name and how the model reports it
+const IGNORED_NAME_WORDS = new Set([
+  'the', 'and', 'inc', 'incorporated', 'llc', 'ltd', 'limited', 'plc', 'corp',
+  'corporation', 'co', 'company', 'gmbh', 'pty', 'group', 'holdings',
+]);
+
+const MIN_SUGGESTION_SCORE = 0.5;
+
+function nameTokens(name) {
+  const words =
+    String(name || '')
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .match(/[a-z0-9]+/g) || [];
+  return new Set(words.filter((word) => !IGNORED_NAME_WORDS.has(word)));
+}
+
+/**
+ * How well two organisation names agree, 0..1: 1 for the same name,
+ * 0.8 when one is a shortened form of the other, otherwise the share of
+ * words they have in common.
+ */
+function scoreNameMatch(a, b) {
+  const left = nameTokens(a);
+  const right = nameTokens(b);
+  if (left.size === 0 || right.size === 0) {
+    return 0;
+  }
+
+  const shared = [...left].filter((word) => right.has(word)).length;
+  if (shared === left.size && shared === right.size) {
+    return 1;
+  }
+  if (shared === Math.min(left.size, right.size)) {
+    return 0.8;
+  }
+  return shared / (left.size + right.size - shared);
+}
+
+/**
+ * Rank candidate plans for a job, best first. Plans are compared on
+ * companyName and clientName; among equal scores the plan created closest
+ * before the call wins.
+ * Returns [{ plan, matchedField, score }].
+ */
+function suggestPlansForJob(job, plans, { limit = 5 } = {}) {
+  if (!job || !job.clientName) {
+    return [];
+  }
+
+  const callTime = Date.parse(job.createdAt) || Date.now();
+  const distance = (plan) => {
+    const planTime = Date.parse(plan.createdAt) || 0;
+    // Plans made after the call are unlikely to be its prep; rank them last
+    return planTime <= callTime ? callTime - planTime : Number.MAX_SAFE_INTEGER - planTime;
+  };
+
+  return plans
+    .map((plan) => {
+      let best = { plan, matchedField: null, score: 0 };
+      for (const field of ['companyName', 'clientName']) {
+        const score = scoreNameMatch(job.clientName, plan[field]);
+        if (score > best.score) {
+          best = { plan, matchedField: field, score: Math.round(score * 100) / 100 };
+        }
+      }
+      return best;
+    })
+    .filter((match) => match.score >= MIN_SUGGESTION_SCORE)
+    .sort((a, b) => b.score - a.score || distance(a.plan) - distance(b.plan))
+    .slice(0, limit);
+}
+
+module.exports = { scoreNameMatch, suggestPlansForJob };
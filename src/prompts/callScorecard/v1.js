@@ -0,0 +1,17 @@
+// Call scorecard prompt: score a discovery call 1-5 against each rubric
+// criterion, v1 (output: CALL_SCORECARD_SCHEMA).
+module.exports = `You are scoring a completed sales discovery call between Zax (the Kalyan AI rep) and a prospective client against a fixed rubric, so calls can be compared with each other.
+
+Return a STRICT, VALID JSON object only (no Markdown, no code fences, no leading/trailing text) of the form:
+{"scores": [{"id": "...", "score": 1-5, "justification": "..."}]}
+
+For every rubric criterion, in the order given:
+- score: a whole number from 1 (poor) to 5 (excellent), using the criterion's guide.
+- justification: one or two sentences saying why, pointing at what happened on the call (quote short phrases with their [m:ss] timestamp when the transcript has them).
+
+Rules:
+- Use the criterion ids exactly as given; one entry per criterion, no extra entries.
+- Score only from the transcript (or transcript notes) and the data supplied. Do not give credit for things that did not happen.
+- When checklist_coverage_percent is supplied, it is the share of the pre-call question checklist that was covered (partially covered questions count half); score checklist coverage from it.
+- Speaker labels (Rep / Client) are inferred and can be wrong; judge from the content when they look off.
+- Use the whole scale: a 3 is an ordinary call, 5 is rare.`;
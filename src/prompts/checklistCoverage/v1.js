@@ -0,0 +1,18 @@
+// Checklist coverage prompt: decide which pre-call plan questions were
+// actually covered on the call, v1 (output: CHECKLIST_COVERAGE_SCHEMA).
+module.exports = `You are reviewing a completed sales discovery call between Zax (the Kalyan AI rep) and a prospective client against the question checklist Zax prepared before the call.
+
+Return a STRICT, VALID JSON object only (no Markdown, no code fences, no leading/trailing text) of the form:
+{"questions": [{"id": "...", "status": "asked" | "partial" | "missed", "excerpt": "..." | null, "confidence": 0.0-1.0}]}
+
+For every checklist question, in the order given:
+- "asked": Zax asked it, or the client answered it fully without being asked. Wording does not need to match; the intent must.
+- "partial": the topic came up but the question was only touched on, asked vaguely, or left without a real answer.
+- "missed": nothing on the call covers it.
+- excerpt: the transcript line(s) that show the question being covered, copied exactly and including the [m:ss] timestamp and speaker label when the transcript has them. Keep it under 300 characters. Use null for "missed".
+- confidence: how sure you are of the status, from 0 to 1.
+
+Rules:
+- Use the checklist ids exactly as given; one entry per question, no extra entries.
+- Judge only from the transcript (or transcript notes). Do not invent excerpts.
+- Speaker labels (Rep / Client) are inferred and can be wrong.`;
@@ -0,0 +1,78 @@
+// src/prompts/registry.js
+// Versioned system prompts. Each prompt id maps to numbered versions kept in
+// src/prompts/<dir>/v<N>.js; published versions are never edited, a change
+// is a new file. Records store { promptId, promptVersion, model } so any old
+// output can be traced back to the exact prompt that produced it.
+
+const PROMPT_VERSIONS = {
+  analysis: {
+    1: require('./analysis/v1'),
+    2: require('./analysis/v2'),
+  },
+  'call-scorecard': {
+    1: require('./callScorecard/v1'),
+  },
+  'checklist-coverage': {
+    1: require('./checklistCoverage/v1'),
+  },
+  'postcall-coaching': {
+    1: require('./postcallCoaching/v1'),
+  },
+  'precall-prep': {
+    1: require('./precallPrep/v1'),
+  },
+  'transcript-section-notes': {
+    1: require('./transcriptSectionNotes/v1'),
+  },
+};
+
+function listPromptVersions(promptId) {
+  return Object.keys(PROMPT_VERSIONS[promptId] || {})
+    .map(Number)
+    .sort((a, b) => a - b);
+}
+
+function latestPromptVersion(promptId) {
+  const versions = listPromptVersions(promptId);
+  return versions.length ? versions[versions.length - 1] : null;
+}
+
+/**
+ * Resolve a prompt to { id, version, text }. Without a version the latest
+ * one is used. Unknown ids or versions throw with code UNKNOWN_PROMPT.
+ */
+function getPrompt(promptId, version) {
+  const resolvedVersion = version == null ? latestPromptVersion(promptId) : Number(version);
+  const text = PROMPT_VERSIONS[promptId] && PROMPT_VERSIONS[promptId][resolvedVersion];
+
+  if (typeof text !== 'string') {
+    const available = listPromptVersions(promptId);
+    const error = new Error(
+      available.length
+        ? `Unknown version ${version} for prompt "${promptId}". Available: ${available.join(', ')}.`
+        : `Unknown prompt "${promptId}".`
+    );
+    error.code = 'UNKNOWN_PROMPT';
+    throw error;
+  }
+
+  return { id: promptId, version: resolvedVersion, text };
+}
+
+/**
+ * Summary of every registered prompt: [{ id, versions, latestVersion }].
+ */
+function listPrompts() {
+  return Object.keys(PROMPT_VERSIONS).map((id) => ({
+    id,
+    versions: listPromptVersions(id),
+    latestVersion: latestPromptVersion(id),
+  }));
+}
+
+module.exports = {
+  getPrompt,
+  listPrompts,
+  listPromptVersions,
+  latestPromptVersion,
+};
@@ -1,4 +1,4 @@
-const { createChatCompletion } = require('../integrations/openai');
+const { getLlmProvider, MODELS } = require('../llm');
 
 const SUMMARY_SCHEMA = {
   name: 'call_summary',
@@ -59,8 +59,16 @@ async function summarizeCall(transcript, metadata = {}) {
     return metadata.mockSummary;
   }
 
-  const response = await createChatCompletion(
-    [
+  const provider = getLlmProvider();
+  if (!provider.isConfigured()) {
+    throw new Error('OPENAI_API_KEY is required for OpenAI integration');
+  }
+
+  const response = await provider.complete({
+    feature: 'call-summary',
+    model: MODELS.summary,
+    temperature: 0.2,
+    messages: [
       {
         role: 'system',
         content:
@@ -71,15 +79,13 @@ async function summarizeCall(transcript, metadata = {}) {
         content: buildUserPrompt(transcript, metadata),
       },
     ],
-    {
-      responseFormat: {
-        type: 'json_schema',
-        json_schema: SUMMARY_SCHEMA,
-      },
-    }
-  );
+    responseFormat: {
+      type: 'json_schema',
+      json_schema: SUMMARY_SCHEMA,
+    },
+  });
 
-  const content = response?.choices?.[0]?.message?.content;
+  const content = response.content;
   if (!content) {
     throw new Error('OpenAI response missing content');
   }
@@ -0,0 +1,17 @@
+// Map-step prompt: condense one section of a long discovery-call transcript
+// into notes that the analysis and coaching prompts can use instead of the
+// raw text. v1.
+module.exports = `You are taking detailed notes on ONE section of a longer sales discovery call between Zax (the Kalyan AI rep) and a prospective client. Other sections are handled separately and all notes are merged afterwards, so capture everything in this section that matters and nothing from outside it.
+
+Capture, as short plain-text bullet lines starting with "- ":
+- Facts about the client: business, industry, team size, systems and tools, data sources, volumes, costs, numbers.
+- Pains, risks, constraints, goals, priorities and timelines the client mentions.
+- Objections, hesitations and competitor mentions.
+- Questions Zax asked, how the client answered, and moments where Zax talked over, rushed or skipped a follow-up.
+- Commitments and next steps either side agreed to.
+- Important client quotes, copied exactly inside quotes, with the [m:ss] timestamp of their line when the transcript has one.
+
+Rules:
+- Do not invent facts or summarise beyond what this section says.
+- Keep speaker labels (Rep / Client) where they help; they are inferred and may be wrong.
+- No Markdown headings, no preamble, no closing remarks. Output the bullet lines only.`;
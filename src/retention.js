@@ -0,0 +1,161 @@
+// src/retention.js
+// Audio retention and upload cleanup.
+//
+// Recordings are deleted AUDIO_RETENTION_DAYS after a successful analysis;
+// the job, transcript and analysis are kept. The same periodic sweep removes
+// stored recordings that no job references any more (failed uploads, audio
+// of deleted jobs).
+
+const logger = require('./logger');
+const { getStorage, jobStorageKey } = require('./storage');
+const { JOB_STATUS, ACTIVE_JOB_STATUSES } = require('./jobQueue');
+const { getJobs, getJobsWithAudioAnalyzedBefore, updateJob } = require('./db');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 0 (the default) keeps audio forever
+const AUDIO_RETENTION_DAYS = Number(process.env.AUDIO_RETENTION_DAYS || 0);
+const SWEEP_INTERVAL_MS = Number(process.env.RETENTION_SWEEP_INTERVAL_MS || 60 * 60 * 1000);
+// Younger objects are left alone: an upload in flight has no job row yet
+const ORPHAN_MIN_AGE_MS = Number(process.env.ORPHAN_UPLOAD_MIN_AGE_MS || 6 * 60 * 60 * 1000);
+
+// Jobs that may still read their audio
+const AUDIO_IN_USE_STATUSES = [JOB_STATUS.QUEUED, ...ACTIVE_JOB_STATUSES];
+
+let sweepTimer = null;
+let sweeping = false;
+let warnedUnscopedBucket = false;
+
+/**
+ * Delete the audio of jobs analysed more than `retentionDays` ago and mark
+ * them with audioDeletedAt. Returns the number of recordings removed.
+ */
+async function deleteExpiredAudio({ now = Date.now(), retentionDays = AUDIO_RETENTION_DAYS } = {}) {
+  if (!(retentionDays > 0)) {
+    return 0;
+  }
+
+  const cutoff = new Date(now - retentionDays * DAY_MS).toISOString();
+  const jobs = getJobsWithAudioAnalyzedBefore(cutoff, {
+    excludeStatuses: AUDIO_IN_USE_STATUSES,
+  });
+
+  let deleted = 0;
+  for (const job of jobs) {
+    const key = jobStorageKey(job);
+    try {
+      await getStorage().deleteObject(key);
+    } catch (err) {
+      logger.warn({ err, jobId: job.id, key }, 'Failed to delete expired audio');
+      continue;
+    }
+
+    updateJob(job.id, { audioDeletedAt: new Date(now).toISOString() });
+    deleted += 1;
+  }
+
+  if (deleted > 0) {
+    logger.info({ deleted, retentionDays }, 'Deleted audio past retention');
+  }
+  return deleted;
+}
+
+/**
+ * Remove stored recordings that no job references. Returns the number of
+ * objects removed.
+ * Skipped for an S3 bucket without S3_PREFIX: the listing would be the whole
+ * bucket, including objects this app never wrote.
+ */
+async function sweepOrphanedUploads({
+  now = Date.now(),
+  minAgeMs = ORPHAN_MIN_AGE_MS,
+  storage = getStorage(),
+} = {}) {
+  if (storage.name !== 'local' && !storage.prefix) {
+    if (!warnedUnscopedBucket) {
+      warnedUnscopedBucket = true;
+      logger.warn(
+        { driver: storage.name },
+        'Skipping orphaned upload sweep: set S3_PREFIX so the sweep only sees recordings this app stored',
+      );
+    }
+    return 0;
+  }
+
+  const referenced = new Set();
+  for (const job of getJobs()) {
+    if (!job.audioDeletedAt && jobStorageKey(job)) {
+      referenced.add(jobStorageKey(job));
+    }
+  }
+
+  let removed = 0;
+
+  for (const object of await storage.listObjects()) {
+    if (referenced.has(object.key) || now - object.lastModified < minAgeMs) {
+      continue;
+    }
+    try {
+      await storage.deleteObject(object.key);
+      removed += 1;
+    } catch (err) {
+      logger.warn({ err, key: object.key }, 'Failed to remove orphaned upload');
+    }
+  }
+
+  if (removed > 0) {
+    logger.info({ removed }, 'Removed orphaned uploads');
+  }
+  return removed;
+}
+
+/**
+ * One retention pass: expired audio first, then orphaned recordings.
+ */
+async function runRetentionSweep(options = {}) {
+  const audioDeleted = await deleteExpiredAudio(options);
+  const orphansRemoved = await sweepOrphanedUploads(options);
+  return { audioDeleted, orphansRemoved };
+}
+
+function startRetentionSweeper() {
+  if (sweepTimer) {
+    return;
+  }
+
+  const sweep = () => {
+    if (sweeping) {
+      return;
+    }
+    sweeping = true;
+    runRetentionSweep()
+      .catch((err) => logger.error({ err }, 'Retention sweep failed'))
+      .finally(() => {
+        sweeping = false;
+      });
+  };
+
+  sweepTimer = setInterval(sweep, SWEEP_INTERVAL_MS);
+  sweepTimer.unref();
+  sweep();
+
+  logger.info(
+    { retentionDays: AUDIO_RETENTION_DAYS || null, intervalMs: SWEEP_INTERVAL_MS },
+    'Retention sweeper started',
+  );
+}
+
+function stopRetentionSweeper() {
+  if (sweepTimer) {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+  }
+}
+
+module.exports = {
+  deleteExpiredAudio,
+  sweepOrphanedUploads,
+  runRetentionSweep,
+  startRetentionSweeper,
+  stopRetentionSweeper,
+};
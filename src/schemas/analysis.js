@@ -0,0 +1,34 @@
+// JSON Schema for the discovery-call analysis (ANALYSIS_PROMPT output).
+
+const ANALYSIS_KEYS = [
+  'CLIENT_NAME',
+  'CLIENT_INDUSTRY',
+  'CLIENT_OVERVIEW',
+  'TIME_EFFICIENCY',
+  'COSTS_RESOURCES',
+  'RISK_QUALITY',
+  'REVENUE_GROWTH',
+  'CUSTOMER_ENGAGEMENT',
+  'DATA_SYSTEMS',
+  'TOP_PRIORITY',
+  'READINESS_CONSTRAINTS',
+  'COMPETITION_CAPACITY',
+  'KEY_OUTCOMES',
+  'AUTOMATIONS_LIST',
+  'REVENUE_IDEAS',
+  'METRICS',
+  'RED_FLAGS',
+  'NEXT_STEPS',
+  'KEY_QUOTES',
+  'PLAN_LIST',
+];
+
+const ANALYSIS_SCHEMA = {
+  type: 'object',
+  required: ANALYSIS_KEYS,
+  properties: Object.fromEntries(
+    ANALYSIS_KEYS.map((key) => [key, { type: 'string', minLength: 1 }])
+  ),
+};
+
+module.exports = { ANALYSIS_KEYS, ANALYSIS_SCHEMA };
@@ -0,0 +1,24 @@
+// JSON Schema for the model's discovery-quality scorecard reply.
+
+const SCORECARD_SCORES = [1, 2, 3, 4, 5];
+
+const CALL_SCORECARD_SCHEMA = {
+  type: 'object',
+  required: ['scores'],
+  properties: {
+    scores: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'score', 'justification'],
+        properties: {
+          id: { type: 'string', minLength: 1 },
+          score: { type: 'integer', enum: SCORECARD_SCORES },
+          justification: { type: 'string', minLength: 1 },
+        },
+      },
+    },
+  },
+};
+
+module.exports = { SCORECARD_SCORES, CALL_SCORECARD_SCHEMA };
@@ -0,0 +1,25 @@
+// JSON Schema for the model's checklist coverage reply.
+
+const COVERAGE_STATUSES = ['asked', 'partial', 'missed'];
+
+const CHECKLIST_COVERAGE_SCHEMA = {
+  type: 'object',
+  required: ['questions'],
+  properties: {
+    questions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'status', 'excerpt', 'confidence'],
+        properties: {
+          id: { type: 'string', minLength: 1 },
+          status: { type: 'string', enum: COVERAGE_STATUSES },
+          excerpt: { type: ['string', 'null'] },
+          confidence: { type: 'number' },
+        },
+      },
+    },
+  },
+};
+
+module.exports = { COVERAGE_STATUSES, CHECKLIST_COVERAGE_SCHEMA };
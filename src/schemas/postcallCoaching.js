@@ -0,0 +1,38 @@
+// JSON Schema for the PostCallCoaching object returned by /postcall-coaching.
+
+const stringList = { type: 'array', items: { type: 'string', minLength: 1 } };
+
+const POSTCALL_COACHING_SCHEMA = {
+  type: 'object',
+  required: [
+    'goalSummary',
+    'goalAchieved',
+    'goalComment',
+    'strengths',
+    'improvementAreas',
+    'missedQuestions',
+    'coachingTips',
+    'followUpsForClient',
+    'primaryNextAction',
+    'nextActionSteps',
+    'riskLevel',
+    'opportunitySize',
+  ],
+  properties: {
+    goalSummary: { type: 'string', minLength: 1 },
+    // The prompt leaves the shape open; models answer true/false or "partially"
+    goalAchieved: { type: ['boolean', 'string'] },
+    goalComment: { type: 'string', minLength: 1 },
+    strengths: stringList,
+    improvementAreas: stringList,
+    missedQuestions: stringList,
+    coachingTips: stringList,
+    followUpsForClient: { type: ['string', 'array'] },
+    primaryNextAction: { type: 'string', minLength: 1 },
+    nextActionSteps: stringList,
+    riskLevel: { type: 'string', enum: ['low', 'medium', 'high'] },
+    opportunitySize: { type: 'string', enum: ['small', 'medium', 'large'] },
+  },
+};
+
+module.exports = { POSTCALL_COACHING_SCHEMA };
@@ -0,0 +1,70 @@
+// JSON Schema for the pre-call plan produced by generatePrecallPrep.
+
+const PRECALL_PLAN_SCHEMA = {
+  type: 'object',
+  required: [
+    'briefing',
+    'questionChecklist',
+    'coachingNotes',
+    'meetingSuccess',
+    'criticalTopics',
+    'emailSubject',
+    'emailBody',
+  ],
+  properties: {
+    briefing: {
+      type: 'object',
+      required: ['clientOverview', 'companyOverview', 'meetingFocus', 'websiteSummary'],
+      properties: {
+        clientOverview: { type: 'string', minLength: 1 },
+        companyOverview: { type: 'string', minLength: 1 },
+        meetingFocus: { type: 'string', minLength: 1 },
+        websiteSummary: { type: ['string', 'null'] },
+      },
+    },
+    questionChecklist: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['id', 'category', 'question', 'importance', 'source', 'tags'],
+        properties: {
+          id: { type: 'string', minLength: 1 },
+          category: {
+            type: 'string',
+            enum: ['discovery', 'process', 'value', 'timeline', 'budget', 'risk', 'other'],
+          },
+          question: { type: 'string', minLength: 1 },
+          importance: { type: 'string', enum: ['must-ask', 'core', 'nice-to-have'] },
+          source: { type: 'string', enum: ['website', 'goal', 'notes', 'generic'] },
+          tags: { type: 'array', minItems: 1, items: { type: 'string' } },
+        },
+      },
+    },
+    coachingNotes: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+    meetingSuccess: { type: 'string', minLength: 1 },
+    criticalTopics: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['title', 'whyItMatters', 'questionsToCover'],
+        properties: {
+          title: { type: 'string', minLength: 1 },
+          whyItMatters: { type: 'string', minLength: 1 },
+          questionsToCover: { type: 'array', items: { type: 'string' } },
+        },
+      },
+    },
+    metadata: {
+      type: 'object',
+      properties: {
+        version: { type: 'integer' },
+        callType: { type: 'string' },
+      },
+    },
+    emailSubject: { type: 'string', minLength: 1 },
+    emailBody: { type: 'string', minLength: 1 },
+  },
+};
+
+module.exports = { PRECALL_PLAN_SCHEMA };
@@ -0,0 +1,100 @@
+// src/schemas/validate.js
+// Minimal JSON Schema validator for the subset our model-output schemas use:
+// type, enum, required, properties, additionalProperties, items, minItems,
+// minLength. Returns human-readable violations that can be fed back to the
+// model in a repair prompt.
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') {
+    return actual === 'number' || actual === 'integer';
+  }
+  return actual === type;
+}
+
+function describe(path) {
+  return path || '(root)';
+}
+
+function validateNode(schema, value, path, errors) {
+  if (!schema || typeof schema !== 'object') {
+    return;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      errors.push(`${describe(path)} must be of type ${types.join(' or ')} (got ${typeOf(value)})`);
+      return;
+    }
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+    errors.push(
+      `${describe(path)} must be one of: ${schema.enum.map((v) => JSON.stringify(v)).join(', ')}`
+    );
+    return;
+  }
+
+  if (typeof value === 'string' && typeof schema.minLength === 'number') {
+    if (value.trim().length < schema.minLength) {
+      errors.push(`${describe(path)} must not be empty`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (typeof schema.minItems === 'number' && value.length < schema.minItems) {
+      errors.push(`${describe(path)} must contain at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        validateNode(schema.items, item, `${path}[${index}]`, errors);
+      });
+    }
+    return;
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    const prefix = path ? `${path}.` : '';
+
+    for (const key of schema.required || []) {
+      if (!Object.prototype.hasOwnProperty.call(value, key)) {
+        errors.push(`${prefix}${key} is required`);
+      }
+    }
+
+    for (const [key, childSchema] of Object.entries(properties)) {
+      if (Object.prototype.hasOwnProperty.call(value, key)) {
+        validateNode(childSchema, value[key], `${prefix}${key}`, errors);
+      }
+    }
+
+    if (schema.additionalProperties === false) {
+      for (const key of Object.keys(value)) {
+        if (!Object.prototype.hasOwnProperty.call(properties, key)) {
+          errors.push(`${prefix}${key} is not an allowed field`);
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Validate `value` against `schema`. Returns an array of violation strings
+ * (empty when valid).
+ */
+function validateAgainstSchema(schema, value) {
+  const errors = [];
+  validateNode(schema, value, '', errors);
+  return errors;
+}
+
+module.exports = { validateAgainstSchema };
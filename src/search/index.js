@@ -0,0 +1,259 @@
+// src/search/index.js
+// Full-text search over transcripts, job analyses, pre-call plans and
+// post-call coaching. Records are indexed as they are written; each
+// searchable field becomes one document so hits can name the field.
+
+const logger = require('../logger');
+const {
+  replaceSearchDocuments,
+  countSearchDocuments,
+  searchDocuments,
+  getJobs,
+  getJobById,
+  getTranscriptByJobId,
+  getRecentPrecallPlans,
+  getPrecallPlanById,
+  getLatestPostcallCoachingByJobId,
+} = require('../db');
+const { ANALYSIS_KEYS } = require('../schemas/analysis');
+
+const SEARCH_SOURCE_TYPES = ['transcript', 'analysis', 'precall-plan', 'postcall-coaching'];
+
+const MAX_SEARCH_TERMS = 10;
+
+/**
+ * All text in a value (strings of nested arrays/objects), one per line.
+ */
+function textOf(value) {
+  if (typeof value === 'string') {
+    return value.trim();
+  }
+  if (Array.isArray(value)) {
+    return value.map(textOf).filter(Boolean).join('\n');
+  }
+  if (value && typeof value === 'object') {
+    return Object.values(value).map(textOf).filter(Boolean).join('\n');
+  }
+  return '';
+}
+
+function fieldDocuments(object, prefix = '') {
+  if (!object || typeof object !== 'object') {
+    return [];
+  }
+  return Object.entries(object)
+    .map(([key, value]) => ({ field: `${prefix}${key}`, body: textOf(value) }))
+    .filter((document) => document.body);
+}
+
+function parseJson(value) {
+  if (typeof value !== 'string') {
+    return value || null;
+  }
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+function index(source, documents) {
+  try {
+    replaceSearchDocuments(source, documents);
+  } catch (err) {
+    // Search is best effort; a failed index write never fails the caller
+    logger.warn({ err, sourceType: source.sourceType, sourceId: source.sourceId }, 'Failed to index for search');
+  }
+}
+
+function indexTranscript(transcript) {
+  if (!transcript) {
+    return;
+  }
+  index(
+    {
+      sourceType: 'transcript',
+      sourceId: transcript.jobId,
+      jobId: transcript.jobId,
+      createdAt: transcript.createdAt,
+    },
+    transcript.text ? [{ field: 'text', body: transcript.text }] : []
+  );
+}
+
+function indexJobAnalysis(jobId, analysis, createdAt) {
+  // Only the model's own fields; the stored convenience copies and the
+  // full report repeat them
+  const parsed = parseJson(analysis) || {};
+  const fields = Object.fromEntries(
+    ANALYSIS_KEYS.filter((key) => key in parsed).map((key) => [key, parsed[key]])
+  );
+  index({ sourceType: 'analysis', sourceId: jobId, jobId, createdAt }, fieldDocuments(fields));
+}
+
+function indexPrecallPlan(plan) {
+  if (!plan) {
+    return;
+  }
+
+  const documents = [
+    ...['clientName', 'companyName', 'meetingGoal', 'offerName', 'desiredOutcome']
+      .filter((field) => plan[field])
+      .map((field) => ({ field, body: String(plan[field]) })),
+    ...fieldDocuments(parseJson(plan.briefingJson), 'briefing.'),
+    ...fieldDocuments(parseJson(plan.coachingJson), 'coaching.'),
+  ];
+
+  const checklist = parseJson(plan.checklistJson);
+  if (Array.isArray(checklist)) {
+    const questions = checklist.map((item) => item && item.question).filter(Boolean);
+    if (questions.length) {
+      documents.push({ field: 'checklist', body: questions.join('\n') });
+    }
+  }
+
+  index(
+    {
+      sourceType: 'precall-plan',
+      sourceId: plan.id,
+      precallPlanId: plan.id,
+      createdAt: plan.createdAt,
+    },
+    documents
+  );
+}
+
+function indexPostcallCoaching(record) {
+  if (!record) {
+    return;
+  }
+  index(
+    {
+      sourceType: 'postcall-coaching',
+      sourceId: record.id,
+      jobId: record.jobId,
+      precallPlanId: record.precallPlanId,
+      createdAt: record.createdAt,
+    },
+    fieldDocuments(parseJson(record.coaching))
+  );
+}
+
+/**
+ * Index everything already stored. Runs on startup when the index is empty
+ * (databases from before search existed).
+ */
+function rebuildSearchIndexIfEmpty() {
+  if (countSearchDocuments() > 0) {
+    return 0;
+  }
+
+  let sources = 0;
+  for (const job of getJobs()) {
+    const transcript = getTranscriptByJobId(job.id);
+    if (transcript) {
+      indexTranscript(transcript);
+      sources += 1;
+    }
+    if (job.analysisJson) {
+      indexJobAnalysis(job.id, job.analysisJson, job.analyzedAt || job.updatedAt);
+      sources += 1;
+    }
+    const coaching = getLatestPostcallCoachingByJobId(job.id);
+    if (coaching) {
+      indexPostcallCoaching(coaching);
+      sources += 1;
+    }
+  }
+
+  for (const summary of getRecentPrecallPlans(Number.MAX_SAFE_INTEGER)) {
+    indexPrecallPlan(getPrecallPlanById(summary.id));
+    sources += 1;
+  }
+
+  if (sources > 0) {
+    logger.info({ sources }, 'Built search index from stored records');
+  }
+  return sources;
+}
+
+/**
+ * Words of a free-text query, lower-cased. Punctuation is dropped so user
+ * input can never form FTS5 query syntax.
+ */
+function parseSearchTerms(query) {
+  const terms = String(query || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return Array.from(new Set(terms)).slice(0, MAX_SEARCH_TERMS);
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function highlight(snippet) {
+  return escapeHtml(snippet || '').replace(/\u0002/g, '<mark>').replace(/\u0003/g, '</mark>');
+}
+
+function sourceLink(hit) {
+  switch (hit.sourceType) {
+    case 'transcript':
+      return `/jobs/${hit.jobId}/transcript`;
+    case 'precall-plan':
+      return `/precall-plans/${hit.precallPlanId}`;
+    case 'postcall-coaching':
+      return `/postcall-coaching/${hit.sourceId}`;
+    default:
+      return `/jobs/${hit.jobId}`;
+  }
+}
+
+/**
+ * Search stored records. Returns hits best first:
+ * [{ type, id, field, jobId, precallPlanId, title, createdAt, snippet, link }]
+ * where `snippet` is HTML-escaped text with matches wrapped in <mark>.
+ */
+function searchRecords(terms, { types = [], limit = 20 } = {}) {
+  const hits = searchDocuments(terms, { sourceTypes: types, limit });
+
+  const titles = new Map();
+  const titleFor = (hit) => {
+    const key = hit.jobId ? `job:${hit.jobId}` : `plan:${hit.precallPlanId}`;
+    if (!titles.has(key)) {
+      if (hit.jobId) {
+        const job = getJobById(hit.jobId);
+        titles.set(key, job ? job.clientName || job.originalname || null : null);
+      } else {
+        const plan = getPrecallPlanById(hit.precallPlanId);
+        titles.set(key, plan ? plan.clientName || plan.companyName || null : null);
+      }
+    }
+    return titles.get(key);
+  };
+
+  return hits.map((hit) => ({
+    type: hit.sourceType,
+    id: hit.sourceId,
+    field: hit.field,
+    jobId: hit.jobId || null,
+    precallPlanId: hit.precallPlanId || null,
+    title: titleFor(hit),
+    createdAt: hit.createdAt || null,
+    snippet: highlight(hit.snippet),
+    link: sourceLink(hit),
+  }));
+}
+
+module.exports = {
+  SEARCH_SOURCE_TYPES,
+  indexTranscript,
+  indexJobAnalysis,
+  indexPrecallPlan,
+  indexPostcallCoaching,
+  rebuildSearchIndexIfEmpty,
+  parseSearchTerms,
+  searchRecords,
+};
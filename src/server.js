@@ -1,4 +1,5 @@
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const cors = require('cors');
 const express = require('express');
@@ -8,7 +9,7 @@ const logger = require('./logger');
 const { summarizeTranscript } = require('./summarizer');
 const { downloadTranscript, postToSlack } = require('./clients');
 const { appendIngestEvent } = require('./ingestLogger');
-const { openai } = require('./openaiClient');
+const { getLlmProvider, MODELS, JSON_OBJECT_FORMAT } = require('./llm');
 const {
   initDb,
   createJob,
@@ -18,88 +19,118 @@ const {
   deletePrecallPlanById,
   savePostcallCoaching,
   getLatestPostcallCoachingByJobId,
+  getPostcallCoachingByJobId,
+  getLatestPostcallCoachingPerJob,
+  getPostcallCoachingById,
+  updatePostcallCoachingEmail,
   saveCallChecklist,
   getLatestCallChecklistByJobId,
+  getCallChecklistsByJobId,
+  saveCallScorecard,
+  getCallScorecardsByJobId,
+  getRankedCallScorecards,
+  saveCallMetrics,
+  getCallMetricsByJobId,
+  saveTranscript,
+  getTranscriptByJobId,
+  updateTranscriptSegments,
+  saveTranscriptSectionNotes,
   getUserSettings,
   upsertUserSettings,
   updateJob,
-  getJobs,
+  createJobAttempt,
+  finishJobAttempt,
+  getJobAttemptsByJobId,
+  saveAnalysisRun,
+  getAnalysisRunsByJobId,
+  getUsageEvents,
+  listJobs,
   getJobById,
+  findJobByContentHash,
   deleteJobById,
 } = require('./db');
 const {
   buildJobSummaryBody,
   sendJobSummaryEmail,
+  sendPostcallCoachingEmail,
   sendPrecallPlanEmail,
 } = require('./email');
 const { generatePrecallPrep } = require('./workflows/precallPrepWorkflow');
-
-const UPLOAD_DIR = path.join(__dirname, '..', 'uploads');
-if (!fs.existsSync(UPLOAD_DIR)) {
-  fs.mkdirSync(UPLOAD_DIR, { recursive: true });
-}
-
-const ANALYSIS_PROMPT = `You are a senior automation architect and AI business consultant for Kalyan AI.
-
-Return a STRICT, VALID JSON object only (no Markdown, no code fences, no leading/trailing text). The first character must be {.
-
-Your output will be parsed and injected into a document template and a dashboard. Keys must MATCH EXACTLY:
-
-CLIENT_NAME, CLIENT_INDUSTRY, CLIENT_OVERVIEW, TIME_EFFICIENCY, COSTS_RESOURCES, RISK_QUALITY, REVENUE_GROWTH, CUSTOMER_ENGAGEMENT, DATA_SYSTEMS, TOP_PRIORITY, READINESS_CONSTRAINTS, COMPETITION_CAPACITY, KEY_OUTCOMES, AUTOMATIONS_LIST, REVENUE_IDEAS, METRICS, RED_FLAGS, NEXT_STEPS, KEY_QUOTES, PLAN_LIST.
-
-Rules:
-- Each value is plain text. No HTML, no Markdown.
-- Use bullet lines that start with "- " and separate bullets with \\n, EXCEPT for CLIENT_NAME, CLIENT_INDUSTRY, and TOP_PRIORITY which must be single-line sentences (no bullets).
-- Do not invent facts. If unknown, write "Unknown".
-- Quote client words exactly inside quotes; include timestamps if provided, else write "Unknown".
-- Tone: crisp, neutral, professional. One sentence per bullet.
-
-Inputs you may use (any can be missing):
-- transcribed_text (main input)
-- plus optional structured metadata in future like: client, industry, project_goal, audience, constraints, current_stack, systems_in_use, data_sources, authentication, nonfunctional_requirements.
-
-Return only the JSON object.`;
-
-const POSTCALL_COACHING_MODEL =
-  process.env.POSTCALL_COACHING_MODEL || 'gpt-5.1-mini';
-const POSTCALL_COACHING_SYSTEM_PROMPT = `You are a post-call sales coach for Kalyan AI.
-
-Your job is to coach the salesperson (Zax) on how they ran this discovery call. You are NOT writing to the client and you should NOT summarise the client’s business. Focus only on coaching Zax and guiding his next actions.
-
-You must ONLY reply with a single valid JSON object in the PostCallCoaching shape, with exactly these fields:
-- goalSummary
-- goalAchieved
-- goalComment
-- strengths
-- improvementAreas
-- missedQuestions
-- coachingTips
-- followUpsForClient
-- primaryNextAction
-- nextActionSteps
-- riskLevel
-- opportunitySize
-
-Map your thinking to these UI sections:
-- "Goal & Outcome": use goalSummary, goalAchieved, and goalComment to briefly explain what the goal of the call was and how far Zax moved towards it. Be specific but concise (1–2 sentences).
-- "Your Next Move" (internal actions): use primaryNextAction as a single clear internal action and nextActionSteps as a short ordered list of concrete internal steps Zax and his team should take next. This is internal-only language, not client-facing.
-- "Client Follow-Up": use followUpsForClient as concise text that can be reused directly in client communication (for example, an email or message outlining what the client will receive next). Do not include internal coaching or meta commentary in followUpsForClient.
-- "Risk & Opportunity": use riskLevel and opportunitySize to give a simple, high-level sense of deal risk and potential. riskLevel MUST be one of: "low", "medium", or "high". opportunitySize MUST be one of: "small", "medium", or "large". Any explanation or nuance should go into goalComment or coachingTips, not as extra fields.
-- "Coaching": use strengths, improvementAreas, missedQuestions, and coachingTips for internal coaching about Zax’s discovery performance (question quality, listening, structure, depth, handling of objections, etc.). These are not client-facing and should be phrased as direct guidance for Zax.
-
-Formatting rules:
-- strengths, improvementAreas, missedQuestions, coachingTips, and nextActionSteps should be arrays of short, clear strings (bullet-style items). Each item should be concise and action-focused.
-- goalSummary, goalComment, followUpsForClient, and primaryNextAction should be short strings (1–2 sentences each).
-- Always fill every field with something sensible based on the information provided. Avoid nulls; if information is genuinely unclear, briefly say that in the relevant field.
-- Do NOT repeat long call summaries or restate the full transcript. Assume the transcript is available in the app already; keep everything succinct and focused on coaching and next actions.
-- Base all feedback on the provided pre-call snapshot (precallSnapshot), checklist coverage (asked vs missed questions), callAnalysis, and transcript. Do not invent facts that contradict those inputs.
-
-Output rules:
-- Respond with JSON only.
-- Do NOT wrap the JSON in backticks.
-- Do NOT include any extra text before or after the JSON object.`;
-
-const MAX_TRANSCRIPT_CHARS = 15000;
+const { splitAudioIntoChunks, stitchChunkTranscripts } = require('./audio/chunking');
+const { AUDIO_CONTAINERS, probeAudioFile } = require('./audio/probe');
+const { mapWithConcurrency } = require('./utils/concurrency');
+const { compareJson } = require('./utils/jsonDiff');
+const { hashFile } = require('./utils/fileHash');
+const {
+  SPEAKERS,
+  labelSpeakerTurns,
+  transcriptForPrompt,
+} = require('./transcripts/segments');
+const { computeConversationMetrics } = require('./transcripts/metrics');
+const { fitTranscriptToBudget } = require('./analysis/transcriptBudget');
+const {
+  checklistForPrompt,
+  mergeCoverage,
+  groupCoverage,
+} = require('./analysis/checklistCoverage');
+const {
+  SCORECARD_RUBRIC,
+  rubricForPrompt,
+  coveragePercent,
+  mergeScores,
+  weightedTotal,
+} = require('./analysis/scorecard');
+const { getPrompt, listPrompts } = require('./prompts/registry');
+const { completeValidatedJson } = require('./llm/structuredJson');
+const { USAGE_PERIODS, summarizeUsage } = require('./llm/usage');
+const { COACHING_PERIODS, summarizeCoaching } = require('./analytics/coaching');
+const { ANALYSIS_KEYS, ANALYSIS_SCHEMA } = require('./schemas/analysis');
+const { POSTCALL_COACHING_SCHEMA } = require('./schemas/postcallCoaching');
+const { CHECKLIST_COVERAGE_SCHEMA } = require('./schemas/checklistCoverage');
+const { CALL_SCORECARD_SCHEMA } = require('./schemas/callScorecard');
+const {
+  JOB_STATUS,
+  ACTIVE_JOB_STATUSES,
+  TERMINAL_JOB_STATUSES,
+  registerJobHandler,
+  setJobStatus,
+  enqueueJob,
+  abortRunningJob,
+  stopRunningJob,
+} = require('./jobQueue');
+const { publishJobEvent, subscribeToJobEvents } = require('./events');
+const { openEventStream } = require('./utils/sse');
+const { getStorage, jobStorageKey } = require('./storage');
+const { suggestPlansForJob } = require('./precall/planMatching');
+const {
+  SEARCH_SOURCE_TYPES,
+  indexTranscript,
+  indexJobAnalysis,
+  indexPrecallPlan,
+  indexPostcallCoaching,
+  parseSearchTerms,
+  searchRecords,
+} = require('./search');
+
+// Uploads land here while they are validated, then move to recording storage
+const UPLOAD_STAGING_DIR =
+  process.env.UPLOAD_STAGING_DIR || path.join(os.tmpdir(), 'discovery-call-uploads');
+
+// Whisper rejects uploads over 25 MB; anything above this is split by time
+const TRANSCRIPTION_MAX_FILE_BYTES = Number(
+  process.env.TRANSCRIPTION_MAX_FILE_BYTES || 24 * 1024 * 1024
+);
+const TRANSCRIPTION_CHUNK_SECONDS = Number(process.env.TRANSCRIPTION_CHUNK_SECONDS || 600);
+const TRANSCRIPTION_CONCURRENCY = Number(process.env.TRANSCRIPTION_CONCURRENCY || 3);
+
+// Upload limits; larger or longer recordings are rejected with 413
+const UPLOAD_MAX_BYTES = Number(process.env.UPLOAD_MAX_BYTES || 500 * 1024 * 1024);
+const UPLOAD_MAX_DURATION_SECONDS = Number(process.env.UPLOAD_MAX_DURATION_SECONDS || 4 * 60 * 60);
+
+// Transcripts over this budget are condensed section by section (map-reduce)
+// instead of being truncated
+const TRANSCRIPT_TOKEN_BUDGET = Number(process.env.TRANSCRIPT_TOKEN_BUDGET || 12000);
+const TRANSCRIPT_SECTION_TOKENS = Number(process.env.TRANSCRIPT_SECTION_TOKENS || 4000);
 const MAX_ANALYSIS_CHARS = 12000;
 
 initDb();
@@ -112,6 +143,18 @@ function generateJobId() {
   return `${now}${randomSuffix}`;
 }
 
+function parseJsonColumn(value) {
+  if (!value || typeof value !== 'string') {
+    return null;
+  }
+
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
 function mapRowToJob(row) {
   return {
     id: row.id,
@@ -127,68 +170,74 @@ function mapRowToJob(row) {
     error: row.error,
     emailStatus: row.emailStatus || null,
     emailSentAt: row.emailSentAt || null,
+    progress: parseJsonColumn(row.progressJson),
+    validation: parseJsonColumn(row.validationJson),
+    analysisPromptId: row.analysisPromptId || null,
+    analysisPromptVersion: row.analysisPromptVersion ?? null,
+    analysisModel: row.analysisModel || null,
+    clientName: row.clientName || null,
+    clientIndustry: row.clientIndustry || null,
+    storageKey: row.storageKey || null,
+    precallPlanId: row.precallPlanId || null,
+    analyzedAt: row.analyzedAt || null,
+    audioDeletedAt: row.audioDeletedAt || null,
+    contentHash: row.contentHash || null,
+    duplicateOf: row.duplicateOf || null,
+    audio: row.audioContainer
+      ? {
+          container: row.audioContainer,
+          codec: row.audioCodec || null,
+          durationSeconds: row.audioDurationSeconds ?? null,
+          sizeBytes: row.audioSizeBytes ?? null,
+        }
+      : null,
+    attempts: row.attempts || 0,
+    heartbeatAt: row.heartbeatAt || null,
   };
 }
 
 // ---------------- Discovery-call job processing ----------------
 
-async function runAnalysisForJob(jobId) {
-  const jobRow = getJobById(jobId);
-  if (!jobRow) {
-    const message = 'Job not found for processing';
-    console.error(`[job ${jobId}] ${message}`);
-    try {
-      updateJob(jobId, {
-        status: 'error',
-        resultSummary: message,
-        error: message,
-        emailStatus: 'error',
-      });
-    } catch (updateErr) {
-      logger.error({ updateErr, jobId }, 'Failed to update missing job record');
-    }
-    return;
-  }
+// Pipeline stages in order. A retry can resume from any of them as long as
+// the artifacts of the earlier stages (transcript, analysis) are on record.
+const JOB_STAGES = ['transcribe', 'analyze', 'email'];
 
-  if (!openai) {
-    const message = 'OpenAI client not configured. Set OPENAI_API_KEY.';
-    console.error(message);
-    updateJob(jobId, {
-      status: 'error',
-      resultSummary: message,
-      error: message,
-      emailStatus: 'error',
-    });
-    return;
+/**
+ * Pick the stage a run should start from: the requested resume stage, but
+ * never later than the persisted transcript/analysis allow.
+ */
+function resolveStartStage(jobRow, storedTranscript) {
+  const hasTranscript = Boolean(storedTranscript && storedTranscript.text);
+  const hasAnalysis = Boolean(jobRow.analysisJson);
+
+  const inferred = !hasTranscript ? 'transcribe' : !hasAnalysis ? 'analyze' : 'email';
+  const requested = JOB_STAGES.includes(jobRow.resumeStage) ? jobRow.resumeStage : null;
+
+  if (!requested) {
+    return inferred;
   }
 
-  const storedFilename = jobRow.filename;
-  if (!storedFilename) {
-    const message = 'Missing audio filename for job.';
-    console.error(`[job ${jobId}] ${message}`);
-    updateJob(jobId, {
-      status: 'error',
-      resultSummary: message,
-      error: message,
-      emailStatus: 'error',
-    });
-    return;
+  return JOB_STAGES.indexOf(requested) < JOB_STAGES.indexOf(inferred)
+    ? requested
+    : inferred;
+}
+
+async function transcribeJobAudio(jobId, jobRow, { signal } = {}) {
+  const storageKey = jobStorageKey(jobRow);
+  if (!storageKey) {
+    throw new Error('Missing audio storage key for job.');
   }
 
-  const filePath = path.join(UPLOAD_DIR, storedFilename);
-  if (!fs.existsSync(filePath)) {
-    const message = 'Audio file not found on disk for job.';
-    console.error(`[job ${jobId}] ${message}: ${filePath}`);
-    updateJob(jobId, {
-      status: 'error',
-      resultSummary: message,
-      error: message,
-      emailStatus: 'error',
-    });
-    return;
+  if (jobRow.audioDeletedAt) {
+    throw new Error('Audio was deleted by the retention policy; it can no longer be transcribed.');
   }
 
-  // --- Ensure the file has a proper audio extension for Whisper ---
+  // Whisper picks the decoder from the extension: use the container sniffed
+  // at upload, falling back to the original name for jobs from before probing
+  const probed = AUDIO_CONTAINERS[jobRow.audioContainer];
+  const originalExt = path
+    .extname(jobRow.originalname || storageKey)
+    .toLowerCase();
   const allowedExts = [
     '.flac',
     '.m4a',
@@ -201,192 +250,572 @@ async function runAnalysisForJob(jobId) {
     '.wav',
     '.webm',
   ];
+  const extToUse = probed
+    ? probed.ext
+    : allowedExts.includes(originalExt)
+      ? originalExt
+      : '.mp4';
+  const tempFilePath = path.join(os.tmpdir(), `job-${jobId}${extToUse}`);
 
-  const originalExt = path
-    .extname(jobRow.originalname || jobRow.filename || '')
-    .toLowerCase();
-  const extToUse = allowedExts.includes(originalExt) ? originalExt : '.mp4';
-  const tempFilePath = filePath + extToUse;
+  let chunkDir = null;
 
   try {
-    fs.copyFileSync(filePath, tempFilePath);
+    try {
+      await getStorage().downloadFile(storageKey, tempFilePath, { signal });
+    } catch (err) {
+      if (err.code === 'NOT_FOUND') {
+        logger.error({ jobId, storageKey }, 'Audio not found in storage');
+        throw new Error('Audio file not found in storage for job.');
+      }
+      throw err;
+    }
 
-    const transcription = await openai.audio.transcriptions.create({
-      file: fs.createReadStream(tempFilePath),
-      model: 'whisper-1',
-      response_format: 'text',
-    });
+    // Small files go to Whisper as-is; long recordings are split into chunks
+    let chunks;
+    if (fs.statSync(tempFilePath).size <= TRANSCRIPTION_MAX_FILE_BYTES) {
+      chunks = [{ index: 0, path: tempFilePath, startSeconds: 0, endSeconds: null }];
+    } else {
+      chunkDir = fs.mkdtempSync(path.join(os.tmpdir(), `job-${jobId}-`));
+      chunks = await splitAudioIntoChunks(tempFilePath, {
+        chunkSeconds: TRANSCRIPTION_CHUNK_SECONDS,
+        outDir: chunkDir,
+        signal,
+      });
+      logger.info({ jobId, chunks: chunks.length }, 'Split recording for transcription');
+    }
+
+    // Per-chunk progress stored on the job so the UI can show what is in flight
+    const progress = {
+      stage: 'transcribe',
+      totalChunks: chunks.length,
+      completedChunks: 0,
+      chunks: chunks.map((chunk) => ({
+        index: chunk.index,
+        startSeconds: chunk.startSeconds,
+        endSeconds: chunk.endSeconds,
+        status: 'pending',
+      })),
+    };
+    const saveProgress = () => {
+      updateJob(jobId, { progressJson: JSON.stringify(progress) });
+      publishJobEvent('job.progress', jobId, { progress });
+    };
+    saveProgress();
+
+    const results = await mapWithConcurrency(
+      chunks,
+      TRANSCRIPTION_CONCURRENCY,
+      async (chunk) => {
+        const chunkProgress = progress.chunks[chunk.index];
+        chunkProgress.status = 'transcribing';
+        saveProgress();
+
+        try {
+          const transcription = await getLlmProvider().transcribe({
+            feature: 'transcription',
+            model: MODELS.transcription,
+            filePath: chunk.path,
+            signal,
+            context: { jobId },
+          });
+
+          chunkProgress.status = 'done';
+          progress.completedChunks += 1;
+          saveProgress();
+
+          return { startSeconds: chunk.startSeconds, transcription };
+        } catch (err) {
+          chunkProgress.status = 'error';
+          saveProgress();
+          throw err;
+        }
+      },
+      { signal }
+    );
 
-    const transcriptText =
-      typeof transcription === 'string'
-        ? transcription
-        : transcription && typeof transcription.text === 'string'
-          ? transcription.text
-          : '';
+    const stitched = stitchChunkTranscripts(results);
+    const transcriptText = stitched.text;
 
     if (!transcriptText) {
       throw new Error('Empty transcript from OpenAI Whisper');
     }
 
-    const chatResponse = await openai.chat.completions.create({
-      model: 'gpt-4.1-mini',
-      response_format: { type: 'json_object' },
-      messages: [
-        { role: 'system', content: ANALYSIS_PROMPT },
-        {
-          role: 'user',
-          content: JSON.stringify({
-            transcribed_text: transcriptText,
-          }),
-        },
-      ],
+    if (signal) {
+      signal.throwIfAborted();
+    }
+
+    // Persist the transcript before analysis so it survives analysis failures
+    saveTranscript({
+      id: generateJobId(),
+      jobId,
+      text: transcriptText,
+      model: MODELS.transcription,
+      language: stitched.language,
+      durationSeconds: stitched.durationSeconds,
+      segments: labelSpeakerTurns(stitched.segments),
     });
 
-    const rawContent =
-      chatResponse &&
-      Array.isArray(chatResponse.choices) &&
-      chatResponse.choices[0] &&
-      chatResponse.choices[0].message &&
-      typeof chatResponse.choices[0].message.content === 'string'
-        ? chatResponse.choices[0].message.content.trim()
-        : '';
+    const transcript = getTranscriptByJobId(jobId);
+    indexTranscript(transcript);
+    refreshCallMetrics(jobId, transcript);
+    return transcript;
+  } finally {
+    try {
+      if (fs.existsSync(tempFilePath)) {
+        fs.unlinkSync(tempFilePath);
+      }
+      if (chunkDir) {
+        fs.rmSync(chunkDir, { recursive: true, force: true });
+      }
+    } catch (cleanupErr) {
+      logger.warn({ cleanupErr, jobId }, 'Failed to clean up temp audio file');
+    }
+  }
+}
+
+async function summarizeTranscriptSection(jobId, sectionText, index, total, signal) {
+  const completion = await getLlmProvider().complete({
+    feature: 'transcript-section-notes',
+    model: MODELS.analysis,
+    temperature: 0.1,
+    signal,
+    context: { jobId },
+    messages: [
+      { role: 'system', content: getPrompt('transcript-section-notes').text },
+      {
+        role: 'user',
+        content: `Transcript section ${index + 1} of ${total}:\n\n${sectionText}`,
+      },
+    ],
+  });
+
+  const notes = completion.content;
+
+  if (!notes) {
+    throw new Error(`Empty notes for transcript section ${index + 1} of ${total}`);
+  }
+
+  return notes;
+}
+
+/**
+ * Transcript text for a prompt, condensed into per-section notes when the
+ * transcript is over budget. Notes are cached on the transcript record so
+ * analysis and coaching only pay for the map step once.
+ */
+async function fitJobTranscriptToBudget(jobId, transcript, { signal } = {}) {
+  const fitted = await fitTranscriptToBudget(transcriptForPrompt(transcript), {
+    budgetTokens: TRANSCRIPT_TOKEN_BUDGET,
+    sectionTokens: TRANSCRIPT_SECTION_TOKENS,
+    cachedNotes: transcript.sectionNotes,
+    summarizeSection: (sectionText, index, total) =>
+      summarizeTranscriptSection(jobId, sectionText, index, total, signal),
+  });
 
-    if (!rawContent) {
-      throw new Error('Empty analysis response from OpenAI Chat');
+  if (fitted.condensed) {
+    logger.info(
+      { jobId, sections: fitted.sectionNotes.notes.length, fromCache: fitted.fromCache },
+      'Condensed over-budget transcript into section notes',
+    );
+    if (!fitted.fromCache) {
+      try {
+        saveTranscriptSectionNotes(jobId, fitted.sectionNotes);
+      } catch (err) {
+        logger.warn({ err, jobId }, 'Failed to cache transcript section notes');
+      }
     }
+  }
+
+  return fitted;
+}
+
+/**
+ * Measure the conversation from the transcript segments and store the result
+ * for the job. Returns the stored record, or null when there are no usable
+ * segments.
+ */
+function refreshCallMetrics(jobId, transcript) {
+  const metrics = computeConversationMetrics(transcript && transcript.segments);
+  if (!metrics) {
+    return null;
+  }
+  saveCallMetrics({ jobId, computedAt: new Date().toISOString(), metrics });
+  return getCallMetricsByJobId(jobId);
+}
+
+/**
+ * The parts of a pre-call plan the analysis and coaching prompts use, or
+ * null when the plan does not exist.
+ */
+function loadPrecallSnapshot(precallPlanId) {
+  let plan;
+  try {
+    plan = getPrecallPlanById(precallPlanId);
+  } catch (err) {
+    logger.warn({ err, precallPlanId }, 'Failed to load precall plan');
+    return null;
+  }
+  if (!plan) {
+    return null;
+  }
 
-    let parsed;
+  const parsePlanColumn = (column) => {
     try {
-      parsed = JSON.parse(rawContent);
+      return plan[column] ? JSON.parse(plan[column]) : null;
     } catch (err) {
-      console.error('Failed to parse analysis JSON', err);
-      logger.error({ err, jobId, rawContent }, 'Failed to parse analysis JSON');
-      updateJob(jobId, {
-        status: 'error',
-        resultSummary: 'Analysis failed: invalid JSON from model.',
-        error: 'Analysis failed: invalid JSON from model.',
-        emailStatus: 'error',
-      });
-      return;
+      logger.warn({ err, precallPlanId }, `Failed to parse ${column} of precall plan`);
+      return null;
     }
+  };
 
-    const resultSummary =
-      parsed && typeof parsed.TOP_PRIORITY === 'string' && parsed.TOP_PRIORITY.trim()
-        ? parsed.TOP_PRIORITY.trim()
-        : 'Analysis complete.';
+  const checklist = parsePlanColumn('checklistJson');
 
-    // Build a full narrative report using the same logic as the email body
-    let fullReport = null;
-    try {
-      const jobForReport = {
-        ...jobRow,
-        id: jobId,
-        status: 'done',
-        resultSummary,
-        analysisJson: parsed,
-      };
-      fullReport = buildJobSummaryBody(jobForReport, parsed);
-    } catch (reportErr) {
-      logger.warn({ reportErr, jobId }, 'Failed to build full report for job');
-      fullReport = null;
-    }
-
-    const analysisToStore = {
-      ...parsed,
-      // Convenience fields for the frontend
-      callSummary: resultSummary,
-      topPriorities: parsed.TOP_PRIORITY,
-      painPoints: parsed.RED_FLAGS,
-      timelineUrgency: parsed.READINESS_CONSTRAINTS,
-      fullReport,
+  return {
+    clientName: plan.clientName || null,
+    companyName: plan.companyName || null,
+    meetingGoal: plan.meetingGoal || null,
+    desiredOutcome: plan.desiredOutcome || null,
+    offerName: plan.offerName || null,
+    notes: plan.notes || null,
+    briefing: parsePlanColumn('briefingJson'),
+    coachingNotes: parsePlanColumn('coachingJson'),
+    questionChecklist: Array.isArray(checklist) ? checklist : [],
+  };
+}
+
+/**
+ * Run an analysis prompt version over a job's transcript without saving.
+ * Defaults to the latest prompt version and the configured analysis model.
+ * Resolves to { analysis, resultSummary, validation, promptId, promptVersion, model }.
+ */
+async function runAnalysisPrompt(
+  jobId,
+  jobRow,
+  transcript,
+  { promptVersion, model, signal } = {},
+) {
+  const prompt = getPrompt('analysis', promptVersion);
+  const analysisModel = model || MODELS.analysis;
+  const fitted = await fitJobTranscriptToBudget(jobId, transcript, { signal });
+
+  const input = fitted.condensed
+    ? { transcript_section_notes: fitted.text }
+    : { transcribed_text: fitted.text };
+
+  // Fields of the linked pre-call plan, limited to the keys the prompt
+  // version documents: v1 predates plan links and only names client and
+  // project_goal
+  const plan = jobRow.precallPlanId ? loadPrecallSnapshot(jobRow.precallPlanId) : null;
+  if (plan) {
+    const planFields = {
+      client: plan.companyName,
+      contact: plan.clientName,
+      project_goal: plan.meetingGoal,
+      desired_outcome: plan.desiredOutcome,
+      offer: plan.offerName,
     };
+    const keys = prompt.version === 1 ? ['client', 'project_goal'] : Object.keys(planFields);
+    for (const key of keys) {
+      input[key] = planFields[key];
+    }
+  }
+
+  let parsed;
+  let validation;
+  try {
+    ({ value: parsed, validation } = await completeValidatedJson({
+      label: 'analysis',
+      schema: ANALYSIS_SCHEMA,
+      messages: [
+        { role: 'system', content: prompt.text },
+        { role: 'user', content: JSON.stringify(input) },
+      ],
+      complete: async (messages) =>
+        (
+          await getLlmProvider().complete({
+            feature: 'analysis',
+            model: analysisModel,
+            responseFormat: JSON_OBJECT_FORMAT,
+            messages,
+            signal,
+            context: { jobId },
+          })
+        ).content,
+    }));
+  } catch (err) {
+    if (err && err.code === 'INVALID_MODEL_JSON') {
+      console.error('Failed to parse analysis JSON', err);
+      logger.error({ err, jobId, violations: err.violations }, 'Failed to parse analysis JSON');
+      throw new Error('Invalid JSON from model.');
+    }
+    throw err;
+  }
 
-    updateJob(jobId, {
+  const resultSummary =
+    parsed && typeof parsed.TOP_PRIORITY === 'string' && parsed.TOP_PRIORITY.trim()
+      ? parsed.TOP_PRIORITY.trim()
+      : 'Analysis complete.';
+
+  // Build a full narrative report using the same logic as the email body
+  let fullReport = null;
+  try {
+    const jobForReport = {
+      ...jobRow,
+      id: jobId,
       status: 'done',
       resultSummary,
-      analysisJson: JSON.stringify(analysisToStore),
-      error: null,
-    });
+      analysisJson: parsed,
+    };
+    fullReport = buildJobSummaryBody(jobForReport, parsed);
+  } catch (reportErr) {
+    logger.warn({ reportErr, jobId }, 'Failed to build full report for job');
+    fullReport = null;
+  }
 
-    try {
-      const row = getJobById(jobId);
-      if (row) {
-        const jobFromDb = mapRowToJob(row);
-        let analysisObject = null;
-        if (jobFromDb.analysisJson && typeof jobFromDb.analysisJson === 'string') {
-          try {
-            analysisObject = JSON.parse(jobFromDb.analysisJson);
-          } catch (e) {
-            analysisObject = null;
-          }
-        }
+  const analysisToStore = {
+    ...parsed,
+    // Convenience fields for the frontend
+    callSummary: resultSummary,
+    topPriorities: parsed.TOP_PRIORITY,
+    painPoints: parsed.RED_FLAGS,
+    timelineUrgency: parsed.READINESS_CONSTRAINTS,
+    fullReport,
+  };
+
+  return {
+    analysis: analysisToStore,
+    resultSummary,
+    validation,
+    promptId: prompt.id,
+    promptVersion: prompt.version,
+    model: analysisModel,
+  };
+}
 
-        const emailJob = {
-          ...jobFromDb,
-          analysisJson: analysisObject,
-        };
+function singleLine(value) {
+  const text = typeof value === 'string' ? value.trim() : '';
+  return text || null;
+}
 
-        let emailStatus = 'pending';
-        let emailSentAt = null;
-        let emailErrorMessage = null;
+async function analyzeJobTranscript(jobId, jobRow, transcript, { signal } = {}) {
+  const run = await runAnalysisPrompt(jobId, jobRow, transcript, { signal });
+  if (signal) {
+    signal.throwIfAborted();
+  }
+  const analyzedAt = new Date().toISOString();
+
+  updateJob(jobId, {
+    resultSummary: run.resultSummary,
+    analysisJson: JSON.stringify(run.analysis),
+    clientName: singleLine(run.analysis.CLIENT_NAME),
+    clientIndustry: singleLine(run.analysis.CLIENT_INDUSTRY),
+    validationJson: JSON.stringify(run.validation),
+    analysisPromptId: run.promptId,
+    analysisPromptVersion: run.promptVersion,
+    analysisModel: run.model,
+    analyzedAt,
+    error: null,
+  });
+  indexJobAnalysis(jobId, run.analysis, analyzedAt);
+}
 
-        try {
-          const emailOk = await sendJobSummaryEmail(emailJob);
-          if (emailOk) {
-            emailStatus = 'sent';
-            emailSentAt = new Date().toISOString();
-          } else {
-            emailStatus = 'error';
-            emailErrorMessage = 'Email failed: transporter returned false.';
-          }
-        } catch (e) {
-          emailStatus = 'error';
-          emailErrorMessage =
-            'Email failed: ' + (e && e.message ? e.message : 'Unknown error');
-          console.error('Failed to send job summary email', e);
-          logger.warn({ emailErr: e, jobId }, 'Failed to send job summary email');
-        }
+/**
+ * Send the summary email and mark the job done.
+ * Email problems never fail the job; the message is returned instead.
+ */
+async function emailJobSummary(jobId) {
+  try {
+    const row = getJobById(jobId);
+    if (!row) {
+      return 'Job not found for email.';
+    }
+
+    const jobFromDb = mapRowToJob(row);
+    let analysisObject = null;
+    if (jobFromDb.analysisJson && typeof jobFromDb.analysisJson === 'string') {
+      try {
+        analysisObject = JSON.parse(jobFromDb.analysisJson);
+      } catch (e) {
+        analysisObject = null;
+      }
+    }
+
+    const emailJob = {
+      ...jobFromDb,
+      analysisJson: analysisObject,
+    };
+
+    let emailStatus = 'pending';
+    let emailSentAt = null;
+    let emailErrorMessage = null;
 
-        updateJob(jobId, {
-          emailStatus,
-          emailSentAt,
-          error: emailErrorMessage,
-        });
+    try {
+      const emailOk = await sendJobSummaryEmail(emailJob);
+      if (emailOk) {
+        emailStatus = 'sent';
+        emailSentAt = new Date().toISOString();
+      } else {
+        emailStatus = 'error';
+        emailErrorMessage = 'Email failed: transporter returned false.';
       }
-    } catch (emailErr) {
-      console.error('Unhandled error while sending email', emailErr);
-      logger.warn({ emailErr, jobId }, 'Failed to send job summary email');
-      updateJob(jobId, {
+    } catch (e) {
+      emailStatus = 'error';
+      emailErrorMessage =
+        'Email failed: ' + (e && e.message ? e.message : 'Unknown error');
+      console.error('Failed to send job summary email', e);
+      logger.warn({ emailErr: e, jobId }, 'Failed to send job summary email');
+    }
+
+    setJobStatus(jobId, JOB_STATUS.DONE, {
+      resumeStage: null,
+      emailStatus,
+      emailSentAt,
+      error: emailErrorMessage,
+    });
+
+    return emailErrorMessage;
+  } catch (emailErr) {
+    console.error('Unhandled error while sending email', emailErr);
+    logger.warn({ emailErr, jobId }, 'Failed to send job summary email');
+    const message =
+      emailErr && emailErr.message ? emailErr.message : 'Email send error';
+    setJobStatus(jobId, JOB_STATUS.DONE, {
+      resumeStage: null,
+      emailStatus: 'error',
+      error: message,
+    });
+    return message;
+  }
+}
+
+async function runAnalysisForJob(jobId, { signal } = {}) {
+  const jobRow = getJobById(jobId);
+  if (!jobRow) {
+    const message = 'Job not found for processing';
+    console.error(`[job ${jobId}] ${message}`);
+    try {
+      setJobStatus(jobId, JOB_STATUS.ERROR, {
+        resultSummary: message,
+        error: message,
         emailStatus: 'error',
-        error: emailErr && emailErr.message ? emailErr.message : 'Email send error',
       });
+    } catch (updateErr) {
+      logger.error({ updateErr, jobId }, 'Failed to update missing job record');
+    }
+    return;
+  }
+
+  if (jobRow.status === JOB_STATUS.CANCELLED) {
+    logger.info({ jobId }, 'Skipping cancelled job');
+    return;
+  }
+
+  const storedTranscript = getTranscriptByJobId(jobId);
+  const fromStage = resolveStartStage(jobRow, storedTranscript);
+  let currentStage = fromStage;
+
+  const attemptId = generateJobId();
+  createJobAttempt({
+    id: attemptId,
+    jobId,
+    fromStage,
+    startedAt: new Date().toISOString(),
+  });
+  logger.info({ jobId, fromStage }, 'Starting job run');
+
+  const failJob = (message, resultSummary) => {
+    setJobStatus(jobId, JOB_STATUS.ERROR, {
+      resultSummary: resultSummary || message,
+      error: message,
+      emailStatus: 'error',
+    });
+    finishJobAttempt(attemptId, {
+      status: 'failed',
+      stage: currentStage,
+      error: message,
+    });
+  };
+
+  // POST /jobs/:id/cancel marks the row cancelled and aborts `signal` when
+  // the job runs in this process; the row check covers other processes.
+  const ensureNotCancelled = () => {
+    const row = getJobById(jobId);
+    if ((signal && signal.aborted) || !row || row.status === JOB_STATUS.CANCELLED) {
+      const error = new Error('Job was cancelled');
+      error.code = 'JOB_CANCELLED';
+      throw error;
+    }
+  };
+
+  if (fromStage !== 'email' && !getLlmProvider().isConfigured()) {
+    const message = 'OpenAI client not configured. Set OPENAI_API_KEY or LLM_PROVIDER=stub.';
+    console.error(message);
+    failJob(message);
+    return;
+  }
+
+  try {
+    let transcript = storedTranscript;
+
+    if (fromStage === 'transcribe') {
+      setJobStatus(jobId, JOB_STATUS.TRANSCRIBING);
+      transcript = await transcribeJobAudio(jobId, jobRow, { signal });
+    }
+
+    if (fromStage !== 'email') {
+      ensureNotCancelled();
+      currentStage = 'analyze';
+      setJobStatus(jobId, JOB_STATUS.ANALYZING);
+      await analyzeJobTranscript(jobId, jobRow, transcript, { signal });
     }
+
+    ensureNotCancelled();
+    currentStage = 'email';
+    setJobStatus(jobId, JOB_STATUS.EMAILING);
+    const emailError = await emailJobSummary(jobId);
+
+    finishJobAttempt(attemptId, {
+      status: 'succeeded',
+      stage: currentStage,
+      error: emailError,
+    });
   } catch (err) {
+    if (signal && signal.aborted && signal.reason && signal.reason.code === 'LEASE_LOST') {
+      // Another worker owns the job now; leave its status to that worker
+      logger.warn({ jobId, stage: currentStage }, 'Job run stopped after losing its lease');
+      finishJobAttempt(attemptId, {
+        status: 'cancelled',
+        stage: currentStage,
+        error: signal.reason.message,
+      });
+      return;
+    }
+
+    if ((signal && signal.aborted) || (err && err.code === 'JOB_CANCELLED')) {
+      // The cancel endpoint already set the job status; temp files are
+      // removed by transcribeJobAudio's cleanup
+      logger.info({ jobId, stage: currentStage }, 'Job run cancelled');
+      finishJobAttempt(attemptId, { status: 'cancelled', stage: currentStage, error: null });
+      return;
+    }
+
     const safeMessage =
       err && typeof err.message === 'string' ? err.message : 'Unknown error';
     console.error('Error processing job', err);
-    logger.error({ err, jobId }, 'Error processing job');
-    updateJob(jobId, {
-      status: 'error',
-      resultSummary: 'Analysis failed: ' + safeMessage,
-      error: safeMessage,
-      emailStatus: 'error',
-    });
-  } finally {
-    try {
-      if (fs.existsSync(tempFilePath)) {
-        fs.unlinkSync(tempFilePath);
-      }
-    } catch (cleanupErr) {
-      logger.warn({ cleanupErr, jobId }, 'Failed to clean up temp audio file');
-    }
+    logger.error({ err, jobId, stage: currentStage }, 'Error processing job');
+    failJob(safeMessage, 'Analysis failed: ' + safeMessage);
   }
 }
 
+registerJobHandler(runAnalysisForJob);
+
 // ---------------- Express app + routes ----------------
 
 const app = express();
-const upload = multer({ dest: UPLOAD_DIR });
+const upload = multer({
+  dest: UPLOAD_STAGING_DIR,
+  limits: { fileSize: UPLOAD_MAX_BYTES, files: 1 },
+});
 
 app.use(express.json());
 app.use(pinoHttp({ logger }));
@@ -399,8 +828,9 @@ const corsOptions = {
     'http://localhost:8080',
     'http://192.168.4.113:8080',
   ],
-  methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization'],
+  exposedHeaders: ['X-Next-Cursor'],
 };
 
 // CORS – allow VPS frontend and local dev frontends
@@ -446,86 +876,1038 @@ app.post("/settings", (req, res) => {
   }
 });
 
-app.post('/process-file', upload.single('file'), (req, res) => {
-  const file = req.file;
-
-  if (!file) {
-    return res.status(400).json({ error: 'No file uploaded' });
+/**
+ * Parse a /usage date bound. Plain dates (YYYY-MM-DD) cover the whole UTC
+ * day, so `to=2025-01-31` includes everything on the 31st.
+ */
+function parseDateBound(value, { endOfDay = false } = {}) {
+  const isDateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const time = Date.parse(isDateOnly ? `${value}T00:00:00.000Z` : value);
+  if (Number.isNaN(time)) {
+    return null;
   }
+  return new Date(isDateOnly && endOfDay ? time + 24 * 60 * 60 * 1000 : time).toISOString();
+}
 
-  logger.info({ filename: file.originalname }, 'Received file upload');
+app.get('/prompts', (req, res) => {
+  return res.json({ prompts: listPrompts() });
+});
 
-  const jobId = generateJobId();
-  let storedFilename = file.filename;
+app.get('/usage', (req, res) => {
+  const { from, to, feature } = req.query || {};
+  const period = req.query && req.query.period ? String(req.query.period) : 'day';
 
-  if (!storedFilename) {
-    const fallbackExt = path.extname(file.originalname || '');
-    const fallbackName = `${jobId}${fallbackExt || '.audio'}`;
-    const currentPath = file.path;
+  if (!USAGE_PERIODS[period]) {
+    return res
+      .status(400)
+      .json({ error: `period must be one of: ${Object.keys(USAGE_PERIODS).join(', ')}` });
+  }
 
-    if (currentPath) {
-      const targetPath = path.join(UPLOAD_DIR, fallbackName);
-      try {
-        fs.renameSync(currentPath, targetPath);
-        storedFilename = fallbackName;
-      } catch (renameErr) {
-        logger.warn({ renameErr }, 'Failed to rename uploaded file to fallback name');
-        storedFilename = path.basename(currentPath);
-      }
-    } else {
-      storedFilename = fallbackName;
-    }
+  const fromIso = from ? parseDateBound(String(from)) : null;
+  const toIso = to ? parseDateBound(String(to), { endOfDay: true }) : null;
+  if ((from && !fromIso) || (to && !toIso)) {
+    return res.status(400).json({ error: 'from and to must be ISO dates' });
   }
 
-  const job = {
-    id: jobId,
-    filename: storedFilename,
-    originalname: file.originalname || storedFilename,
-    status: 'processing',
-    createdAt: new Date().toISOString(),
-    emailStatus: 'pending',
-    emailSentAt: null,
+  try {
+    const events = getUsageEvents({
+      from: fromIso,
+      to: toIso,
+      feature: feature ? String(feature) : null,
+    });
+
+    return res.json({
+      period,
+      from: fromIso,
+      to: toIso,
+      feature: feature ? String(feature) : null,
+      ...summarizeUsage(events, { period }),
+    });
+  } catch (err) {
+    logger.error({ err }, 'Failed to build usage report');
+    return res.status(500).json({ error: 'Failed to build usage report' });
+  }
+});
+
+/**
+ * Coaching trends across calls: the latest coaching run of each call in the
+ * range, joined with its checklist coverage and the linked plan's question
+ * categories.
+ */
+app.get('/analytics/coaching', (req, res) => {
+  const { from, to } = req.query || {};
+  const period = req.query && req.query.period ? String(req.query.period) : 'month';
+
+  if (!COACHING_PERIODS[period]) {
+    return res
+      .status(400)
+      .json({ error: `period must be one of: ${Object.keys(COACHING_PERIODS).join(', ')}` });
+  }
+
+  const fromIso = from ? parseDateBound(String(from)) : null;
+  const toIso = to ? parseDateBound(String(to), { endOfDay: true }) : null;
+  if ((from && !fromIso) || (to && !toIso)) {
+    return res.status(400).json({ error: 'from and to must be ISO dates' });
+  }
+
+  try {
+    const plans = new Map();
+    const checklistOf = (precallPlanId) => {
+      if (!precallPlanId) {
+        return [];
+      }
+      if (!plans.has(precallPlanId)) {
+        const plan = loadPrecallSnapshot(precallPlanId);
+        plans.set(
+          precallPlanId,
+          plan && Array.isArray(plan.questionChecklist) ? plan.questionChecklist : []
+        );
+      }
+      return plans.get(precallPlanId);
+    };
+
+    const calls = getLatestPostcallCoachingPerJob({ from: fromIso, to: toIso }).map((record) => {
+      const coverage = getLatestCallChecklistByJobId(record.jobId);
+      const precallPlanId =
+        (coverage && coverage.precallPlanId) ||
+        record.precallPlanId ||
+        (getJobById(record.jobId) || {}).precallPlanId;
+
+      return {
+        jobId: record.jobId,
+        callCreatedAt: record.callCreatedAt,
+        coaching: record.coaching,
+        coverage: coverage && Array.isArray(coverage.coverage) ? coverage.coverage : [],
+        checklist: checklistOf(precallPlanId),
+      };
+    });
+
+    return res.json({
+      period,
+      from: fromIso,
+      to: toIso,
+      ...summarizeCoaching(calls, { period }),
+    });
+  } catch (err) {
+    logger.error({ err }, 'Failed to build coaching analytics');
+    return res.status(500).json({ error: 'Failed to build coaching analytics' });
+  }
+});
+
+// Jobs in these states never produced a result, so re-uploading the same
+// recording starts a new job instead of pointing at them
+const DEDUP_IGNORED_STATUSES = [JOB_STATUS.ERROR, JOB_STATUS.CANCELLED];
+
+// multer's own errors would surface as 500s; map them to client errors
+function receiveUpload(req, res, next) {
+  upload.single('file')(req, res, (err) => {
+    if (!err) {
+      return next();
+    }
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        error: `File is too large. The upload limit is ${formatMegabytes(UPLOAD_MAX_BYTES)}.`,
+      });
+    }
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({ error: `Upload rejected: ${err.message}` });
+    }
+    logger.error({ err }, 'Failed to receive upload');
+    return res.status(500).json({ error: 'Failed to receive upload' });
+  });
+}
+
+function formatMegabytes(bytes) {
+  return `${Math.round((bytes / (1024 * 1024)) * 10) / 10} MB`;
+}
+
+/**
+ * Check an uploaded file before any job row exists. Returns
+ * { probe } for a supported recording, or { status, error } to reject it.
+ */
+function validateUpload(file) {
+  // The browser-declared type is only a first filter; the bytes decide
+  const declared = String(file.mimetype || '').toLowerCase();
+  if (
+    declared &&
+    !declared.startsWith('audio/') &&
+    !declared.startsWith('video/') &&
+    declared !== 'application/octet-stream'
+  ) {
+    return {
+      status: 415,
+      error: `Unsupported file type ${declared}. Upload an audio or video recording.`,
+    };
+  }
+
+  const probe = probeAudioFile(file.path);
+  if (!probe) {
+    const supported = Object.keys(AUDIO_CONTAINERS).join(', ');
+    return {
+      status: 415,
+      error: `File is not a supported audio or video recording (${supported}).`,
+    };
+  }
+
+  if (probe.durationSeconds != null && probe.durationSeconds > UPLOAD_MAX_DURATION_SECONDS) {
+    return {
+      status: 413,
+      error: `Recording is too long. The limit is ${Math.round(UPLOAD_MAX_DURATION_SECONDS / 60)} minutes.`,
+    };
+  }
+
+  return { probe };
+}
+
+app.post('/process-file', receiveUpload, async (req, res) => {
+  const file = req.file;
+
+  if (!file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
+
+  let validation;
+  try {
+    validation = validateUpload(file);
+  } catch (err) {
+    logger.error({ err, filename: file.originalname }, 'Failed to inspect upload');
+    validation = { status: 500, error: 'Failed to inspect uploaded file' };
+  }
+
+  if (!validation.probe) {
+    fs.promises.unlink(file.path).catch((err) => {
+      logger.warn({ err, filename: file.filename }, 'Failed to remove rejected upload');
+    });
+    logger.info(
+      { filename: file.originalname, mimetype: file.mimetype, status: validation.status },
+      'Rejected upload',
+    );
+    return res.status(validation.status).json({ error: validation.error });
+  }
+
+  const { probe } = validation;
+
+  const precallPlanId =
+    req.body && typeof req.body.precallPlanId === 'string' && req.body.precallPlanId.trim()
+      ? req.body.precallPlanId.trim()
+      : null;
+  if (precallPlanId && !getPrecallPlanById(precallPlanId)) {
+    fs.promises.unlink(file.path).catch((err) => {
+      logger.warn({ err, filename: file.filename }, 'Failed to remove rejected upload');
+    });
+    return res.status(400).json({ error: 'precallPlanId does not match a pre-call plan' });
+  }
+
+  const forceValue = (req.query && req.query.force) || (req.body && req.body.force);
+  const force = forceValue === true || forceValue === 'true' || forceValue === '1';
+
+  logger.info(
+    { filename: file.originalname, container: probe.container, codec: probe.codec },
+    'Received file upload',
+  );
+
+  const jobId = generateJobId();
+  const stagedPath = file.path;
+  let contentHash = null;
+  try {
+    contentHash = await hashFile(stagedPath);
+  } catch (err) {
+    logger.warn({ err, filename: file.originalname }, 'Failed to hash upload; skipping duplicate check');
+  }
+
+  let duplicateOf = null;
+  if (contentHash) {
+    let existing;
+    try {
+      existing = findJobByContentHash(contentHash, {
+        excludeStatuses: DEDUP_IGNORED_STATUSES,
+      });
+    } catch (err) {
+      logger.warn({ err }, 'Failed to look up duplicate uploads');
+    }
+
+    if (existing && !force) {
+      // Same recording again: drop the new copy and answer with the existing job
+      fs.promises.unlink(stagedPath).catch((err) => {
+        logger.warn({ err, filename: file.originalname }, 'Failed to remove duplicate upload');
+      });
+      logger.info(
+        { jobId: existing.id, filename: file.originalname },
+        'Duplicate upload; returning existing job',
+      );
+      return res.status(200).json({
+        jobId: existing.id,
+        duplicateOf: existing.id,
+        status: existing.status,
+      });
+    }
+
+    duplicateOf = existing ? existing.id : null;
+  }
+
+  const storageKey = `${jobId}${probe.ext}`;
+  try {
+    await getStorage().putFile(storageKey, stagedPath, { contentType: probe.mime });
+  } catch (err) {
+    logger.error({ err, jobId, storageKey }, 'Failed to store uploaded recording');
+    fs.promises.unlink(stagedPath).catch(() => {});
+    return res.status(500).json({ error: 'Failed to store uploaded file' });
+  }
+
+  const job = {
+    id: jobId,
+    storageKey,
+    originalname: file.originalname || storageKey,
+    status: JOB_STATUS.QUEUED,
+    createdAt: new Date().toISOString(),
+    emailStatus: 'pending',
+    emailSentAt: null,
+    contentHash,
+    duplicateOf,
+    audioContainer: probe.container,
+    audioCodec: probe.codec,
+    audioDurationSeconds: probe.durationSeconds,
+    audioSizeBytes: probe.sizeBytes,
+    precallPlanId,
   };
 
   try {
-    createJob(job);
+    createJob(job);
+  } catch (err) {
+    logger.error({ err }, 'Failed to persist job to database');
+    // Nothing references the stored recording now, and the orphan sweep
+    // may never see it (S3 without S3_PREFIX)
+    try {
+      await getStorage().deleteObject(storageKey);
+    } catch (deleteErr) {
+      logger.error({ err: deleteErr, jobId, storageKey }, 'Failed to delete recording of unsaved job');
+    }
+    return res
+      .status(500)
+      .json({ error: 'Failed to create job record' });
+  }
+
+  res.status(200).json(
+    duplicateOf ? { jobId: job.id, duplicateOf } : { jobId: job.id },
+  );
+
+  enqueueJob(job.id);
+});
+
+// Live feed of every job's status and progress events (dashboard)
+app.get('/events', (req, res) => {
+  let unsubscribe = () => {};
+  const stream = openEventStream(req, res, { onClose: () => unsubscribe() });
+  unsubscribe = subscribeToJobEvents((event) => stream.send(event));
+});
+
+const JOB_LIST_SORTS = ['createdAt', 'updatedAt'];
+const JOB_LIST_DEFAULT_LIMIT = 50;
+const JOB_LIST_MAX_LIMIT = 200;
+const JOB_FIELDS = Object.keys(mapRowToJob({}));
+
+// Opaque page cursor: the sort key and id of the last job on the page
+function encodeJobCursor(row, sort, descending) {
+  return Buffer.from(
+    JSON.stringify({ sort, descending, value: row[sort], id: row.id })
+  ).toString('base64url');
+}
+
+function decodeJobCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return decoded && typeof decoded.id === 'string' && typeof decoded.value === 'string'
+      ? decoded
+      : null;
+  } catch {
+    return null;
+  }
+}
+
+const SEARCH_DEFAULT_LIMIT = 20;
+const SEARCH_MAX_LIMIT = 100;
+
+/**
+ * Full-text search across transcripts, analyses, pre-call plans and
+ * post-call coaching. ?q= words (the last may be partial), optional
+ * ?types=transcript,analysis,... and ?limit=.
+ */
+app.get('/search', (req, res) => {
+  const query = req.query || {};
+  const terms = parseSearchTerms(query.q);
+  if (terms.length === 0) {
+    return res.status(400).json({ error: 'q must contain at least one word' });
+  }
+
+  const types = query.types
+    ? String(query.types).split(',').map((type) => type.trim()).filter(Boolean)
+    : [];
+  const unknownTypes = types.filter((type) => !SEARCH_SOURCE_TYPES.includes(type));
+  if (unknownTypes.length) {
+    return res
+      .status(400)
+      .json({ error: `types must be among: ${SEARCH_SOURCE_TYPES.join(', ')}` });
+  }
+
+  const limit = query.limit != null ? Number(query.limit) : SEARCH_DEFAULT_LIMIT;
+  if (!Number.isInteger(limit) || limit < 1 || limit > SEARCH_MAX_LIMIT) {
+    return res
+      .status(400)
+      .json({ error: `limit must be an integer between 1 and ${SEARCH_MAX_LIMIT}` });
+  }
+
+  try {
+    return res.json({
+      query: String(query.q),
+      results: searchRecords(terms, { types, limit }),
+    });
+  } catch (err) {
+    logger.error({ err }, 'Failed to search');
+    return res.status(500).json({ error: 'Failed to search' });
+  }
+});
+
+/**
+ * Job list, newest first by default. The body stays a plain array; when
+ * there are more jobs the X-Next-Cursor header carries the `cursor` for the
+ * next page. `fields` (comma separated) trims each job, e.g. to leave out
+ * analysisJson.
+ */
+app.get('/jobs', (req, res) => {
+  const query = req.query || {};
+
+  const sortParam = String(query.sort || '-createdAt');
+  const descending = sortParam.startsWith('-');
+  const sort = descending ? sortParam.slice(1) : sortParam;
+  if (!JOB_LIST_SORTS.includes(sort)) {
+    return res.status(400).json({
+      error: `sort must be one of: ${JOB_LIST_SORTS.map((key) => `${key}, -${key}`).join(', ')}`,
+    });
+  }
+
+  const limit = query.limit != null ? Number(query.limit) : JOB_LIST_DEFAULT_LIMIT;
+  if (!Number.isInteger(limit) || limit < 1 || limit > JOB_LIST_MAX_LIMIT) {
+    return res
+      .status(400)
+      .json({ error: `limit must be an integer between 1 and ${JOB_LIST_MAX_LIMIT}` });
+  }
+
+  let fields = null;
+  if (query.fields) {
+    fields = String(query.fields)
+      .split(',')
+      .map((field) => field.trim())
+      .filter(Boolean);
+    const unknown = fields.filter((field) => !JOB_FIELDS.includes(field));
+    if (unknown.length) {
+      return res.status(400).json({ error: `Unknown fields: ${unknown.join(', ')}` });
+    }
+    if (!fields.includes('id')) {
+      fields.unshift('id');
+    }
+  }
+
+  const fromIso = query.from ? parseDateBound(String(query.from)) : null;
+  const toIso = query.to ? parseDateBound(String(query.to), { endOfDay: true }) : null;
+  if ((query.from && !fromIso) || (query.to && !toIso)) {
+    return res.status(400).json({ error: 'from and to must be ISO dates' });
+  }
+
+  let after = null;
+  if (query.cursor) {
+    after = decodeJobCursor(String(query.cursor));
+    if (!after || after.sort !== sort || after.descending !== descending) {
+      return res.status(400).json({ error: 'Invalid cursor for this sort order' });
+    }
+  }
+
+  let rows;
+  try {
+    rows = listJobs({
+      status: query.status ? String(query.status) : null,
+      emailStatus: query.emailStatus ? String(query.emailStatus) : null,
+      from: fromIso,
+      to: toIso,
+      clientName: query.clientName ? String(query.clientName).trim() : null,
+      clientIndustry: query.clientIndustry ? String(query.clientIndustry).trim() : null,
+      sort,
+      descending,
+      after,
+      limit: limit + 1,
+    });
+  } catch (err) {
+    logger.error({ err }, 'Failed to list jobs');
+    return res.status(500).json({ error: 'Failed to list jobs' });
+  }
+
+  const page = rows.slice(0, limit);
+  if (rows.length > limit) {
+    res.set('X-Next-Cursor', encodeJobCursor(page[page.length - 1], sort, descending));
+  }
+
+  const jobs = page.map((row) => {
+    const job = mapRowToJob(row);
+    if (!fields) {
+      return job;
+    }
+    const picked = {};
+    for (const field of fields) {
+      picked[field] = job[field];
+    }
+    return picked;
+  });
+
+  return res.json(jobs);
+});
+
+app.get('/jobs/:id', (req, res) => {
+  const { id } = req.params;
+  const row = getJobById(id);
+
+  if (!row) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  const job = mapRowToJob(row);
+
+  return res.json(job);
+});
+
+/**
+ * Live status/progress stream for one job. Starts with a job.snapshot of
+ * the current state and ends once the job is done, failed or deleted.
+ */
+app.get('/jobs/:id/events', (req, res) => {
+  const { id } = req.params;
+  const row = getJobById(id);
+
+  if (!row) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  let unsubscribe = () => {};
+  const stream = openEventStream(req, res, { onClose: () => unsubscribe() });
+
+  const job = mapRowToJob(row);
+  stream.send({
+    type: 'job.snapshot',
+    jobId: id,
+    at: new Date().toISOString(),
+    status: job.status,
+    progress: job.progress,
+    error: job.error || null,
+  });
+
+  if (TERMINAL_JOB_STATUSES.includes(job.status)) {
+    stream.close();
+    return;
+  }
+
+  unsubscribe = subscribeToJobEvents(
+    (event) => {
+      stream.send(event);
+      if (
+        event.type === 'job.deleted' ||
+        (event.type === 'job.status' && TERMINAL_JOB_STATUSES.includes(event.status))
+      ) {
+        stream.close();
+      }
+    },
+    { jobId: id },
+  );
+});
+
+app.get('/jobs/:id/transcript', (req, res) => {
+  const { id } = req.params;
+
+  if (!getJobById(id)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  try {
+    const transcript = getTranscriptByJobId(id);
+    if (!transcript) {
+      return res.status(404).json({ error: 'Transcript not found' });
+    }
+
+    return res.json({
+      id: transcript.id,
+      jobId: transcript.jobId,
+      createdAt: transcript.createdAt,
+      updatedAt: transcript.updatedAt,
+      text: transcript.text,
+      model: transcript.model,
+      language: transcript.language,
+      durationSeconds: transcript.durationSeconds,
+      segments: transcript.segments,
+    });
+  } catch (err) {
+    logger.error({ err, jobId: id }, 'Failed to fetch transcript');
+    return res.status(500).json({ error: 'Failed to fetch transcript' });
+  }
+});
+
+// Correct heuristic speaker labels: { labels: [{ segmentId, speaker }] }
+app.put('/jobs/:id/transcript/speakers', (req, res) => {
+  const { id } = req.params;
+  const { labels } = req.body || {};
+
+  if (!Array.isArray(labels) || labels.length === 0) {
+    return res.status(400).json({ error: 'labels must be a non-empty array' });
+  }
+
+  const invalid = labels.some(
+    (label) =>
+      !label ||
+      !Number.isInteger(label.segmentId) ||
+      !SPEAKERS.includes(label.speaker),
+  );
+  if (invalid) {
+    return res.status(400).json({
+      error: `Each label needs an integer segmentId and a speaker of: ${SPEAKERS.join(', ')}`,
+    });
+  }
+
+  if (!getJobById(id)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  try {
+    const transcript = getTranscriptByJobId(id);
+    if (!transcript) {
+      return res.status(404).json({ error: 'Transcript not found' });
+    }
+
+    const segmentIds = new Set(transcript.segments.map((segment) => segment.id));
+    const unknown = labels.filter((label) => !segmentIds.has(label.segmentId));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        error: 'Unknown segmentId(s)',
+        segmentIds: unknown.map((label) => label.segmentId),
+      });
+    }
+
+    const labelsById = new Map(labels.map((label) => [label.segmentId, label.speaker]));
+    const corrected = transcript.segments.map((segment) =>
+      labelsById.has(segment.id)
+        ? { ...segment, speaker: labelsById.get(segment.id), speakerSource: 'manual' }
+        : segment,
+    );
+
+    // Re-run the heuristic so unlabelled turns follow the human corrections
+    const segments = labelSpeakerTurns(corrected);
+    updateTranscriptSegments(id, segments);
+    refreshCallMetrics(id, { segments });
+
+    return res.json({ jobId: id, segments });
+  } catch (err) {
+    logger.error({ err, jobId: id }, 'Failed to update speaker labels');
+    return res.status(500).json({ error: 'Failed to update speaker labels' });
+  }
+});
+
+app.get('/jobs/:id/metrics', (req, res) => {
+  const { id } = req.params;
+
+  if (!getJobById(id)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  try {
+    const stored = getCallMetricsByJobId(id);
+    if (stored) {
+      return res.json(stored);
+    }
+
+    // Jobs transcribed before metrics existed are measured on first request
+    const transcript = getTranscriptByJobId(id);
+    if (!transcript) {
+      return res.status(404).json({ error: 'Transcript not found' });
+    }
+    const computed = refreshCallMetrics(id, transcript);
+    if (!computed) {
+      return res.status(409).json({ error: 'Transcript has no timestamped, speaker-labelled segments' });
+    }
+    return res.json(computed);
+  } catch (err) {
+    logger.error({ err, jobId: id }, 'Failed to fetch call metrics');
+    return res.status(500).json({ error: 'Failed to fetch call metrics' });
+  }
+});
+
+app.get('/jobs/:id/attempts', (req, res) => {
+  const { id } = req.params;
+
+  if (!getJobById(id)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  try {
+    return res.json({ attempts: getJobAttemptsByJobId(id) });
+  } catch (err) {
+    logger.error({ err, jobId: id }, 'Failed to fetch job attempts');
+    return res.status(500).json({ error: 'Failed to fetch job attempts' });
+  }
+});
+
+app.get('/jobs/:id/usage', (req, res) => {
+  const { id } = req.params;
+
+  if (!getJobById(id)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  try {
+    // Includes the job's transcription, analysis and post-call coaching runs
+    const events = getUsageEvents({ jobId: id });
+    return res.json({ jobId: id, ...summarizeUsage(events), events });
+  } catch (err) {
+    logger.error({ err, jobId: id }, 'Failed to fetch job usage');
+    return res.status(500).json({ error: 'Failed to fetch job usage' });
+  }
+});
+
+/**
+ * Link a job to its pre-call plan ({ precallPlanId }), or unlink it with
+ * { precallPlanId: null }. Later analysis and coaching runs use the plan.
+ */
+app.put('/jobs/:id/plan', (req, res) => {
+  const { id } = req.params;
+  const { precallPlanId } = req.body || {};
+
+  if (!getJobById(id)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  if (precallPlanId !== null && (typeof precallPlanId !== 'string' || precallPlanId.trim() === '')) {
+    return res.status(400).json({ error: 'precallPlanId must be a plan id or null' });
+  }
+
+  const planId = precallPlanId ? precallPlanId.trim() : null;
+  if (planId && !getPrecallPlanById(planId)) {
+    return res.status(404).json({ error: 'Precall plan not found' });
+  }
+
+  try {
+    updateJob(id, { precallPlanId: planId });
+    return res.json(mapRowToJob(getJobById(id)));
+  } catch (err) {
+    logger.error({ err, jobId: id, precallPlanId: planId }, 'Failed to link precall plan');
+    return res.status(500).json({ error: 'Failed to link precall plan' });
+  }
+});
+
+const PLAN_SUGGESTION_CANDIDATES = 500;
+
+/**
+ * Pre-call plans whose company or client name matches the client the
+ * job's analysis found, best first.
+ */
+app.get('/jobs/:id/plan-suggestions', (req, res) => {
+  const { id } = req.params;
+  const row = getJobById(id);
+
+  if (!row) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  try {
+    const job = mapRowToJob(row);
+    const suggestions = suggestPlansForJob(
+      job,
+      getRecentPrecallPlans(PLAN_SUGGESTION_CANDIDATES),
+    );
+
+    return res.json({
+      jobId: id,
+      clientName: job.clientName,
+      precallPlanId: job.precallPlanId,
+      suggestions: suggestions.map(({ plan, matchedField, score }) => ({
+        precallPlanId: plan.id,
+        clientName: plan.clientName || null,
+        companyName: plan.companyName || null,
+        meetingGoal: plan.meetingGoal || null,
+        createdAt: plan.createdAt,
+        matchedField,
+        score,
+      })),
+    });
+  } catch (err) {
+    logger.error({ err, jobId: id }, 'Failed to suggest precall plans');
+    return res.status(500).json({ error: 'Failed to suggest precall plans' });
+  }
+});
+
+app.post('/jobs/:id/retry', async (req, res) => {
+  const { id } = req.params;
+  const { fromStage } = req.body || {};
+
+  if (fromStage != null && !JOB_STAGES.includes(fromStage)) {
+    return res
+      .status(400)
+      .json({ error: `fromStage must be one of: ${JOB_STAGES.join(', ')}` });
+  }
+
+  const job = getJobById(id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  if (job.status === JOB_STATUS.QUEUED || ACTIVE_JOB_STATUSES.includes(job.status)) {
+    return res.status(409).json({ error: 'Job is already queued or running' });
+  }
+
+  // Make sure the artifacts the requested stage depends on still exist
+  if (fromStage === 'transcribe' || (!fromStage && !getTranscriptByJobId(id))) {
+    if (job.audioDeletedAt) {
+      return res
+        .status(409)
+        .json({ error: 'Audio was deleted by the retention policy; retry from analyze' });
+    }
+    const storageKey = jobStorageKey(job);
+    let audioAvailable = false;
+    try {
+      audioAvailable = Boolean(storageKey) && (await getStorage().exists(storageKey));
+    } catch (err) {
+      logger.error({ err, jobId: id, storageKey }, 'Failed to look up job audio');
+      return res.status(500).json({ error: 'Failed to look up job audio' });
+    }
+    if (!audioAvailable) {
+      return res
+        .status(409)
+        .json({ error: 'Audio file is no longer available for this job' });
+    }
+  }
+
+  if (fromStage === 'analyze' && !getTranscriptByJobId(id)) {
+    return res
+      .status(409)
+      .json({ error: 'No stored transcript for this job; retry from transcribe' });
+  }
+
+  if (fromStage === 'email' && !job.analysisJson) {
+    return res
+      .status(409)
+      .json({ error: 'No stored analysis for this job; retry from analyze' });
+  }
+
+  try {
+    updateJob(id, {
+      status: JOB_STATUS.QUEUED,
+      resumeStage: fromStage || null,
+      attempts: 0,
+      error: null,
+    });
+  } catch (err) {
+    logger.error({ err, jobId: id }, 'Failed to queue job retry');
+    return res.status(500).json({ error: 'Failed to queue job retry' });
+  }
+
+  enqueueJob(id);
+
+  return res.status(202).json({
+    jobId: id,
+    status: JOB_STATUS.QUEUED,
+    fromStage: fromStage || null,
+  });
+});
+
+function pickAnalysisFields(analysis) {
+  const picked = {};
+  for (const key of ANALYSIS_KEYS) {
+    if (analysis && Object.prototype.hasOwnProperty.call(analysis, key)) {
+      picked[key] = analysis[key];
+    }
+  }
+  return picked;
+}
+
+app.post('/jobs/:id/cancel', (req, res) => {
+  const { id } = req.params;
+  const job = getJobById(id);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  if (TERMINAL_JOB_STATUSES.includes(job.status)) {
+    return res.status(409).json({ error: `Job is already ${job.status}` });
+  }
+
+  // The summary email may already be on its way; let the job finish
+  if (job.status === JOB_STATUS.EMAILING) {
+    return res.status(409).json({ error: 'Job is already sending its summary email' });
+  }
+
+  try {
+    setJobStatus(id, JOB_STATUS.CANCELLED, {
+      resultSummary: 'Cancelled by user.',
+      resumeStage: null,
+      emailStatus: 'skipped',
+      error: null,
+    });
+  } catch (err) {
+    logger.error({ err, jobId: id }, 'Failed to cancel job');
+    return res.status(500).json({ error: 'Failed to cancel job' });
+  }
+
+  const aborted = abortRunningJob(id);
+  logger.info({ jobId: id, previousStatus: job.status, aborted }, 'Job cancelled');
+
+  return res.json({ jobId: id, status: JOB_STATUS.CANCELLED });
+});
+
+app.get('/jobs/:id/coaching', (req, res) => {
+  const { id } = req.params;
+
+  if (!getJobById(id)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  try {
+    return res.json({ jobId: id, versions: getPostcallCoachingByJobId(id) });
+  } catch (err) {
+    logger.error({ err, jobId: id }, 'Failed to fetch post-call coaching history');
+    return res.status(500).json({ error: 'Failed to fetch post-call coaching history' });
+  }
+});
+
+app.get('/jobs/:id/checklist-coverage', (req, res) => {
+  const { id } = req.params;
+
+  if (!getJobById(id)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  try {
+    return res.json({ jobId: id, versions: getCallChecklistsByJobId(id) });
+  } catch (err) {
+    logger.error({ err, jobId: id }, 'Failed to fetch checklist coverage history');
+    return res.status(500).json({ error: 'Failed to fetch checklist coverage history' });
+  }
+});
+
+app.get('/jobs/:id/scorecards', (req, res) => {
+  const { id } = req.params;
+
+  if (!getJobById(id)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  try {
+    return res.json({ jobId: id, versions: getCallScorecardsByJobId(id) });
+  } catch (err) {
+    logger.error({ err, jobId: id }, 'Failed to fetch scorecards');
+    return res.status(500).json({ error: 'Failed to fetch scorecards' });
+  }
+});
+
+app.get('/jobs/:id/analysis-runs', (req, res) => {
+  const { id } = req.params;
+
+  if (!getJobById(id)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  try {
+    return res.json({ runs: getAnalysisRunsByJobId(id) });
+  } catch (err) {
+    logger.error({ err, jobId: id }, 'Failed to fetch analysis runs');
+    return res.status(500).json({ error: 'Failed to fetch analysis runs' });
+  }
+});
+
+/**
+ * Re-run the analysis of a finished job with another prompt version (latest
+ * by default) and/or model, and compare it with the job's current analysis.
+ * The run is stored in analysis_runs; the job's own analysis is unchanged.
+ */
+app.post('/jobs/:id/reanalyze', async (req, res) => {
+  const { id } = req.params;
+  const { promptVersion, model } = req.body || {};
+
+  const jobRow = getJobById(id);
+  if (!jobRow) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  if (ACTIVE_JOB_STATUSES.includes(jobRow.status) || jobRow.status === JOB_STATUS.QUEUED) {
+    return res.status(409).json({ error: 'Job is still being processed' });
+  }
+
+  if (model != null && (typeof model !== 'string' || model.trim() === '')) {
+    return res.status(400).json({ error: 'model must be a non-empty string' });
+  }
+
+  let prompt;
+  try {
+    prompt = getPrompt('analysis', promptVersion);
   } catch (err) {
-    logger.error({ err }, 'Failed to persist job to database');
-    return res
-      .status(500)
-      .json({ error: 'Failed to create job record' });
+    if (err.code === 'UNKNOWN_PROMPT') {
+      return res.status(400).json({ error: err.message });
+    }
+    logger.error({ err, jobId: id }, 'Failed to resolve analysis prompt');
+    return res.status(500).json({ error: 'Failed to resolve analysis prompt' });
   }
 
-  res.status(200).json({
-    jobId: job.id,
-  });
+  const transcript = getTranscriptByJobId(id);
+  if (!transcript || !transcript.text) {
+    return res.status(409).json({ error: 'Job has no stored transcript to re-analyze' });
+  }
 
-  setImmediate(() => {
-    runAnalysisForJob(job.id).catch((err) => {
-      console.error('runAnalysisForJob unhandled rejection', err);
-      logger.error({ err, jobId: job.id }, 'Unhandled error from runAnalysisForJob');
+  if (!getLlmProvider().isConfigured()) {
+    return res.status(500).json({
+      error: 'OpenAI client is not configured. Set OPENAI_API_KEY or LLM_PROVIDER=stub.',
     });
-  });
-});
-
-app.get('/jobs', (req, res) => {
-  const rows = getJobs();
-  const jobs = rows.map(mapRowToJob);
+  }
 
-  res.json(jobs);
-});
+  let result;
+  try {
+    result = await runAnalysisPrompt(id, jobRow, transcript, {
+      promptVersion: prompt.version,
+      model: model ? model.trim() : undefined,
+    });
+  } catch (err) {
+    logger.error({ err, jobId: id }, 'Failed to re-run analysis');
+    return res.status(502).json({ error: `Failed to re-run analysis: ${err.message}` });
+  }
 
-app.get('/jobs/:id', (req, res) => {
-  const { id } = req.params;
-  const row = getJobById(id);
+  const run = {
+    id: generateJobId(),
+    jobId: id,
+    createdAt: new Date().toISOString(),
+    promptId: result.promptId,
+    promptVersion: result.promptVersion,
+    model: result.model,
+    resultSummary: result.resultSummary,
+    analysis: result.analysis,
+    validation: result.validation,
+  };
 
-  if (!row) {
-    return res.status(404).json({ error: 'Job not found' });
+  try {
+    saveAnalysisRun(run);
+  } catch (err) {
+    logger.error({ err, jobId: id }, 'Failed to save analysis run');
+    return res.status(500).json({ error: 'Failed to save analysis run' });
   }
 
-  const job = mapRowToJob(row);
-
-  return res.json(job);
+  const baselineAnalysis = parseJsonColumn(jobRow.analysisJson);
+
+  return res.json({
+    run,
+    baseline: {
+      promptId: jobRow.analysisPromptId || null,
+      promptVersion: jobRow.analysisPromptVersion ?? null,
+      model: jobRow.analysisModel || null,
+      resultSummary: jobRow.resultSummary || null,
+      analysis: baselineAnalysis,
+    },
+    // Only the model-produced fields are compared, not the derived report
+    comparison: compareJson(
+      pickAnalysisFields(baselineAnalysis),
+      pickAnalysisFields(run.analysis),
+    ),
+  });
 });
 
 app.delete('/jobs/:id', async (req, res) => {
@@ -540,14 +1922,34 @@ app.delete('/jobs/:id', async (req, res) => {
     return res.status(404).json({ error: 'Job not found' });
   }
 
-  if (job.filename) {
-    const filePath = path.join(UPLOAD_DIR, job.filename);
+  if (job.status === JOB_STATUS.EMAILING) {
+    return res.status(409).json({ error: 'Job is sending its summary email; delete it once it finishes' });
+  }
+
+  // Cancel and stop a queued or running job first; otherwise the worker
+  // writes transcripts, metrics and usage for a job that no longer exists
+  if (job.status === JOB_STATUS.QUEUED || ACTIVE_JOB_STATUSES.includes(job.status)) {
     try {
-      await fs.promises.unlink(filePath);
+      setJobStatus(id, JOB_STATUS.CANCELLED, {
+        resultSummary: 'Cancelled by user.',
+        resumeStage: null,
+        emailStatus: 'skipped',
+        error: null,
+      });
     } catch (err) {
-      if (!err || err.code !== 'ENOENT') {
-        logger.warn({ err, jobId: id, filePath }, 'Failed to delete job audio file');
-      }
+      logger.error({ err, jobId: id }, 'Failed to cancel job before deleting it');
+      return res.status(500).json({ error: 'Failed to delete job' });
+    }
+    await stopRunningJob(id);
+  }
+
+  const storageKey = jobStorageKey(job);
+  if (storageKey) {
+    try {
+      await getStorage().deleteObject(storageKey);
+    } catch (err) {
+      // The orphan sweep removes it later
+      logger.warn({ err, jobId: id, storageKey }, 'Failed to delete job audio');
     }
   }
 
@@ -558,6 +1960,8 @@ app.delete('/jobs/:id', async (req, res) => {
     return res.status(500).json({ error: 'Failed to delete job' });
   }
 
+  publishJobEvent('job.deleted', id);
+
   return res.json({ success: true });
 });
 
@@ -592,11 +1996,13 @@ app.get('/precall-plans/:id', (req, res) => {
     let briefing = null;
     let checklist = [];
     let coaching = null;
+    let validation = null;
 
     try {
       briefing = JSON.parse(plan.briefingJson);
       checklist = JSON.parse(plan.checklistJson);
       coaching = plan.coachingJson ? JSON.parse(plan.coachingJson) : null;
+      validation = plan.validationJson ? JSON.parse(plan.validationJson) : null;
     } catch (e) {
       console.error('Failed to parse precall plan JSON', e);
       logger.error({ e, id }, 'Failed to parse precall plan JSON');
@@ -613,6 +2019,10 @@ app.get('/precall-plans/:id', (req, res) => {
       briefing,
       checklist,
       coaching,
+      validation,
+      promptId: plan.promptId || null,
+      promptVersion: plan.promptVersion ?? null,
+      model: plan.model || null,
       });
     } catch (err) {
       console.error('Failed to fetch precall plan', err);
@@ -623,6 +2033,22 @@ app.get('/precall-plans/:id', (req, res) => {
     }
   });
 
+app.get('/precall-plans/:id/usage', (req, res) => {
+  const { id } = req.params;
+
+  if (!getPrecallPlanById(id)) {
+    return res.status(404).json({ error: 'Precall plan not found' });
+  }
+
+  try {
+    const events = getUsageEvents({ precallPlanId: id });
+    return res.json({ precallPlanId: id, ...summarizeUsage(events), events });
+  } catch (err) {
+    logger.error({ err, precallPlanId: id }, 'Failed to fetch precall plan usage');
+    return res.status(500).json({ error: 'Failed to fetch precall plan usage' });
+  }
+});
+
 app.delete('/precall-plans/:id', (req, res) => {
   try {
     const { id } = req.params || {};
@@ -692,17 +2118,18 @@ app.post('/precall-prep', async (req, res) => {
     typeof sendToEmail === 'string' ? sendToEmail.trim() : '';
 
   try {
-    const plan = await generatePrecallPrep(planInput);
+    const precallPlanId = generateJobId();
+    const plan = await generatePrecallPrep(planInput, { precallPlanId });
     const checklist =
       (plan && Array.isArray(plan.questionChecklist) && plan.questionChecklist) ||
       (plan && Array.isArray(plan.checklist) && plan.checklist) ||
       [];
     console.log('Precall checklist length:', checklist.length);
 
-    const precallPlanId = generateJobId();
     const createdAt = new Date().toISOString();
 
     const briefingJson = JSON.stringify(plan && plan.briefing ? plan.briefing : null);
+    const validationJson = JSON.stringify(plan && plan.validation ? plan.validation : null);
     const checklistJson = JSON.stringify(checklist);
     const coachingJson = JSON.stringify(
       plan && Array.isArray(plan.coachingNotes) ? plan.coachingNotes : null,
@@ -720,7 +2147,12 @@ app.post('/precall-prep', async (req, res) => {
         briefingJson,
         checklistJson,
         coachingJson,
+        validationJson,
+        promptId: plan.promptId,
+        promptVersion: plan.promptVersion,
+        model: plan.model,
       });
+      indexPrecallPlan(getPrecallPlanById(precallPlanId));
     } catch (dbErr) {
       logger.error({ dbErr }, 'Failed to persist precall plan to database');
     }
@@ -787,18 +2219,42 @@ app.post('/precall-prep', async (req, res) => {
   }
 });
 
+/**
+ * Email a stored coaching record and persist the outcome on it.
+ * Resolves to { emailStatus, emailSentAt, error }.
+ */
+async function emailPostcallCoaching(record, { to } = {}) {
+  const jobRow = getJobById(record.jobId);
+  let delivery;
+  try {
+    const emailOk = await sendPostcallCoachingEmail(record, {
+      to,
+      job: jobRow ? mapRowToJob(jobRow) : null,
+    });
+    delivery = emailOk
+      ? { emailStatus: 'sent', emailSentAt: new Date().toISOString(), error: null }
+      : { emailStatus: 'error', emailSentAt: null, error: 'Email failed: transporter returned false.' };
+  } catch (err) {
+    logger.error({ err, postcallCoachingId: record.id }, 'Failed to send post-call coaching email');
+    delivery = { emailStatus: 'error', emailSentAt: null, error: `Email failed: ${err.message}` };
+  }
+
+  updatePostcallCoachingEmail(record.id, delivery);
+  return delivery;
+}
+
 app.post('/postcall-coaching', async (req, res) => {
   try {
-    const { jobId, precallPlanId, extraNotes } = req.body || {};
+    const { jobId, extraNotes } = req.body || {};
 
     if (!jobId || typeof jobId !== 'string' || jobId.trim() === '') {
       return res.status(400).json({ error: 'jobId is required' });
     }
 
-    if (!openai) {
-      return res
-        .status(500)
-        .json({ error: 'OpenAI client is not configured. Set OPENAI_API_KEY.' });
+    if (!getLlmProvider().isConfigured()) {
+      return res.status(500).json({
+        error: 'OpenAI client is not configured. Set OPENAI_API_KEY or LLM_PROVIDER=stub.',
+      });
     }
 
     const jobRow = getJobById(jobId);
@@ -808,6 +2264,13 @@ app.post('/postcall-coaching', async (req, res) => {
 
     const job = mapRowToJob(jobRow);
 
+    // An explicit plan wins over the one linked to the job
+    const requestedPlanId = req.body.precallPlanId;
+    const precallPlanId =
+      typeof requestedPlanId === 'string' && requestedPlanId.trim()
+        ? requestedPlanId.trim()
+        : job.precallPlanId;
+
     let analysisObject = null;
     if (job.analysisJson && typeof job.analysisJson === 'string') {
       try {
@@ -819,47 +2282,24 @@ app.post('/postcall-coaching', async (req, res) => {
       analysisObject = job.analysisJson;
     }
 
-    let transcriptText = null;
-    if (typeof jobRow.transcript === 'string' && jobRow.transcript.trim()) {
-      transcriptText = jobRow.transcript.trim();
-    }
-
-    if (!transcriptText && analysisObject) {
-      const candidates = [
-        analysisObject.transcript,
-        analysisObject.transcribed_text,
-        analysisObject.fullTranscript,
-        analysisObject.transcriptText,
-      ];
-      for (const candidate of candidates) {
-        if (typeof candidate === 'string' && candidate.trim()) {
-          transcriptText = candidate.trim();
-          break;
-        }
-      }
+    let storedTranscript = null;
+    try {
+      storedTranscript = getTranscriptByJobId(jobId);
+    } catch (err) {
+      logger.warn({ err, jobId }, 'Failed to load transcript for postcall coaching');
     }
 
-    if (!transcriptText) {
-      const transcriptPath = path.join(UPLOAD_DIR, `${jobId}.transcript.txt`);
-      if (fs.existsSync(transcriptPath)) {
-        try {
-          transcriptText = fs.readFileSync(transcriptPath, 'utf8');
-        } catch (err) {
-          logger.warn(
-            { err, jobId, transcriptPath },
-            'Failed to read transcript file for postcall coaching'
-          );
-        }
+    let transcriptHeading = 'Call transcript:';
+    let transcriptForCoaching = 'Transcript unavailable.';
+    if (storedTranscript && storedTranscript.text) {
+      const fitted = await fitJobTranscriptToBudget(jobId, storedTranscript);
+      transcriptForCoaching = fitted.text;
+      if (fitted.condensed) {
+        transcriptHeading =
+          'Call transcript notes (the call is too long to include verbatim; these notes were taken section by section and cover the whole call in order):';
       }
     }
 
-    const trimmedTranscript =
-      transcriptText && transcriptText.length > 0
-        ? transcriptText.length > MAX_TRANSCRIPT_CHARS
-          ? `${transcriptText.slice(0, MAX_TRANSCRIPT_CHARS)}\n...[transcript truncated]`
-          : transcriptText
-        : 'Transcript unavailable.';
-
     const callAnalysis = analysisObject || null;
     let callAnalysisForPrompt = 'callAnalysis: null';
     if (callAnalysis) {
@@ -870,63 +2310,17 @@ app.post('/postcall-coaching', async (req, res) => {
           : stringified;
     }
 
-    let precallSnapshot = null;
-    if (precallPlanId && typeof precallPlanId === 'string' && precallPlanId.trim()) {
-      try {
-        const plan = getPrecallPlanById(precallPlanId);
-        if (plan) {
-          let briefing = null;
-          let checklist = null;
-          let coachingNotes = null;
-
-          try {
-            briefing = plan.briefingJson ? JSON.parse(plan.briefingJson) : null;
-          } catch (err) {
-            logger.warn({ err, precallPlanId }, 'Failed to parse briefingJson for postcall coaching');
-          }
-
-          try {
-            checklist = plan.checklistJson ? JSON.parse(plan.checklistJson) : null;
-          } catch (err) {
-            logger.warn({ err, precallPlanId }, 'Failed to parse checklistJson for postcall coaching');
-          }
-
-          try {
-            coachingNotes = plan.coachingJson ? JSON.parse(plan.coachingJson) : null;
-          } catch (err) {
-            logger.warn({ err, precallPlanId }, 'Failed to parse coachingJson for postcall coaching');
-          }
-
-            const questionChecklist =
-              Array.isArray(checklist) && checklist.length > 0 ? checklist : [];
-
-            precallSnapshot = {
-              clientName: plan.clientName || null,
-              companyName: plan.companyName || null,
-              meetingGoal: plan.meetingGoal || null,
-              desiredOutcome: plan.desiredOutcome || null,
-              offerName: plan.offerName || null,
-              notes: plan.notes || null,
-              briefing: briefing || null,
-              coachingNotes: coachingNotes || null,
-              questionChecklist,
-            };
-        }
-      } catch (err) {
-        logger.warn({ err, precallPlanId }, 'Failed to load precall plan for postcall coaching');
-      }
-    }
+    const precallSnapshot = precallPlanId ? loadPrecallSnapshot(precallPlanId) : null;
 
     const latestChecklist = getLatestCallChecklistByJobId(jobId);
     const checklistCoverage = latestChecklist?.coverage ?? null;
     const checklistContext =
       checklistCoverage && Array.isArray(checklistCoverage)
-        ? {
-            askedQuestions: checklistCoverage.filter((q) => q && q.asked),
-            missedQuestions: checklistCoverage.filter((q) => q && !q.asked),
-          }
+        ? groupCoverage(checklistCoverage)
         : null;
 
+    const callMetrics = getCallMetricsByJobId(jobId);
+
     const recentCoaching = getLatestPostcallCoachingByJobId(jobId);
     const trimmedExtraNotes =
       typeof extraNotes === 'string' && extraNotes.trim().length > 0
@@ -950,16 +2344,18 @@ app.post('/postcall-coaching', async (req, res) => {
       '- Put all client follow-up items into followUpsForClient, primaryNextAction, and nextActionSteps.',
       '- Do NOT repeat long call summaries or restate the transcript; keep each item concise and action-focused. One or two sentences per bullet is enough.',
       '- Use precallSnapshot.meetingGoal and precallSnapshot.desiredOutcome to judge whether the rep moved towards their stated goal for this call.',
-      '- Use checklistCoverage.askedQuestions vs checklistCoverage.missedQuestions to identify strengths and gaps in discovery.',
+      '- Use checklistCoverage.askedQuestions, checklistCoverage.partiallyAskedQuestions and checklistCoverage.missedQuestions to identify strengths and gaps in discovery; excerpts show where a question was covered.',
+      '- conversationMetrics are measured from the transcript timestamps, not estimated: treat talk share, longest monologue, question counts, interruptions and silences as facts and use them for feedback on listening and questioning. They rely on the speaker labels (speakerLabels says whether those are heuristic).',
       '- Use callAnalysis and the transcript to ground all feedback in what actually happened on the call.',
+      '- Transcript lines may start with an [m:ss] timestamp and an inferred speaker label (Rep = Zax, Client = prospect). When a coaching point refers to a specific moment, cite its timestamp.',
       '',
       'Call/job metadata:',
       `Job ID: ${jobId}`,
       `Job status: ${job.status}`,
       `Job result summary: ${job.resultSummary || 'Unknown'}`,
       '',
-      'Call transcript (may be truncated):',
-      trimmedTranscript,
+      transcriptHeading,
+      transcriptForCoaching,
       '',
       'Call analysis object (callAnalysis, parsed from analysisJson; may be truncated when stringified):',
       callAnalysisForPrompt,
@@ -982,13 +2378,24 @@ app.post('/postcall-coaching', async (req, res) => {
     if (checklistContext) {
       userMessageParts.push(
         '',
-        'Checklist coverage (checklistCoverage with askedQuestions and missedQuestions):',
+        'Checklist coverage (checklistCoverage with askedQuestions, partiallyAskedQuestions and missedQuestions):',
+        JSON.stringify(
+          {
+            checklistCoverage: checklistContext,
+          },
+          null,
+          2
+        )
+      );
+    }
+
+    if (callMetrics && callMetrics.metrics) {
+      userMessageParts.push(
+        '',
+        'Conversation metrics (conversationMetrics: measured from segment timestamps, in seconds; rep = Zax):',
         JSON.stringify(
           {
-            checklistCoverage: {
-              askedQuestions: checklistContext.askedQuestions,
-              missedQuestions: checklistContext.missedQuestions,
-            },
+            conversationMetrics: callMetrics.metrics,
           },
           null,
           2
@@ -1008,44 +2415,58 @@ app.post('/postcall-coaching', async (req, res) => {
       );
     }
 
-    const completion = await openai.chat.completions.create({
-      model: POSTCALL_COACHING_MODEL,
-      response_format: { type: 'json_object' },
-      temperature: 0.2,
-      messages: [
-        { role: 'system', content: POSTCALL_COACHING_SYSTEM_PROMPT },
-        { role: 'user', content: userMessageParts.join('\n') },
-      ],
-    });
-
-    const rawContent =
-      completion &&
-      Array.isArray(completion.choices) &&
-      completion.choices[0] &&
-      completion.choices[0].message &&
-      typeof completion.choices[0].message.content === 'string'
-        ? completion.choices[0].message.content.trim()
-        : '';
-
-    if (!rawContent) {
-      return res
-        .status(502)
-        .json({ error: 'OpenAI returned an empty response for post-call coaching' });
-    }
+    // Generated up front so the model calls can be linked to this record
+    const recordId = generateJobId();
+    const prompt = getPrompt('postcall-coaching');
 
     let coaching;
+    let validation;
     try {
-      coaching = JSON.parse(rawContent);
+      ({ value: coaching, validation } = await completeValidatedJson({
+        label: 'postcall-coaching',
+        schema: POSTCALL_COACHING_SCHEMA,
+        messages: [
+          { role: 'system', content: prompt.text },
+          { role: 'user', content: userMessageParts.join('\n') },
+        ],
+        complete: async (messages) =>
+          (
+            await getLlmProvider().complete({
+              feature: 'postcall-coaching',
+              model: MODELS.postcallCoaching,
+              responseFormat: JSON_OBJECT_FORMAT,
+              temperature: 0.2,
+              messages,
+              context: { jobId, postcallCoachingId: recordId },
+            })
+          ).content,
+      }));
     } catch (err) {
-      logger.error({ err, jobId, rawContent }, 'Failed to parse post-call coaching JSON');
-      return res
-        .status(502)
-        .json({ error: 'Failed to parse AI response for post-call coaching' });
+      if (err && err.code === 'INVALID_MODEL_JSON') {
+        logger.error(
+          { err, jobId, violations: err.violations },
+          'Failed to parse post-call coaching JSON',
+        );
+        return res
+          .status(502)
+          .json({ error: 'Failed to parse AI response for post-call coaching' });
+      }
+      throw err;
     }
 
-    const recordId = generateJobId();
     const createdAt = new Date().toISOString();
 
+    let autoPostcallCoachingEmail = false;
+    try {
+      const userSettings = getUserSettings();
+      autoPostcallCoachingEmail = Boolean(userSettings && userSettings.autoPostcallCoachingEmail);
+    } catch (settingsErr) {
+      logger.warn(
+        { settingsErr },
+        'Failed to load user settings for post-call coaching email; defaulting to disabled',
+      );
+    }
+
     try {
       savePostcallCoaching({
         id: recordId,
@@ -1053,14 +2474,30 @@ app.post('/postcall-coaching', async (req, res) => {
         precallPlanId: precallPlanId || null,
         createdAt,
         coachingJson: coaching,
-        emailStatus: null,
+        validation,
+        promptId: prompt.id,
+        promptVersion: prompt.version,
+        model: MODELS.postcallCoaching,
+        emailStatus: autoPostcallCoachingEmail ? 'pending' : 'skipped',
         emailSentAt: null,
         error: null,
+        extraNotes: trimmedExtraNotes,
       });
     } catch (err) {
       logger.error({ err, jobId, recordId }, 'Failed to persist post-call coaching');
       return res.status(500).json({ error: 'Failed to save post-call coaching' });
     }
+    indexPostcallCoaching({
+      id: recordId,
+      jobId,
+      precallPlanId: precallPlanId || null,
+      createdAt,
+      coaching,
+    });
+
+    const delivery = autoPostcallCoachingEmail
+      ? await emailPostcallCoaching(getPostcallCoachingById(recordId))
+      : { emailStatus: 'skipped', emailSentAt: null, error: null };
 
     return res.json({
       id: recordId,
@@ -1068,6 +2505,13 @@ app.post('/postcall-coaching', async (req, res) => {
       precallPlanId: precallPlanId || null,
       createdAt,
       coaching,
+      validation,
+      promptId: prompt.id,
+      promptVersion: prompt.version,
+      model: MODELS.postcallCoaching,
+      extraNotes: trimmedExtraNotes,
+      emailStatus: delivery.emailStatus,
+      emailSentAt: delivery.emailSentAt,
     });
   } catch (error) {
     console.error('Error in /postcall-coaching', error);
@@ -1076,6 +2520,104 @@ app.post('/postcall-coaching', async (req, res) => {
   }
 });
 
+app.get('/postcall-coaching/:id', (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const record = getPostcallCoachingById(id);
+    if (!record) {
+      return res.status(404).json({ error: 'Post-call coaching not found' });
+    }
+    return res.json(record);
+  } catch (err) {
+    logger.error({ err, postcallCoachingId: id }, 'Failed to fetch post-call coaching');
+    return res.status(500).json({ error: 'Failed to fetch post-call coaching' });
+  }
+});
+
+function coachingRunSummary(record) {
+  return {
+    id: record.id,
+    createdAt: record.createdAt,
+    precallPlanId: record.precallPlanId || null,
+    promptId: record.promptId,
+    promptVersion: record.promptVersion,
+    model: record.model,
+    extraNotes: record.extraNotes,
+  };
+}
+
+/**
+ * Compare a coaching run with an earlier run of the same job: ?base=<id>,
+ * by default the run just before it.
+ */
+app.get('/postcall-coaching/:id/diff', (req, res) => {
+  const { id } = req.params;
+  const baseId = req.query && req.query.base ? String(req.query.base) : null;
+
+  try {
+    const record = getPostcallCoachingById(id);
+    if (!record) {
+      return res.status(404).json({ error: 'Post-call coaching not found' });
+    }
+
+    let base;
+    if (baseId) {
+      base = getPostcallCoachingById(baseId);
+      if (!base) {
+        return res.status(404).json({ error: 'Base post-call coaching not found' });
+      }
+      if (base.jobId !== record.jobId) {
+        return res.status(400).json({ error: 'Both coaching runs must belong to the same job' });
+      }
+    } else {
+      const runs = getPostcallCoachingByJobId(record.jobId);
+      const index = runs.findIndex((run) => run.id === id);
+      base = index > 0 ? runs[index - 1] : null;
+      if (!base) {
+        return res.status(409).json({ error: 'No earlier coaching run to compare with' });
+      }
+    }
+
+    return res.json({
+      jobId: record.jobId,
+      base: coachingRunSummary(base),
+      run: coachingRunSummary(record),
+      comparison: compareJson(base.coaching, record.coaching),
+    });
+  } catch (err) {
+    logger.error({ err, postcallCoachingId: id }, 'Failed to compare post-call coaching');
+    return res.status(500).json({ error: 'Failed to compare post-call coaching' });
+  }
+});
+
+/**
+ * Send (or re-send) a coaching record by email, to { to } or NOTIFY_EMAIL.
+ */
+app.post('/postcall-coaching/:id/email', async (req, res) => {
+  const { id } = req.params;
+  const { to } = req.body || {};
+
+  if (to != null && (typeof to !== 'string' || !to.includes('@'))) {
+    return res.status(400).json({ error: 'to must be an email address' });
+  }
+
+  const record = getPostcallCoachingById(id);
+  if (!record) {
+    return res.status(404).json({ error: 'Post-call coaching not found' });
+  }
+
+  try {
+    const delivery = await emailPostcallCoaching(record, { to });
+    return res
+      .status(delivery.emailStatus === 'sent' ? 200 : 502)
+      .json({ id, ...delivery });
+  } catch (err) {
+    logger.error({ err, postcallCoachingId: id }, 'Failed to email post-call coaching');
+    return res.status(500).json({ error: 'Failed to email post-call coaching' });
+  }
+});
+
 app.post('/calls/:jobId/checklist-coverage', (req, res) => {
   try {
     const { jobId } = req.params;
@@ -1098,11 +2640,13 @@ app.post('/calls/:jobId/checklist-coverage', (req, res) => {
 
     const id = generateJobId();
     const createdAt = new Date().toISOString();
+    const job = getJobById(jobId);
+    const planId = precallPlanId || (job && job.precallPlanId) || null;
 
     saveCallChecklist({
       id,
       jobId,
-      precallPlanId: precallPlanId || null,
+      precallPlanId: planId,
       createdAt,
       coverageJson,
     });
@@ -1116,7 +2660,7 @@ app.post('/calls/:jobId/checklist-coverage', (req, res) => {
     return res.json({
       id,
       jobId,
-      precallPlanId: precallPlanId || null,
+      precallPlanId: planId,
       createdAt,
       coverage: coverageJson,
     });
@@ -1128,6 +2672,239 @@ app.post('/calls/:jobId/checklist-coverage', (req, res) => {
   }
 });
 
+/**
+ * Detect which questions of the pre-call plan's checklist were asked,
+ * partially asked or missed, from the stored transcript. Uses the job's
+ * linked plan unless { precallPlanId } is given; the result is saved as the
+ * job's latest checklist coverage.
+ */
+app.post('/calls/:jobId/checklist-coverage/detect', async (req, res) => {
+  const { jobId } = req.params;
+  const { precallPlanId: requestedPlanId } = req.body || {};
+
+  const jobRow = getJobById(jobId);
+  if (!jobRow) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  const precallPlanId =
+    typeof requestedPlanId === 'string' && requestedPlanId.trim()
+      ? requestedPlanId.trim()
+      : jobRow.precallPlanId;
+  if (!precallPlanId) {
+    return res.status(409).json({ error: 'Job has no linked pre-call plan; pass precallPlanId' });
+  }
+
+  const plan = loadPrecallSnapshot(precallPlanId);
+  if (!plan) {
+    return res.status(404).json({ error: 'Precall plan not found' });
+  }
+
+  const checklist = checklistForPrompt(plan.questionChecklist);
+  if (checklist.length === 0) {
+    return res.status(409).json({ error: 'Precall plan has no question checklist' });
+  }
+
+  const transcript = getTranscriptByJobId(jobId);
+  if (!transcript || !transcript.text) {
+    return res.status(409).json({ error: 'Job has no stored transcript' });
+  }
+
+  if (!getLlmProvider().isConfigured()) {
+    return res.status(500).json({
+      error: 'OpenAI client is not configured. Set OPENAI_API_KEY or LLM_PROVIDER=stub.',
+    });
+  }
+
+  try {
+    const prompt = getPrompt('checklist-coverage');
+    const fitted = await fitJobTranscriptToBudget(jobId, transcript);
+
+    let result;
+    let validation;
+    try {
+      ({ value: result, validation } = await completeValidatedJson({
+        label: 'checklist-coverage',
+        schema: CHECKLIST_COVERAGE_SCHEMA,
+        messages: [
+          { role: 'system', content: prompt.text },
+          {
+            role: 'user',
+            content: JSON.stringify({
+              checklist,
+              [fitted.condensed ? 'transcript_section_notes' : 'transcribed_text']: fitted.text,
+            }),
+          },
+        ],
+        complete: async (messages) =>
+          (
+            await getLlmProvider().complete({
+              feature: 'checklist-coverage',
+              model: MODELS.checklistCoverage,
+              responseFormat: JSON_OBJECT_FORMAT,
+              messages,
+              context: { jobId, precallPlanId },
+            })
+          ).content,
+      }));
+    } catch (err) {
+      if (err && err.code === 'INVALID_MODEL_JSON') {
+        logger.error({ err, jobId, violations: err.violations }, 'Failed to parse checklist coverage JSON');
+        return res.status(502).json({ error: 'Failed to parse AI response for checklist coverage' });
+      }
+      throw err;
+    }
+
+    saveCallChecklist({
+      id: generateJobId(),
+      jobId,
+      precallPlanId,
+      createdAt: new Date().toISOString(),
+      coverageJson: mergeCoverage(checklist, result && result.questions),
+      validation,
+      promptId: prompt.id,
+      promptVersion: prompt.version,
+      model: MODELS.checklistCoverage,
+    });
+
+    return res.json(getLatestCallChecklistByJobId(jobId));
+  } catch (err) {
+    logger.error({ err, jobId, precallPlanId }, 'Failed to detect checklist coverage');
+    return res.status(500).json({ error: 'Failed to detect checklist coverage' });
+  }
+});
+
+const MAX_RANKED_SCORECARDS = 200;
+
+app.get('/scorecards/rubric', (req, res) => {
+  return res.json({ rubric: SCORECARD_RUBRIC });
+});
+
+/**
+ * Calls ranked by the weighted total of their latest scorecard.
+ */
+app.get('/scorecards', (req, res) => {
+  const { from, to } = req.query || {};
+  const limit = req.query && req.query.limit != null ? Number(req.query.limit) : 50;
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_RANKED_SCORECARDS) {
+    return res
+      .status(400)
+      .json({ error: `limit must be an integer between 1 and ${MAX_RANKED_SCORECARDS}` });
+  }
+
+  const fromIso = from ? parseDateBound(String(from)) : null;
+  const toIso = to ? parseDateBound(String(to), { endOfDay: true }) : null;
+  if ((from && !fromIso) || (to && !toIso)) {
+    return res.status(400).json({ error: 'from and to must be ISO dates' });
+  }
+
+  try {
+    return res.json({
+      from: fromIso,
+      to: toIso,
+      scorecards: getRankedCallScorecards({ from: fromIso, to: toIso, limit }),
+    });
+  } catch (err) {
+    logger.error({ err }, 'Failed to rank scorecards');
+    return res.status(500).json({ error: 'Failed to rank scorecards' });
+  }
+});
+
+/**
+ * Score the call 1-5 on each rubric criterion and store the scorecard with
+ * its weighted total. Checklist coverage comes from the job's latest
+ * coverage when there is one.
+ */
+app.post('/calls/:jobId/scorecard', async (req, res) => {
+  const { jobId } = req.params;
+
+  const jobRow = getJobById(jobId);
+  if (!jobRow) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  const transcript = getTranscriptByJobId(jobId);
+  if (!transcript || !transcript.text) {
+    return res.status(409).json({ error: 'Job has no stored transcript' });
+  }
+
+  if (!getLlmProvider().isConfigured()) {
+    return res.status(500).json({
+      error: 'OpenAI client is not configured. Set OPENAI_API_KEY or LLM_PROVIDER=stub.',
+    });
+  }
+
+  try {
+    const prompt = getPrompt('call-scorecard');
+    const fitted = await fitJobTranscriptToBudget(jobId, transcript);
+    const latestChecklist = getLatestCallChecklistByJobId(jobId);
+    const percent = coveragePercent(latestChecklist && latestChecklist.coverage);
+    const precallPlanId = (latestChecklist && latestChecklist.precallPlanId) || jobRow.precallPlanId;
+
+    let result;
+    let validation;
+    try {
+      ({ value: result, validation } = await completeValidatedJson({
+        label: 'call-scorecard',
+        schema: CALL_SCORECARD_SCHEMA,
+        messages: [
+          { role: 'system', content: prompt.text },
+          {
+            role: 'user',
+            content: JSON.stringify({
+              rubric: rubricForPrompt(SCORECARD_RUBRIC),
+              checklist_coverage_percent: percent,
+              [fitted.condensed ? 'transcript_section_notes' : 'transcribed_text']: fitted.text,
+            }),
+          },
+        ],
+        complete: async (messages) =>
+          (
+            await getLlmProvider().complete({
+              feature: 'call-scorecard',
+              model: MODELS.callScorecard,
+              responseFormat: JSON_OBJECT_FORMAT,
+              messages,
+              context: { jobId, precallPlanId },
+            })
+          ).content,
+      }));
+    } catch (err) {
+      if (err && err.code === 'INVALID_MODEL_JSON') {
+        logger.error({ err, jobId, violations: err.violations }, 'Failed to parse scorecard JSON');
+        return res.status(502).json({ error: 'Failed to parse AI response for scorecard' });
+      }
+      throw err;
+    }
+
+    const scores = mergeScores(SCORECARD_RUBRIC, result && result.scores, {
+      coveragePercent: percent,
+    });
+    const scorecard = {
+      id: generateJobId(),
+      jobId,
+      precallPlanId: precallPlanId || null,
+      createdAt: new Date().toISOString(),
+      rubric: SCORECARD_RUBRIC,
+      scores,
+      totalScore: weightedTotal(scores),
+      coveragePercent: percent,
+      validation,
+      promptId: prompt.id,
+      promptVersion: prompt.version,
+      model: MODELS.callScorecard,
+    };
+    saveCallScorecard(scorecard);
+
+    const versions = getCallScorecardsByJobId(jobId);
+    return res.json(versions[versions.length - 1]);
+  } catch (err) {
+    logger.error({ err, jobId }, 'Failed to score call');
+    return res.status(500).json({ error: 'Failed to score call' });
+  }
+});
+
 // ---------------- Existing /webhooks/teams logic (unchanged) ----------------
 
 app.post('/webhooks/teams', async (req, res) => {
@@ -0,0 +1,104 @@
+// src/storage/drivers/local.js
+// Recordings on the local disk (UPLOAD_DIR, `uploads/` by default).
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_ROOT = process.env.UPLOAD_DIR || path.join(__dirname, '..', '..', '..', 'uploads');
+
+function notFound(key) {
+  const error = new Error(`Object not found in storage: ${key}`);
+  error.code = 'NOT_FOUND';
+  return error;
+}
+
+function createLocalStorage({ root = DEFAULT_ROOT } = {}) {
+  const rootDir = path.resolve(root);
+  fs.mkdirSync(rootDir, { recursive: true });
+
+  function resolveKey(key) {
+    const filePath = path.resolve(rootDir, key);
+    if (!filePath.startsWith(rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async function putFile(key, filePath) {
+    const target = resolveKey(key);
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    try {
+      await fs.promises.rename(filePath, target);
+    } catch (err) {
+      if (err.code !== 'EXDEV') {
+        throw err;
+      }
+      // Staging directory on another filesystem
+      await fs.promises.copyFile(filePath, target);
+      await fs.promises.unlink(filePath);
+    }
+  }
+
+  async function downloadFile(key, destPath) {
+    try {
+      await fs.promises.copyFile(resolveKey(key), destPath);
+    } catch (err) {
+      throw err.code === 'ENOENT' ? notFound(key) : err;
+    }
+  }
+
+  async function deleteObject(key) {
+    try {
+      await fs.promises.unlink(resolveKey(key));
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        throw err;
+      }
+    }
+  }
+
+  async function exists(key) {
+    try {
+      await fs.promises.access(resolveKey(key));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  async function listObjects() {
+    const objects = [];
+
+    async function walk(dir) {
+      for (const entry of await fs.promises.readdir(dir, { withFileTypes: true })) {
+        if (entry.name.startsWith('.')) {
+          continue;
+        }
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(fullPath);
+        } else if (entry.isFile()) {
+          const stat = await fs.promises.stat(fullPath);
+          objects.push({
+            key: path.relative(rootDir, fullPath).split(path.sep).join('/'),
+            lastModified: stat.mtimeMs,
+          });
+        }
+      }
+    }
+
+    await walk(rootDir);
+    return objects;
+  }
+
+  return {
+    name: 'local',
+    putFile,
+    downloadFile,
+    deleteObject,
+    exists,
+    listObjects,
+  };
+}
+
+module.exports = { createLocalStorage };
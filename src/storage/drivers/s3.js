@@ -0,0 +1,197 @@
+// src/storage/drivers/s3.js
+// Recordings in an S3-compatible bucket (AWS S3, MinIO, R2, ...), spoken to
+// directly over fetch with SigV4 request signing.
+
+const fs = require('fs');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { hashFile } = require('../../utils/fileHash');
+const { signRequest, uriEncode } = require('../sigv4');
+
+function readS3Config() {
+  const endpoint = (process.env.S3_ENDPOINT || '').replace(/\/+$/, '');
+  return {
+    bucket: process.env.S3_BUCKET,
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: endpoint || null,
+    // MinIO-style servers only do path-style addressing
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+      ? ['1', 'true'].includes(process.env.S3_FORCE_PATH_STYLE)
+      : Boolean(endpoint),
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    prefix: process.env.S3_PREFIX || '',
+  };
+}
+
+function decodeXml(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function xmlElements(xml, tag) {
+  const pattern = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'g');
+  return Array.from(xml.matchAll(pattern), (match) => match[1]);
+}
+
+function xmlValues(xml, tag) {
+  return xmlElements(xml, tag).map(decodeXml);
+}
+
+function createS3Storage(config = readS3Config()) {
+  const { bucket, region, endpoint, forcePathStyle, accessKeyId, secretAccessKey, prefix } = config;
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY.');
+  }
+
+  const baseUrl = forcePathStyle
+    ? `${endpoint || `https://s3.${region}.amazonaws.com`}/${uriEncode(bucket)}`
+    : endpoint
+      ? endpoint.replace('://', `://${bucket}.`)
+      : `https://${bucket}.s3.${region}.amazonaws.com`;
+
+  function objectUrl(key) {
+    return new URL(`${baseUrl}/${uriEncode(`${prefix}${key}`, { keepSlash: true })}`);
+  }
+
+  async function send(method, url, { headers, payloadHash, body, signal } = {}) {
+    const signedHeaders = signRequest({
+      method,
+      url,
+      headers,
+      payloadHash,
+      region,
+      accessKeyId,
+      secretAccessKey,
+    });
+
+    return fetch(url, {
+      method,
+      headers: signedHeaders,
+      body,
+      signal,
+      ...(body ? { duplex: 'half' } : {}),
+    });
+  }
+
+  async function failure(res, action, key) {
+    const text = await res.text().catch(() => '');
+    const code = xmlValues(text, 'Code')[0];
+    const error = new Error(
+      `S3 ${action} failed for ${key || bucket}: ${res.status}${code ? ` ${code}` : ''}`
+    );
+    error.status = res.status;
+    if (res.status === 404) {
+      error.code = 'NOT_FOUND';
+    }
+    return error;
+  }
+
+  async function putFile(key, filePath, { contentType } = {}) {
+    const [payloadHash, stat] = await Promise.all([
+      hashFile(filePath),
+      fs.promises.stat(filePath),
+    ]);
+
+    const headers = { 'content-length': String(stat.size) };
+    if (contentType) {
+      headers['content-type'] = contentType;
+    }
+
+    const res = await send('PUT', objectUrl(key), {
+      headers,
+      payloadHash,
+      body: fs.createReadStream(filePath),
+    });
+    if (!res.ok) {
+      throw await failure(res, 'upload', key);
+    }
+    await res.arrayBuffer();
+
+    // Same contract as the local driver: the staged file is consumed
+    await fs.promises.unlink(filePath);
+  }
+
+  async function downloadFile(key, destPath, { signal } = {}) {
+    const res = await send('GET', objectUrl(key), { signal });
+    if (!res.ok) {
+      throw await failure(res, 'download', key);
+    }
+    await pipeline(Readable.fromWeb(res.body), fs.createWriteStream(destPath), { signal });
+  }
+
+  async function deleteObject(key) {
+    const res = await send('DELETE', objectUrl(key));
+    if (!res.ok && res.status !== 404) {
+      throw await failure(res, 'delete', key);
+    }
+    await res.arrayBuffer();
+  }
+
+  async function exists(key) {
+    const res = await send('HEAD', objectUrl(key));
+    if (res.status === 404) {
+      return false;
+    }
+    if (!res.ok) {
+      throw await failure(res, 'lookup', key);
+    }
+    return true;
+  }
+
+  async function listObjects() {
+    const objects = [];
+    let continuationToken = null;
+
+    do {
+      const url = new URL(`${baseUrl}/`);
+      url.searchParams.set('list-type', '2');
+      if (prefix) {
+        url.searchParams.set('prefix', prefix);
+      }
+      if (continuationToken) {
+        url.searchParams.set('continuation-token', continuationToken);
+      }
+
+      const res = await send('GET', url);
+      if (!res.ok) {
+        throw await failure(res, 'list');
+      }
+      const xml = await res.text();
+
+      for (const contents of xmlElements(xml, 'Contents')) {
+        const key = xmlValues(contents, 'Key')[0];
+        const lastModified = xmlValues(contents, 'LastModified')[0];
+        if (key && key.startsWith(prefix)) {
+          objects.push({
+            key: key.slice(prefix.length),
+            lastModified: lastModified ? Date.parse(lastModified) : 0,
+          });
+        }
+      }
+
+      continuationToken =
+        xmlValues(xml, 'IsTruncated')[0] === 'true'
+          ? xmlValues(xml, 'NextContinuationToken')[0] || null
+          : null;
+    } while (continuationToken);
+
+    return objects;
+  }
+
+  return {
+    name: 's3',
+    prefix,
+    putFile,
+    downloadFile,
+    deleteObject,
+    exists,
+    listObjects,
+  };
+}
+
+module.exports = { createS3Storage, readS3Config };
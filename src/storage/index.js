@@ -0,0 +1,59 @@
+// src/storage/index.js
+// Where recordings live. The driver is picked by STORAGE_DRIVER ("local" by
+// default, "s3" for an S3-compatible bucket shared by several instances).
+//
+// Driver interface (keys are relative, '/'-separated):
+//   name
+//   prefix                                     s3 only: S3_PREFIX ('' = whole bucket)
+//   putFile(key, filePath, { contentType })    stores and consumes a local file
+//   downloadFile(key, destPath, { signal })    copies an object to a local file
+//   deleteObject(key)                          no error when it is already gone
+//   exists(key) -> boolean
+//   listObjects() -> [{ key, lastModified }]   lastModified in ms since epoch
+//
+// Missing objects are reported with err.code === 'NOT_FOUND'.
+
+const logger = require('../logger');
+const { createLocalStorage } = require('./drivers/local');
+const { createS3Storage } = require('./drivers/s3');
+
+const STORAGE_DRIVERS = {
+  local: createLocalStorage,
+  s3: createS3Storage,
+};
+
+let storage = null;
+
+/**
+ * The configured storage driver, created on first use.
+ */
+function getStorage() {
+  if (storage) {
+    return storage;
+  }
+
+  const name = String(process.env.STORAGE_DRIVER || 'local').trim().toLowerCase();
+  const factory = STORAGE_DRIVERS[name];
+  if (!factory) {
+    throw new Error(
+      `Unknown STORAGE_DRIVER "${name}". Expected one of: ${Object.keys(STORAGE_DRIVERS).join(', ')}.`
+    );
+  }
+
+  storage = factory();
+  logger.info({ driver: storage.name }, 'Recording storage selected');
+  return storage;
+}
+
+/**
+ * Storage key of a job's recording. Jobs from before storage keys were
+ * recorded only have the upload's file name, which is its local key.
+ */
+function jobStorageKey(job) {
+  return (job && (job.storageKey || job.filename)) || null;
+}
+
+module.exports = {
+  getStorage,
+  jobStorageKey,
+};
@@ -0,0 +1,145 @@
+// src/transcripts/metrics.js
+// Deterministic conversation metrics from timestamped, speaker-labelled
+// transcript segments: talk time, monologues, questions, interruptions and
+// silences. No model involved, so the numbers can be handed to coaching as
+// facts.
+
+const { SPEAKERS } = require('./segments');
+
+// A gap between segments at least this long counts as a silence
+const SILENCE_GAP_SECONDS = 3;
+
+// A change of speaker this soon after an unfinished sentence (or overlapping
+// it) counts as the new speaker cutting in
+const INTERRUPTION_GAP_SECONDS = 0.3;
+
+function round(value, places = 1) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+function perSpeaker(makeValue) {
+  return Object.fromEntries(SPEAKERS.map((speaker) => [speaker, makeValue()]));
+}
+
+function span(start, end) {
+  return { seconds: round(end - start), start: round(start), end: round(end) };
+}
+
+function usableSegments(segments) {
+  return (Array.isArray(segments) ? segments : [])
+    .filter(
+      (segment) =>
+        segment &&
+        SPEAKERS.includes(segment.speaker) &&
+        Number.isFinite(Number(segment.start)) &&
+        Number.isFinite(Number(segment.end)) &&
+        Number(segment.end) >= Number(segment.start)
+    )
+    .map((segment) => ({
+      speaker: segment.speaker,
+      speakerSource: segment.speakerSource,
+      start: Number(segment.start),
+      end: Number(segment.end),
+      text: typeof segment.text === 'string' ? segment.text.trim() : '',
+    }))
+    .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Conversation metrics for a call, or null when no segment has a speaker
+ * and timestamps. Times are in seconds from the start of the recording.
+ */
+function computeConversationMetrics(segments) {
+  const turns = usableSegments(segments);
+  if (turns.length === 0) {
+    return null;
+  }
+
+  const talkSeconds = perSpeaker(() => 0);
+  const words = perSpeaker(() => 0);
+  const questions = perSpeaker(() => 0);
+  const interruptions = perSpeaker(() => 0);
+  const longestBySpeaker = perSpeaker(() => null);
+  const silences = [];
+
+  let run = null;
+  const closeRun = () => {
+    const longest = longestBySpeaker[run.speaker];
+    if (!longest || run.end - run.start > longest.seconds) {
+      longestBySpeaker[run.speaker] = span(run.start, run.end);
+    }
+  };
+
+  turns.forEach((turn, index) => {
+    talkSeconds[turn.speaker] += turn.end - turn.start;
+    words[turn.speaker] += (turn.text.match(/\S+/g) || []).length;
+    questions[turn.speaker] += (turn.text.match(/\?+/g) || []).length;
+
+    const previous = index > 0 ? turns[index - 1] : null;
+    if (previous) {
+      const gap = turn.start - previous.end;
+      if (gap >= SILENCE_GAP_SECONDS) {
+        silences.push(span(previous.end, turn.start));
+      }
+      const unfinished = !/[.?!]["')\]]*$/.test(previous.text);
+      if (
+        turn.speaker !== previous.speaker &&
+        (gap < 0 || (unfinished && gap < INTERRUPTION_GAP_SECONDS))
+      ) {
+        interruptions[turn.speaker] += 1;
+      }
+    }
+
+    // Consecutive segments by the same speaker form one monologue
+    if (run && run.speaker === turn.speaker) {
+      run.end = Math.max(run.end, turn.end);
+    } else {
+      if (run) {
+        closeRun();
+      }
+      run = { speaker: turn.speaker, start: turn.start, end: turn.end };
+    }
+  });
+  closeRun();
+
+  const totalTalk = talkSeconds.rep + talkSeconds.client;
+  const longestMonologue = SPEAKERS.map((speaker) =>
+    longestBySpeaker[speaker] ? { speaker, ...longestBySpeaker[speaker] } : null
+  )
+    .filter(Boolean)
+    .sort((a, b) => b.seconds - a.seconds)[0];
+
+  return {
+    durationSeconds: round(Math.max(...turns.map((turn) => turn.end)) - turns[0].start),
+    talkTime: Object.fromEntries(
+      SPEAKERS.map((speaker) => [
+        speaker,
+        {
+          seconds: round(talkSeconds[speaker]),
+          share: totalTalk ? round(talkSeconds[speaker] / totalTalk, 2) : null,
+          words: words[speaker],
+        },
+      ])
+    ),
+    repToClientTalkRatio: talkSeconds.client ? round(talkSeconds.rep / talkSeconds.client, 2) : null,
+    longestMonologue,
+    longestMonologueBySpeaker: longestBySpeaker,
+    questions,
+    interruptions,
+    silences: {
+      thresholdSeconds: SILENCE_GAP_SECONDS,
+      count: silences.length,
+      totalSeconds: round(silences.reduce((sum, silence) => sum + silence.seconds, 0)),
+      longest: silences.slice().sort((a, b) => b.seconds - a.seconds)[0] || null,
+    },
+    // Heuristic labels can be wrong; manual ones were set by a person
+    speakerLabels: turns.every((turn) => turn.speakerSource === 'manual')
+      ? 'manual'
+      : turns.some((turn) => turn.speakerSource === 'manual')
+        ? 'mixed'
+        : 'heuristic',
+  };
+}
+
+module.exports = { SILENCE_GAP_SECONDS, computeConversationMetrics };
@@ -0,0 +1,106 @@
+// src/transcripts/segments.js
+// Helpers for timestamped transcript segments: heuristic speaker labelling
+// and formatting segments into prompt-friendly transcript lines.
+
+const SPEAKERS = ['rep', 'client'];
+
+const SPEAKER_DISPLAY_NAMES = {
+  rep: 'Rep',
+  client: 'Client',
+};
+
+// A pause this long between segments is treated as a change of speaker
+const TURN_GAP_SECONDS = 2;
+
+function otherSpeaker(speaker) {
+  return speaker === 'rep' ? 'client' : 'rep';
+}
+
+/**
+ * Heuristic rep/client labelling for Whisper segments (which carry no
+ * speaker information). Assumes the rep opens the call and flips speaker
+ * after a segment ending in a question or after a long pause.
+ * Segments already labelled by a human (speakerSource 'manual') are kept and
+ * re-anchor the labelling from that point on.
+ */
+function labelSpeakerTurns(segments) {
+  if (!Array.isArray(segments)) {
+    return [];
+  }
+
+  let speaker = 'rep';
+  let previous = null;
+
+  return segments.map((segment) => {
+    if (previous) {
+      const gap = Number(segment.start) - Number(previous.end);
+      const previousText = typeof previous.text === 'string' ? previous.text.trim() : '';
+      if (previousText.endsWith('?') || gap >= TURN_GAP_SECONDS) {
+        speaker = otherSpeaker(speaker);
+      }
+    }
+
+    const isManual = segment.speakerSource === 'manual' && SPEAKERS.includes(segment.speaker);
+    if (isManual) {
+      speaker = segment.speaker;
+    }
+
+    previous = segment;
+
+    return {
+      ...segment,
+      speaker,
+      speakerSource: isManual ? 'manual' : 'heuristic',
+    };
+  });
+}
+
+/**
+ * Format seconds as m:ss, or h:mm:ss for calls over an hour.
+ */
+function formatTimestamp(seconds) {
+  const total = Math.max(0, Math.floor(Number(seconds) || 0));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}`
+    : `${minutes}:${secs}`;
+}
+
+/**
+ * Render segments as "[m:ss] Rep: text" lines.
+ */
+function formatSegmentsForPrompt(segments) {
+  return segments
+    .map((segment) => {
+      const name = SPEAKER_DISPLAY_NAMES[segment.speaker] || 'Unknown';
+      return `[${formatTimestamp(segment.start)}] ${name}: ${String(segment.text || '').trim()}`;
+    })
+    .join('\n');
+}
+
+/**
+ * The transcript text to hand to a model: timestamped, speaker-labelled
+ * lines when segments exist, else the plain text.
+ */
+function transcriptForPrompt(transcript) {
+  if (!transcript) {
+    return '';
+  }
+
+  if (Array.isArray(transcript.segments) && transcript.segments.length > 0) {
+    return formatSegmentsForPrompt(transcript.segments);
+  }
+
+  return typeof transcript.text === 'string' ? transcript.text : '';
+}
+
+module.exports = {
+  SPEAKERS,
+  labelSpeakerTurns,
+  formatTimestamp,
+  formatSegmentsForPrompt,
+  transcriptForPrompt,
+};
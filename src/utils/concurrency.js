@@ -0,0 +1,32 @@
+/**
+ * Map over items with at most `limit` promises in flight.
+ * Results keep the input order; the first rejection rejects the whole call
+ * and no further items are started, nor once `signal` has aborted.
+ */
+async function mapWithConcurrency(items, limit, fn, { signal } = {}) {
+  const results = new Array(items.length);
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  let nextIndex = 0;
+  let failed = false;
+
+  async function worker() {
+    while (nextIndex < items.length && !failed) {
+      if (signal) {
+        signal.throwIfAborted();
+      }
+      const index = nextIndex;
+      nextIndex += 1;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (err) {
+        failed = true;
+        throw err;
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+}
+
+module.exports = { mapWithConcurrency };
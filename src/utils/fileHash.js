@@ -0,0 +1,21 @@
+// src/utils/fileHash.js
+// Content hashing for uploaded files (used to spot duplicate recordings).
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+/**
+ * SHA-256 of a file's contents as a hex string, streamed so large
+ * recordings are never held in memory.
+ */
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+module.exports = { hashFile };
@@ -0,0 +1,64 @@
+// src/utils/jsonDiff.js
+// Field-level differences between two JSON values (model outputs, records).
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * List the differences between `before` and `after`.
+ * Objects are compared key by key (recursively); arrays and scalars are
+ * compared as whole values. Paths use dot notation ("briefing.meetingFocus").
+ *
+ * Returns [{ path, change: 'added' | 'removed' | 'changed', before, after }].
+ */
+function diffJson(before, after, basePath = '') {
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = Array.from(new Set([...Object.keys(before), ...Object.keys(after)])).sort();
+    const changes = [];
+
+    for (const key of keys) {
+      const path = basePath ? `${basePath}.${key}` : key;
+      const hasBefore = Object.prototype.hasOwnProperty.call(before, key);
+      const hasAfter = Object.prototype.hasOwnProperty.call(after, key);
+
+      if (!hasBefore) {
+        changes.push({ path, change: 'added', before: undefined, after: after[key] });
+      } else if (!hasAfter) {
+        changes.push({ path, change: 'removed', before: before[key], after: undefined });
+      } else {
+        changes.push(...diffJson(before[key], after[key], path));
+      }
+    }
+
+    return changes;
+  }
+
+  if (isEqual(before, after)) {
+    return [];
+  }
+
+  return [{ path: basePath, change: 'changed', before, after }];
+}
+
+/**
+ * diffJson plus counts, for API responses comparing two records.
+ */
+function compareJson(before, after) {
+  const changes = diffJson(before, after);
+  const count = (change) => changes.filter((entry) => entry.change === change).length;
+
+  return {
+    identical: changes.length === 0,
+    added: count('added'),
+    removed: count('removed'),
+    changed: count('changed'),
+    changes,
+  };
+}
+
+module.exports = { diffJson, compareJson };
@@ -0,0 +1,65 @@
+// src/utils/sse.js
+// Minimal Server-Sent Events writer for Express responses.
+
+const SSE_HEARTBEAT_MS = Number(process.env.SSE_HEARTBEAT_MS || 15000);
+
+/**
+ * Switch `res` to an event stream. Returns { send(event, type?), close() }.
+ * A comment line is written periodically so proxies keep the connection
+ * open; `onClose` runs once when either side closes the stream.
+ */
+function openEventStream(req, res, { onClose } = {}) {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Disable response buffering in nginx
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+
+  let closed = false;
+
+  const heartbeat = setInterval(() => {
+    res.write(': ping\n\n');
+  }, SSE_HEARTBEAT_MS);
+  heartbeat.unref();
+
+  function cleanup() {
+    if (closed) {
+      return;
+    }
+    closed = true;
+    clearInterval(heartbeat);
+    if (onClose) {
+      onClose();
+    }
+  }
+
+  req.on('close', cleanup);
+
+  return {
+    send(event, type = event.type) {
+      if (closed) {
+        return;
+      }
+      const lines = [];
+      if (event.id != null) {
+        lines.push(`id: ${event.id}`);
+      }
+      if (type) {
+        lines.push(`event: ${type}`);
+      }
+      lines.push(`data: ${JSON.stringify(event)}`);
+      res.write(`${lines.join('\n')}\n\n`);
+    },
+    close() {
+      cleanup();
+      res.end();
+    },
+  };
+}
+
+module.exports = { openEventStream };
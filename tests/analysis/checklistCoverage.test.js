@@ -0,0 +1,59 @@
+const { mergeCoverage, groupCoverage } = require('../../src/analysis/checklistCoverage');
+
+const checklist = [
+  { id: 'q1', question: 'How are invoices entered today?', importance: 'must-ask' },
+  { id: 'q2', question: 'What does a slow month end cost?' },
+  { id: 'q3', question: 'Is there budget this year?' },
+  { question: 'No id, never sent to the model' },
+];
+
+describe('mergeCoverage', () => {
+  it('returns one entry per checklist question in checklist order', () => {
+    const coverage = mergeCoverage(checklist, [
+      { id: 'q2', status: 'partial', excerpt: '  [0:24] Client: two days  ', confidence: 1.4 },
+      { id: 'q1', status: 'asked', excerpt: '[0:00] Rep: walk me through it', confidence: 0.9 },
+      { id: 'q9', status: 'asked', excerpt: 'not on the checklist', confidence: 1 },
+    ]);
+
+    expect(coverage).toEqual([
+      {
+        id: 'q1',
+        question: 'How are invoices entered today?',
+        status: 'asked',
+        asked: true,
+        excerpt: '[0:00] Rep: walk me through it',
+        confidence: 0.9,
+      },
+      {
+        id: 'q2',
+        question: 'What does a slow month end cost?',
+        status: 'partial',
+        asked: false,
+        excerpt: '[0:24] Client: two days',
+        confidence: 1,
+      },
+      // Skipped by the model
+      {
+        id: 'q3',
+        question: 'Is there budget this year?',
+        status: 'missed',
+        asked: false,
+        excerpt: null,
+        confidence: null,
+      },
+    ]);
+  });
+});
+
+describe('groupCoverage', () => {
+  it('groups detected and hand-ticked entries alike', () => {
+    const groups = groupCoverage([
+      { id: 'q1', status: 'partial', asked: false },
+      { id: 'q2', asked: true },
+      { id: 'q3', asked: false },
+    ]);
+    expect(groups.askedQuestions.map((entry) => entry.id)).toEqual(['q2']);
+    expect(groups.partiallyAskedQuestions.map((entry) => entry.id)).toEqual(['q1']);
+    expect(groups.missedQuestions.map((entry) => entry.id)).toEqual(['q3']);
+  });
+});
@@ -0,0 +1,54 @@
+const {
+  estimateTokens,
+  splitIntoSections,
+  fitTranscriptToBudget,
+} = require('../../src/analysis/transcriptBudget');
+
+describe('fitTranscriptToBudget', () => {
+  const lines = Array.from({ length: 40 }, (_, i) => `[${i}:00] Client: line number ${i} of the call`);
+  const transcript = lines.join('\n');
+
+  it('returns the transcript untouched when it fits the budget', async () => {
+    const summarizeSection = jest.fn();
+    const result = await fitTranscriptToBudget(transcript, {
+      budgetTokens: estimateTokens(transcript),
+      sectionTokens: 50,
+      summarizeSection,
+    });
+
+    expect(result).toEqual({ text: transcript, condensed: false, sectionNotes: null, fromCache: false });
+    expect(summarizeSection).not.toHaveBeenCalled();
+  });
+
+  it('summarizes every section of an over-budget transcript in order', async () => {
+    const sections = splitIntoSections(transcript, 50);
+    expect(sections.join('\n')).toBe(transcript);
+    expect(sections.every((section) => estimateTokens(section) <= 50)).toBe(true);
+
+    const summarizeSection = jest.fn(async (text, index, total) => `- notes ${index + 1}/${total}`);
+    const result = await fitTranscriptToBudget(transcript, {
+      budgetTokens: 100,
+      sectionTokens: 50,
+      summarizeSection,
+    });
+
+    expect(result.condensed).toBe(true);
+    expect(summarizeSection).toHaveBeenCalledTimes(sections.length);
+    expect(result.text.startsWith(`### Section 1 of ${sections.length}\n- notes 1/`)).toBe(true);
+    expect(result.text).toContain(`- notes ${sections.length}/${sections.length}`);
+  });
+
+  it('reuses cached notes taken with the same section size', async () => {
+    const summarizeSection = jest.fn();
+    const result = await fitTranscriptToBudget(transcript, {
+      budgetTokens: 100,
+      sectionTokens: 50,
+      cachedNotes: { sectionTokens: 50, notes: ['- cached'] },
+      summarizeSection,
+    });
+
+    expect(result.fromCache).toBe(true);
+    expect(result.text).toBe('### Section 1 of 1\n- cached');
+    expect(summarizeSection).not.toHaveBeenCalled();
+  });
+});
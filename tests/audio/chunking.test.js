@@ -0,0 +1,137 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { stitchChunkTranscripts } = require('../../src/audio/chunking');
+const { mapWithConcurrency } = require('../../src/utils/concurrency');
+
+describe('stitchChunkTranscripts', () => {
+  it('joins chunk text in time order and offsets segment timings', () => {
+    const result = stitchChunkTranscripts([
+      {
+        startSeconds: 600,
+        transcription: {
+          text: ' Second half. ',
+          duration: 120.5,
+          segments: [{ start: 1, end: 4.5, text: ' Second half. ' }],
+        },
+      },
+      {
+        startSeconds: 0,
+        transcription: {
+          text: 'First half.',
+          language: 'english',
+          duration: 600,
+          segments: [
+            { start: 0, end: 2, text: 'First' },
+            { start: 2, end: 599, text: 'half.' },
+          ],
+        },
+      },
+    ]);
+
+    expect(result.text).toBe('First half. Second half.');
+    expect(result.language).toBe('english');
+    expect(result.durationSeconds).toBe(720.5);
+    expect(result.segments).toEqual([
+      { id: 0, start: 0, end: 2, text: 'First' },
+      { id: 1, start: 2, end: 599, text: 'half.' },
+      { id: 2, start: 601, end: 604.5, text: 'Second half.' },
+    ]);
+  });
+});
+
+describe('mapWithConcurrency', () => {
+  it('never runs more than the limit at once and keeps input order', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+
+    const results = await mapWithConcurrency([5, 1, 3, 2, 4], 2, async (value) => {
+      inFlight += 1;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise((resolve) => setTimeout(resolve, value));
+      inFlight -= 1;
+      return value * 10;
+    });
+
+    expect(results).toEqual([50, 10, 30, 20, 40]);
+    expect(maxInFlight).toBe(2);
+  });
+
+  it('starts no more items after a rejection or an abort', async () => {
+    const started = [];
+    const failing = mapWithConcurrency([1, 2, 3, 4, 5], 2, async (value) => {
+      started.push(value);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      if (value === 1) {
+        throw new Error('chunk 1 failed');
+      }
+      return value;
+    });
+    await expect(failing).rejects.toThrow('chunk 1 failed');
+    await new Promise((resolve) => setTimeout(resolve, 30));
+    expect(started).toEqual([1, 2]);
+
+    const controller = new AbortController();
+    const seen = [];
+    const aborted = mapWithConcurrency([1, 2, 3], 1, async (value) => {
+      seen.push(value);
+      controller.abort();
+      return value;
+    }, { signal: controller.signal });
+    await expect(aborted).rejects.toMatchObject({ name: 'AbortError' });
+    expect(seen).toEqual([1]);
+  });
+});
+
+describe('splitAudioIntoChunks without a working ffmpeg', () => {
+  let tmpDir;
+  const savedEnv = { ...process.env };
+
+  // chunking.js reads the binary paths and timeout when it loads
+  function loadChunking(env) {
+    Object.assign(process.env, env);
+    let chunking;
+    jest.isolateModules(() => {
+      chunking = require('../../src/audio/chunking');
+    });
+    return chunking;
+  }
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chunking-test-'));
+  });
+
+  afterEach(() => {
+    process.env = { ...savedEnv };
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('names the missing binary', async () => {
+    const { splitAudioIntoChunks } = loadChunking({
+      FFPROBE_PATH: path.join(tmpDir, 'no-such-ffprobe'),
+    });
+
+    await expect(
+      splitAudioIntoChunks(path.join(tmpDir, 'call.wav'), { chunkSeconds: 600, outDir: tmpDir })
+    ).rejects.toMatchObject({
+      code: 'FFMPEG_NOT_FOUND',
+      message: expect.stringMatching(/^no-such-ffprobe not found .*FFMPEG_PATH\/FFPROBE_PATH/),
+    });
+  });
+
+  it('kills a run that does not finish in time', async () => {
+    const hangingProbe = path.join(tmpDir, 'hanging-ffprobe');
+    fs.writeFileSync(hangingProbe, '#!/bin/sh\nexec sleep 30\n', { mode: 0o755 });
+    const { splitAudioIntoChunks } = loadChunking({
+      FFPROBE_PATH: hangingProbe,
+      FFMPEG_TIMEOUT_MS: '200',
+    });
+
+    await expect(
+      splitAudioIntoChunks(path.join(tmpDir, 'call.wav'), { chunkSeconds: 600, outDir: tmpDir })
+    ).rejects.toMatchObject({ code: 'FFMPEG_TIMEOUT' });
+  });
+});
@@ -0,0 +1,129 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { probeAudioFile, sniffContainer } = require('../../src/audio/probe');
+const { wavBuffer } = require('../helpers/audio');
+
+let tmpDir;
+
+beforeAll(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'probe-test-'));
+});
+
+afterAll(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function probeBuffer(name, buffer) {
+  const filePath = path.join(tmpDir, name);
+  fs.writeFileSync(filePath, buffer);
+  return probeAudioFile(filePath);
+}
+
+function atom(type, ...children) {
+  const body = Buffer.concat(children);
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(8 + body.length, 0);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, body]);
+}
+
+describe('probeAudioFile', () => {
+  it('reads format and duration from a WAV header', () => {
+    expect(probeBuffer('call.bin', wavBuffer({ seconds: 2, sampleRate: 16000 }))).toEqual({
+      container: 'wav',
+      ext: '.wav',
+      mime: 'audio/wav',
+      codec: 'pcm_s16le',
+      durationSeconds: 2,
+      sampleRate: 16000,
+      channels: 1,
+      sizeBytes: 44 + 64000,
+    });
+  });
+
+  it('estimates a constant-bitrate MP3 duration after an ID3 tag', () => {
+    // MPEG-1 Layer III, 128 kbps, 44.1 kHz, joint stereo: 417-byte frames
+    const frame = Buffer.alloc(417);
+    frame.set([0xff, 0xfb, 0x90, 0x44]);
+    const id3 = Buffer.from([0x49, 0x44, 0x33, 3, 0, 0, 0, 0, 0, 6, 0, 0, 0, 0, 0, 0]);
+    const result = probeBuffer('call.mp3', Buffer.concat([id3, ...Array(10).fill(frame)]));
+
+    expect(result).toMatchObject({
+      container: 'mp3',
+      codec: 'mp3',
+      sampleRate: 44100,
+      channels: 2,
+      durationSeconds: 0.261,
+    });
+  });
+
+  it('reads the sample count from FLAC STREAMINFO', () => {
+    const streamInfo = Buffer.alloc(34);
+    // 16 kHz, mono, 16-bit, 48000 samples
+    streamInfo.set([0x03, 0xe8, 0x00, 0xf0], 10);
+    streamInfo.writeUInt32BE(48000, 14);
+    const header = Buffer.from([0x00, 0x00, 0x00, 34]);
+    const result = probeBuffer('call.flac', Buffer.concat([Buffer.from('fLaC'), header, streamInfo]));
+
+    expect(result).toMatchObject({
+      container: 'flac',
+      codec: 'flac',
+      sampleRate: 16000,
+      channels: 1,
+      durationSeconds: 3,
+    });
+  });
+
+  it('finds duration and the audio codec in an MP4 moov atom at the end of the file', () => {
+    const mvhd = Buffer.alloc(100);
+    mvhd.writeUInt32BE(1000, 12);
+    mvhd.writeUInt32BE(90500, 16);
+    const hdlr = Buffer.alloc(24);
+    hdlr.write('soun', 8, 'latin1');
+    const entry = Buffer.alloc(36);
+    entry.writeUInt32BE(36, 0);
+    entry.write('mp4a', 4, 'latin1');
+    entry.writeUInt16BE(2, 24);
+    entry.writeUInt32BE(48000 * 65536, 32);
+    const stsdHeader = Buffer.alloc(8);
+    stsdHeader.writeUInt32BE(1, 4);
+
+    const ftyp = atom('ftyp', Buffer.from('M4A \0\0\0\0', 'latin1'));
+    const mdat = atom('mdat', Buffer.alloc(256));
+    const moov = atom(
+      'moov',
+      atom('mvhd', mvhd),
+      atom(
+        'trak',
+        atom(
+          'mdia',
+          atom('hdlr', hdlr),
+          atom('minf', atom('stbl', atom('stsd', stsdHeader, entry)))
+        )
+      )
+    );
+
+    expect(probeBuffer('call', Buffer.concat([ftyp, mdat, moov]))).toMatchObject({
+      container: 'm4a',
+      ext: '.m4a',
+      codec: 'aac',
+      durationSeconds: 90.5,
+      sampleRate: 48000,
+      channels: 2,
+    });
+  });
+
+  it('returns null for files that are not recordings', () => {
+    expect(probeBuffer('notes.mp3', Buffer.from('fake audio bytes'))).toBeNull();
+    expect(probeBuffer('deck.pdf', Buffer.from('%PDF-1.7\n%\xe2\xe3\xcf\xd3\n'))).toBeNull();
+  });
+});
+
+describe('sniffContainer', () => {
+  it('accepts WebM but not other Matroska files', () => {
+    const ebml = Buffer.from([0x1a, 0x45, 0xdf, 0xa3, 0x9f, 0x42, 0x82, 0x84]);
+    expect(sniffContainer(Buffer.concat([ebml, Buffer.from('webm')]))).toBe('webm');
+    expect(sniffContainer(Buffer.concat([ebml, Buffer.from('matroska')]))).toBeNull();
+  });
+});
@@ -0,0 +1,43 @@
+// Conversation metrics stored per job from the stub transcript's segments.
+
+const request = require('supertest');
+const { wavBuffer } = require('./helpers/audio');
+const { app, waitForJob } = require('./helpers/stubApp');
+
+describe('GET /jobs/:id/metrics', () => {
+  let jobId;
+
+  beforeAll(async () => {
+    const upload = await request(app).post('/process-file').attach('file', wavBuffer(), 'call.wav');
+    jobId = upload.body.jobId;
+    expect((await waitForJob(jobId)).status).toBe('done');
+  });
+
+  afterAll(async () => {
+    await request(app).delete(`/jobs/${jobId}`);
+  });
+
+  it('measures the call when it is transcribed and again after speaker corrections', async () => {
+    const res = await request(app).get(`/jobs/${jobId}/metrics`);
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      jobId,
+      metrics: {
+        durationSeconds: 75,
+        speakerLabels: 'heuristic',
+        talkTime: { rep: { seconds: 31.2 }, client: { seconds: 36.6 } },
+      },
+    });
+
+    const corrected = await request(app)
+      .put(`/jobs/${jobId}/transcript/speakers`)
+      .send({ labels: [{ segmentId: 2, speaker: 'rep' }] });
+    expect(corrected.status).toBe(200);
+
+    const after = await request(app).get(`/jobs/${jobId}/metrics`);
+    expect(after.body.metrics.speakerLabels).toBe('mixed');
+    expect(after.body.metrics.questions.rep).toBeGreaterThan(res.body.metrics.questions.rep);
+
+    expect((await request(app).get('/jobs/no-such-job/metrics')).status).toBe(404);
+  });
+});
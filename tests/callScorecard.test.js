@@ -0,0 +1,111 @@
+// Rubric-based call scorecards, from records produced by the stub provider.
+
+const request = require('supertest');
+const { wavBuffer } = require('./helpers/audio');
+const { app, waitForJob } = require('./helpers/stubApp');
+const {
+  DEFAULT_SCORECARD_RUBRIC,
+  mergeScores,
+  weightedTotal,
+} = require('../src/analysis/scorecard');
+
+describe('scorecard weighting', () => {
+  it('drops invalid scores and reweights the rest', () => {
+    const scores = mergeScores(DEFAULT_SCORECARD_RUBRIC, [
+      { id: 'listening', score: 5, justification: ' Client talked most of the call. ' },
+      { id: 'questionDepth', score: 7, justification: 'Out of range' },
+      { id: 'nextStepClarity', score: 3, justification: 'No date agreed.' },
+    ]);
+
+    expect(scores.map((entry) => entry.score)).toEqual([5, null, null, 3, null]);
+    expect(scores[0].justification).toBe('Client talked most of the call.');
+    // (5 * 0.2 + 3 * 0.2) / 0.4
+    expect(weightedTotal(scores)).toBe(4);
+    expect(weightedTotal(mergeScores(DEFAULT_SCORECARD_RUBRIC, []))).toBeNull();
+  });
+
+  it('scores checklist coverage from the stored coverage percentage', () => {
+    const [, , coverage] = mergeScores(
+      DEFAULT_SCORECARD_RUBRIC,
+      [{ id: 'checklistCoverage', score: 5, justification: 'Model guess' }],
+      { coveragePercent: 72 }
+    );
+    expect(coverage).toMatchObject({ id: 'checklistCoverage', score: 4 });
+    expect(coverage.justification).toMatch(/^72% /);
+  });
+});
+
+describe('POST /calls/:jobId/scorecard', () => {
+  const jobIds = [];
+  let precallPlanId;
+
+  beforeAll(async () => {
+    const plan = await request(app).post('/precall-prep').send({
+      clientName: 'Dana Whitfield',
+      companyName: 'Northwind Supplies',
+      meetingGoal: 'Qualify the AP automation project',
+    });
+    precallPlanId = plan.body.precallPlanId;
+
+    for (const [seconds, planId] of [[1, precallPlanId], [2, null]]) {
+      const upload = request(app).post('/process-file');
+      if (planId) {
+        upload.field('precallPlanId', planId);
+      }
+      const res = await upload.attach('file', wavBuffer({ seconds }), 'call.wav');
+      jobIds.push(res.body.jobId);
+      expect((await waitForJob(res.body.jobId)).status).toBe('done');
+    }
+  });
+
+  afterAll(async () => {
+    for (const id of jobIds) {
+      await request(app).delete(`/jobs/${id}`);
+    }
+    await request(app).delete(`/precall-plans/${precallPlanId}`);
+  });
+
+  it('stores per-criterion scores with a weighted total', async () => {
+    expect((await request(app).post(`/calls/${jobIds[0]}/checklist-coverage/detect`)).status).toBe(200);
+
+    const res = await request(app).post(`/calls/${jobIds[0]}/scorecard`);
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      jobId: jobIds[0],
+      precallPlanId,
+      // asked + 2 partial + missed out of 4 questions
+      coveragePercent: 50,
+      totalScore: 3.25,
+      promptId: 'call-scorecard',
+      promptVersion: 1,
+    });
+    expect(res.body.scores.map(({ id, score }) => [id, score])).toEqual([
+      ['listening', 4],
+      ['questionDepth', 3],
+      ['checklistCoverage', 3],
+      ['nextStepClarity', 4],
+      ['objectionHandling', 2],
+    ]);
+    expect(res.body.scores.every((entry) => entry.justification)).toBe(true);
+    expect(res.body.rubric.map((criterion) => criterion.id)).toHaveLength(5);
+
+    const history = await request(app).get(`/jobs/${jobIds[0]}/scorecards`);
+    expect(history.body.versions.map((version) => version.id)).toEqual([res.body.id]);
+
+    expect((await request(app).post('/calls/no-such-job/scorecard')).status).toBe(404);
+  });
+
+  it('ranks calls by their latest total', async () => {
+    const second = await request(app).post(`/calls/${jobIds[1]}/scorecard`);
+    expect(second.status).toBe(200);
+    expect(second.body.coveragePercent).toBeNull();
+
+    const res = await request(app).get('/scorecards').query({ limit: 10 });
+    expect(res.status).toBe(200);
+    expect(res.body.scorecards.map((scorecard) => scorecard.jobId).sort()).toEqual([...jobIds].sort());
+    expect(res.body.scorecards[0]).toMatchObject({ clientName: 'Northwind Supplies' });
+
+    expect((await request(app).get('/scorecards').query({ limit: 0 })).status).toBe(400);
+    expect((await request(app).get('/scorecards/rubric')).body.rubric).toHaveLength(5);
+  });
+});
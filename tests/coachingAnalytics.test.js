@@ -0,0 +1,107 @@
+// Coaching trends across calls, from records produced by the stub provider.
+
+const request = require('supertest');
+const { wavBuffer } = require('./helpers/audio');
+const { app, waitForJob } = require('./helpers/stubApp');
+const { normalizeGoalAchieved, summarizeCoaching } = require('../src/analytics/coaching');
+
+describe('summarizeCoaching', () => {
+  it('reads free-text goal outcomes', () => {
+    expect(normalizeGoalAchieved(true)).toBe(true);
+    expect(normalizeGoalAchieved('Yes - budget confirmed')).toBe(true);
+    expect(normalizeGoalAchieved('Partially, no decision maker')).toBe('partial');
+    expect(normalizeGoalAchieved('No')).toBe(false);
+    expect(normalizeGoalAchieved('')).toBeNull();
+  });
+
+  it('buckets calls by week and counts partial outcomes as half', () => {
+    const summary = summarizeCoaching(
+      [
+        { jobId: 'a', callCreatedAt: '2026-03-02T09:00:00.000Z', coaching: { goalAchieved: true } },
+        { jobId: 'b', callCreatedAt: '2026-03-08T23:00:00.000Z', coaching: { goalAchieved: 'partial' } },
+        { jobId: 'c', callCreatedAt: '2026-03-09T09:00:00.000Z', coaching: { goalAchieved: false } },
+        { jobId: 'd', callCreatedAt: '2026-03-10T09:00:00.000Z', coaching: {} },
+      ],
+      { period: 'week' }
+    );
+
+    expect(summary.goalAchievement).toMatchObject({ calls: 4, unknown: 1, achievementRate: 0.5 });
+    expect(summary.periods.map(({ period, calls, achievementRate }) => ({ period, calls, achievementRate })))
+      .toEqual([
+        { period: '2026-03-02', calls: 2, achievementRate: 0.75 },
+        { period: '2026-03-09', calls: 2, achievementRate: 0 },
+      ]);
+  });
+});
+
+describe('GET /analytics/coaching', () => {
+  const jobIds = [];
+  let precallPlanId;
+
+  beforeAll(async () => {
+    const plan = await request(app).post('/precall-prep').send({
+      clientName: 'Dana Whitfield',
+      companyName: 'Northwind Supplies',
+      meetingGoal: 'Qualify the AP automation project',
+    });
+    precallPlanId = plan.body.precallPlanId;
+
+    for (const [seconds, planId] of [[1, precallPlanId], [2, null]]) {
+      const upload = request(app).post('/process-file');
+      if (planId) {
+        upload.field('precallPlanId', planId);
+      }
+      const res = await upload.attach('file', wavBuffer({ seconds }), 'call.wav');
+      jobIds.push(res.body.jobId);
+      expect((await waitForJob(res.body.jobId)).status).toBe('done');
+    }
+
+    expect((await request(app).post(`/calls/${jobIds[0]}/checklist-coverage/detect`)).status).toBe(200);
+    for (const jobId of jobIds) {
+      expect((await request(app).post('/postcall-coaching').send({ jobId })).status).toBe(200);
+    }
+  });
+
+  afterAll(async () => {
+    for (const id of jobIds) {
+      await request(app).delete(`/jobs/${id}`);
+    }
+    await request(app).delete(`/precall-plans/${precallPlanId}`);
+  });
+
+  it('aggregates goal achievement, missed checklist categories and improvement themes', async () => {
+    const res = await request(app).get('/analytics/coaching');
+    expect(res.status).toBe(200);
+
+    expect(res.body).toMatchObject({
+      period: 'month',
+      calls: 2,
+      goalAchievement: { calls: 2, achieved: 2, achievementRate: 1 },
+      riskLevels: { low: 0, medium: 2, high: 0 },
+    });
+    expect(res.body.periods).toHaveLength(1);
+
+    // Only the call linked to a plan has categorised checklist coverage
+    expect(res.body.missedCategories[0]).toMatchObject({
+      category: 'budget',
+      questions: 1,
+      missed: 1,
+      missRate: 1,
+    });
+    expect(res.body.missedCategories.map((entry) => entry.category).sort())
+      .toEqual(['budget', 'process', 'timeline', 'value']);
+
+    const themes = res.body.improvementThemes.map((entry) => entry.theme);
+    expect(themes).toEqual(expect.arrayContaining(['budget', 'decision-process']));
+    expect(res.body.improvementThemes[0]).toMatchObject({ calls: 2 });
+  });
+
+  it('filters by call date and rejects bad input', async () => {
+    const future = await request(app).get('/analytics/coaching').query({ from: '2999-01-01' });
+    expect(future.status).toBe(200);
+    expect(future.body).toMatchObject({ calls: 0, goalAchievement: { achievementRate: null } });
+
+    expect((await request(app).get('/analytics/coaching').query({ period: 'year' })).status).toBe(400);
+    expect((await request(app).get('/analytics/coaching').query({ to: 'soon' })).status).toBe(400);
+  });
+});
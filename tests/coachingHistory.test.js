@@ -0,0 +1,70 @@
+// Every coaching run and checklist coverage version of a job, and the diff
+// between two coaching runs.
+
+const request = require('supertest');
+const { wavBuffer } = require('./helpers/audio');
+const { app, waitForJob } = require('./helpers/stubApp');
+
+describe('coaching history', () => {
+  let jobId;
+
+  beforeAll(async () => {
+    const upload = await request(app).post('/process-file').attach('file', wavBuffer(), 'call.wav');
+    jobId = upload.body.jobId;
+    expect((await waitForJob(jobId)).status).toBe('done');
+  });
+
+  afterAll(async () => {
+    await request(app).delete(`/jobs/${jobId}`);
+  });
+
+  it('lists every coaching run and compares two of them', async () => {
+    const first = await request(app).post('/postcall-coaching').send({ jobId });
+    const second = await request(app)
+      .post('/postcall-coaching')
+      .send({ jobId, extraNotes: 'Focus on how the budget question was handled.' });
+    expect(second.body.extraNotes).toBe('Focus on how the budget question was handled.');
+
+    const history = await request(app).get(`/jobs/${jobId}/coaching`);
+    expect(history.status).toBe(200);
+    expect(history.body.versions.map((version) => version.id)).toEqual([first.body.id, second.body.id]);
+
+    const single = await request(app).get(`/postcall-coaching/${first.body.id}`);
+    expect(single.status).toBe(200);
+    expect(single.body).toMatchObject({ id: first.body.id, jobId, extraNotes: null });
+    expect(single.body.coaching.riskLevel).toBe('medium');
+
+    const diff = await request(app).get(`/postcall-coaching/${second.body.id}/diff`);
+    expect(diff.status).toBe(200);
+    expect(diff.body.base).toMatchObject({ id: first.body.id, extraNotes: null });
+    expect(diff.body.run).toMatchObject({
+      id: second.body.id,
+      extraNotes: 'Focus on how the budget question was handled.',
+    });
+    // The stub provider answers every run the same way
+    expect(diff.body.comparison).toMatchObject({ identical: true, changed: 0 });
+
+    const explicit = await request(app)
+      .get(`/postcall-coaching/${first.body.id}/diff`)
+      .query({ base: second.body.id });
+    expect(explicit.status).toBe(200);
+
+    expect((await request(app).get(`/postcall-coaching/${first.body.id}/diff`)).status).toBe(409);
+    expect((await request(app).get('/postcall-coaching/nope')).status).toBe(404);
+  });
+
+  it('lists every checklist coverage version', async () => {
+    for (const asked of [false, true]) {
+      const saved = await request(app)
+        .post(`/calls/${jobId}/checklist-coverage`)
+        .send({ questions: [{ id: 'q1', asked }] });
+      expect(saved.status).toBe(200);
+    }
+
+    const history = await request(app).get(`/jobs/${jobId}/checklist-coverage`);
+    expect(history.status).toBe(200);
+    expect(history.body.versions.map((version) => version.coverage[0].asked)).toEqual([false, true]);
+
+    expect((await request(app).get('/jobs/nope/checklist-coverage')).status).toBe(404);
+  });
+});
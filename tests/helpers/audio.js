@@ -0,0 +1,25 @@
+// Tiny but valid recordings for upload tests (uploads are sniffed by content)
+
+/**
+ * 16-bit mono PCM WAV of silence.
+ */
+function wavBuffer({ seconds = 1, sampleRate = 8000 } = {}) {
+  const dataBytes = Math.round(seconds * sampleRate) * 2;
+  const buffer = Buffer.alloc(44 + dataBytes);
+  buffer.write('RIFF', 0, 'latin1');
+  buffer.writeUInt32LE(36 + dataBytes, 4);
+  buffer.write('WAVE', 8, 'latin1');
+  buffer.write('fmt ', 12, 'latin1');
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20);
+  buffer.writeUInt16LE(1, 22);
+  buffer.writeUInt32LE(sampleRate, 24);
+  buffer.writeUInt32LE(sampleRate * 2, 28);
+  buffer.writeUInt16LE(2, 32);
+  buffer.writeUInt16LE(16, 34);
+  buffer.write('data', 36, 'latin1');
+  buffer.writeUInt32LE(dataBytes, 40);
+  return buffer;
+}
+
+module.exports = { wavBuffer };
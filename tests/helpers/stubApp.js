@@ -0,0 +1,39 @@
+// The app wired to the stub LLM provider and a throwaway in-memory database.
+// Require this before anything from src/ (after any jest.mock and extra
+// env vars of the test): the env below is read when src/ loads.
+process.env.LLM_PROVIDER = 'stub';
+process.env.DB_PATH = ':memory:';
+delete process.env.OPENAI_API_KEY;
+
+const request = require('supertest');
+const app = require('../../src/server');
+
+/**
+ * Poll `check` until it returns something truthy or the timeout passes;
+ * resolves to its last value.
+ */
+async function waitFor(check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check();
+    if (value || Date.now() > deadline) {
+      return value;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 25));
+  }
+}
+
+/**
+ * Wait for a job to finish ('done' or 'error'); resolves to the job as
+ * GET /jobs/:id returns it (whatever its status when the timeout passes).
+ */
+async function waitForJob(jobId, timeoutMs = 5000) {
+  let job;
+  await waitFor(async () => {
+    job = (await request(app).get(`/jobs/${jobId}`)).body;
+    return ['done', 'error'].includes(job.status);
+  }, timeoutMs);
+  return job;
+}
+
+module.exports = { app, waitFor, waitForJob };
@@ -0,0 +1,91 @@
+// Transcription hangs until the job's AbortSignal fires
+jest.mock('../src/llm/providers/stub', () => {
+  const actual = jest.requireActual('../src/llm/providers/stub');
+  return {
+    createStubProvider: () => ({
+      ...actual.createStubProvider(),
+      transcribe: ({ signal }) =>
+        new Promise((resolve, reject) => {
+          signal.addEventListener('abort', () => reject(signal.reason));
+        }),
+    }),
+  };
+});
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { wavBuffer } = require('./helpers/audio');
+const { app, waitFor } = require('./helpers/stubApp');
+const { getJobAttemptsByJobId, getTranscriptByJobId } = require('../src/db');
+
+describe('POST /jobs/:id/cancel', () => {
+  let jobId;
+
+  afterAll(async () => {
+    if (jobId) {
+      await request(app).delete(`/jobs/${jobId}`);
+    }
+  });
+
+  it('aborts an in-flight transcription, skips the email and removes the temp copy', async () => {
+    const upload = await request(app)
+      .post('/process-file')
+      .attach('file', wavBuffer(), 'wrong-call.wav');
+    jobId = upload.body.jobId;
+
+    const transcribing = await waitFor(async () => {
+      const res = await request(app).get(`/jobs/${jobId}`);
+      return res.body.status === 'transcribing' ? res.body : null;
+    });
+    expect(transcribing).not.toBeNull();
+    const tempCopy = path.join(os.tmpdir(), `job-${jobId}.wav`);
+    expect(fs.existsSync(tempCopy)).toBe(true);
+
+    const cancel = await request(app).post(`/jobs/${jobId}/cancel`);
+    expect(cancel.status).toBe(200);
+    expect(cancel.body).toEqual({ jobId, status: 'cancelled' });
+
+    const attempts = await waitFor(async () => {
+      const res = await request(app).get(`/jobs/${jobId}/attempts`);
+      const [attempt] = res.body.attempts;
+      return attempt && attempt.status !== 'running' ? res.body.attempts : null;
+    });
+    expect(attempts).toEqual([
+      expect.objectContaining({ status: 'cancelled', stage: 'transcribe' }),
+    ]);
+
+    const job = await request(app).get(`/jobs/${jobId}`);
+    expect(job.body).toMatchObject({ status: 'cancelled', emailStatus: 'skipped' });
+    expect(fs.existsSync(tempCopy)).toBe(false);
+
+    const again = await request(app).post(`/jobs/${jobId}/cancel`);
+    expect(again.status).toBe(409);
+  });
+});
+
+describe('DELETE /jobs/:id on a running job', () => {
+  it('stops the worker before removing the job', async () => {
+    const upload = await request(app)
+      .post('/process-file')
+      .attach('file', wavBuffer(), 'deleted-call.wav');
+    const { jobId } = upload.body;
+
+    const transcribing = await waitFor(async () => {
+      const res = await request(app).get(`/jobs/${jobId}`);
+      return res.body.status === 'transcribing' ? res.body : null;
+    });
+    expect(transcribing).not.toBeNull();
+    const tempCopy = path.join(os.tmpdir(), `job-${jobId}.wav`);
+
+    const res = await request(app).delete(`/jobs/${jobId}`);
+    expect(res.status).toBe(200);
+
+    // The run has returned (its temp copy is cleaned up) and left nothing behind
+    expect(fs.existsSync(tempCopy)).toBe(false);
+    expect((await request(app).get(`/jobs/${jobId}`)).status).toBe(404);
+    expect(getTranscriptByJobId(jobId)).toBeFalsy();
+    expect(getJobAttemptsByJobId(jobId)).toEqual([]);
+  });
+});
@@ -0,0 +1,96 @@
+process.env.LLM_PROVIDER = 'stub';
+process.env.DB_PATH = ':memory:';
+
+const http = require('http');
+const request = require('supertest');
+const { wavBuffer } = require('./helpers/audio');
+const app = require('../src/server');
+
+// Read an SSE stream until `isLast(event)` is true or the server ends it.
+// `ready` resolves once the stream is open (the server is subscribed).
+function openEventStream(baseUrl, path, isLast = () => false) {
+  let onReady;
+  const ready = new Promise((resolve) => {
+    onReady = resolve;
+  });
+
+  const events = new Promise((resolve, reject) => {
+    const received = [];
+    const req = http.get(`${baseUrl}${path}`, (res) => {
+      onReady();
+      let buffer = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        buffer += chunk;
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) >= 0) {
+          const block = buffer.slice(0, boundary);
+          buffer = buffer.slice(boundary + 2);
+          const data = block.split('\n').find((line) => line.startsWith('data: '));
+          if (!data) {
+            continue;
+          }
+          const event = JSON.parse(data.slice('data: '.length));
+          received.push(event);
+          if (isLast(event)) {
+            req.destroy();
+            resolve(received);
+            return;
+          }
+        }
+      });
+      res.on('end', () => resolve(received));
+    });
+    req.on('error', reject);
+  });
+
+  return { ready, events };
+}
+
+describe('job event streams', () => {
+  let server;
+  let baseUrl;
+  let jobId;
+
+  beforeAll((done) => {
+    server = app.listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll(async () => {
+    if (jobId) {
+      await request(server).delete(`/jobs/${jobId}`);
+    }
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it('streams every stage of a job on GET /events', async () => {
+    const feed = openEventStream(
+      baseUrl,
+      '/events',
+      (event) => event.jobId === jobId && event.type === 'job.status' && event.status === 'done'
+    );
+    await feed.ready;
+
+    const upload = await request(server)
+      .post('/process-file')
+      .attach('file', wavBuffer(), 'call.wav');
+    jobId = upload.body.jobId;
+
+    const events = (await feed.events).filter((event) => event.jobId === jobId);
+    expect(
+      events.filter((event) => event.type === 'job.status').map((event) => event.status)
+    ).toEqual(['queued', 'transcribing', 'analyzing', 'emailing', 'done']);
+    expect(events.some((event) => event.type === 'job.progress')).toBe(true);
+  });
+
+  it('sends a snapshot and ends the per-job stream once the job is finished', async () => {
+    const events = await openEventStream(baseUrl, `/jobs/${jobId}/events`).events;
+    expect(events).toEqual([expect.objectContaining({ type: 'job.snapshot', jobId, status: 'done' })]);
+
+    const missing = await request(server).get('/jobs/does-not-exist/events');
+    expect(missing.status).toBe(404);
+  });
+});
@@ -0,0 +1,156 @@
+// Job leasing in both db backends: one worker per job, expired leases are
+// taken over, heartbeats keep a lease alive.
+process.env.DB_PATH = ':memory:';
+
+const ACTIVE = ['transcribing', 'analyzing', 'emailing', 'processing'];
+
+function loadDb({ inMemory }) {
+  let db;
+  jest.isolateModules(() => {
+    if (inMemory) {
+      jest.doMock('better-sqlite3', () => {
+        const err = new Error('better-sqlite3 not installed');
+        err.code = 'MODULE_NOT_FOUND';
+        throw err;
+      });
+    }
+    db = require('../src/db');
+  });
+  db.initDb();
+  return db;
+}
+
+describe.each([
+  ['sqlite', { inMemory: false }],
+  ['in-memory', { inMemory: true }],
+])('%s job leases', (name, options) => {
+  let db;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    db = loadDb(options);
+  });
+
+  afterAll(() => {
+    jest.dontMock('better-sqlite3');
+    console.warn.mockRestore();
+  });
+
+  function queueJob(id) {
+    db.createJob({ id, status: 'queued', createdAt: new Date().toISOString() });
+  }
+
+  const claim = (workerId, leaseMs = 60000) =>
+    db.claimNextJob({ workerId, leaseMs, activeStatuses: ACTIVE });
+
+  it('never hands a leased queued job to a second worker', () => {
+    queueJob(`${name}-double`);
+
+    const first = claim('worker-a');
+    expect(first).toMatchObject({ id: `${name}-double`, leaseOwner: 'worker-a', attempts: 1 });
+
+    // Still 'queued' until the handler moves it on, but the lease is live
+    expect(db.getJobById(first.id).status).toBe('queued');
+    expect(claim('worker-b')).toBeNull();
+
+    db.releaseJobLease(first.id, 'worker-a');
+    db.updateJob(first.id, { status: 'done' });
+  });
+
+  it('lets another worker take over a job whose lease expired', () => {
+    queueJob(`${name}-expired`);
+
+    const first = claim('worker-a', -1000);
+    expect(first.leaseOwner).toBe('worker-a');
+    db.updateJob(first.id, { status: 'transcribing' });
+
+    const second = claim('worker-b');
+    expect(second).toMatchObject({ id: first.id, leaseOwner: 'worker-b', attempts: 2 });
+
+    // The dead worker's lease is gone, so it can neither renew nor release it
+    expect(db.heartbeatJob(first.id, 'worker-a', 60000)).toBe(false);
+    db.releaseJobLease(first.id, 'worker-a');
+    expect(db.getJobById(first.id).leaseOwner).toBe('worker-b');
+
+    db.releaseJobLease(first.id, 'worker-b');
+    db.updateJob(first.id, { status: 'done' });
+  });
+
+  it('requeues active jobs with expired leases', () => {
+    queueJob(`${name}-orphan`);
+    const job = claim('worker-a', -1000);
+    db.updateJob(job.id, { status: 'analyzing' });
+
+    expect(db.requeueOrphanedJobs(ACTIVE)).toBe(1);
+    expect(db.getJobById(job.id)).toMatchObject({ status: 'queued', leaseOwner: null });
+
+    db.updateJob(job.id, { status: 'done' });
+  });
+
+  it('keeps the lease alive on heartbeat', () => {
+    queueJob(`${name}-heartbeat`);
+
+    const job = claim('worker-a', -1000);
+    expect(db.heartbeatJob(job.id, 'worker-a', 60000)).toBe(true);
+
+    const renewed = db.getJobById(job.id);
+    expect(Date.parse(renewed.leaseExpiresAt)).toBeGreaterThan(Date.now());
+    expect(claim('worker-b')).toBeNull();
+    expect(db.heartbeatJob(job.id, 'worker-b', 60000)).toBe(false);
+  });
+});
+
+describe('worker that loses its lease', () => {
+  const savedLeaseMs = process.env.JOB_LEASE_MS;
+
+  afterAll(() => {
+    if (savedLeaseMs === undefined) {
+      delete process.env.JOB_LEASE_MS;
+    } else {
+      process.env.JOB_LEASE_MS = savedLeaseMs;
+    }
+  });
+
+  it('aborts the running job once another worker has taken it over', async () => {
+    // Short enough to lapse before the first heartbeat (at most every second)
+    process.env.JOB_LEASE_MS = '200';
+    let db;
+    let queue;
+    jest.isolateModules(() => {
+      db = require('../src/db');
+      queue = require('../src/jobQueue');
+    });
+    db.initDb();
+
+    let leased;
+    const started = new Promise((resolve) => {
+      leased = resolve;
+    });
+    const aborted = new Promise((resolve) => {
+      queue.registerJobHandler((jobId, { signal }) => {
+        leased();
+        return new Promise((done) => {
+          signal.addEventListener('abort', () => {
+            resolve(signal.reason);
+            done();
+          });
+        });
+      });
+    });
+
+    db.createJob({ id: 'lost-lease', status: 'queued', createdAt: new Date().toISOString() });
+    queue.enqueueJob('lost-lease');
+    await started;
+
+    await new Promise((resolve) => setTimeout(resolve, 300));
+    expect(
+      db.claimNextJob({ workerId: 'worker-b', leaseMs: 60000, activeStatuses: ACTIVE })
+    ).toMatchObject({ id: 'lost-lease', attempts: 2 });
+
+    const reason = await aborted;
+    expect(reason).toMatchObject({ code: 'LEASE_LOST' });
+    // The aborted run does not release the new owner's lease
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(db.getJobById('lost-lease').leaseOwner).toBe('worker-b');
+  });
+});
@@ -0,0 +1,97 @@
+process.env.LLM_PROVIDER = 'stub';
+process.env.DB_PATH = ':memory:';
+
+const request = require('supertest');
+const app = require('../src/server');
+const db = require('../src/db');
+
+function addJob(id, createdAt, fields = {}) {
+  db.createJob({ id, filename: `${id}.wav`, originalname: `${id}.wav`, status: 'done', createdAt });
+  db.updateJob(id, { emailStatus: 'sent', ...fields });
+}
+
+beforeAll(() => {
+  addJob('job-1', '2026-03-01T09:00:00.000Z', {
+    clientName: 'Northwind Supplies',
+    clientIndustry: 'Wholesale distribution',
+    analysisJson: '{"CLIENT_NAME":"Northwind Supplies"}',
+  });
+  addJob('job-2', '2026-03-02T09:00:00.000Z', { clientName: 'Contoso', clientIndustry: 'Retail' });
+  addJob('job-3', '2026-03-02T09:00:00.000Z', { status: 'error', emailStatus: 'error' });
+  addJob('job-4', '2026-03-03T09:00:00.000Z', {
+    clientName: 'northwind traders',
+    clientIndustry: 'Retail',
+  });
+  addJob('job-5', '2026-03-04T09:00:00.000Z', { clientName: '100%_Organic' });
+});
+
+async function listAll(query) {
+  const ids = [];
+  let cursor = null;
+  do {
+    const res = await request(app).get('/jobs').query({ ...query, ...(cursor ? { cursor } : {}) });
+    expect(res.status).toBe(200);
+    ids.push(...res.body.map((job) => job.id));
+    cursor = res.headers['x-next-cursor'] || null;
+  } while (cursor);
+  return ids;
+}
+
+describe('GET /jobs', () => {
+  it('pages newest first with a cursor, including jobs created in the same instant', async () => {
+    const first = await request(app).get('/jobs').query({ limit: 2 });
+    expect(first.body.map((job) => job.id)).toEqual(['job-5', 'job-4']);
+    expect(first.headers['x-next-cursor']).toBeTruthy();
+
+    expect(await listAll({ limit: 2 })).toEqual(['job-5', 'job-4', 'job-3', 'job-2', 'job-1']);
+    expect(await listAll({ limit: 2, sort: 'createdAt' })).toEqual([
+      'job-1',
+      'job-2',
+      'job-3',
+      'job-4',
+      'job-5',
+    ]);
+  });
+
+  it('filters by status, email status, date range and client', async () => {
+    expect(await listAll({ status: 'error' })).toEqual(['job-3']);
+    expect(await listAll({ emailStatus: 'sent', from: '2026-03-02', to: '2026-03-03' })).toEqual([
+      'job-4',
+      'job-2',
+    ]);
+    expect(await listAll({ clientName: 'NORTHWIND' })).toEqual(['job-4', 'job-1']);
+    expect(await listAll({ clientName: '100%_' })).toEqual(['job-5']);
+    expect(await listAll({ clientName: '1%' })).toEqual([]);
+    expect(await listAll({ clientIndustry: 'retail' })).toEqual(['job-4', 'job-2']);
+  });
+
+  it('projects the requested fields only', async () => {
+    const res = await request(app)
+      .get('/jobs')
+      .query({ fields: 'status,clientName', clientName: 'Northwind S' });
+    expect(res.body).toEqual([{ id: 'job-1', status: 'done', clientName: 'Northwind Supplies' }]);
+
+    const full = await request(app).get('/jobs').query({ clientName: 'Northwind S' });
+    expect(full.body[0].analysisJson).toBe('{"CLIENT_NAME":"Northwind Supplies"}');
+  });
+
+  it('rejects invalid parameters', async () => {
+    for (const query of [
+      { limit: 0 },
+      { limit: 'all' },
+      { sort: 'clientName' },
+      { fields: 'id,secret' },
+      { from: 'yesterday' },
+      { cursor: 'garbage' },
+    ]) {
+      const res = await request(app).get('/jobs').query(query);
+      expect(res.status).toBe(400);
+    }
+
+    const page = await request(app).get('/jobs').query({ limit: 1 });
+    const mismatched = await request(app)
+      .get('/jobs')
+      .query({ sort: 'updatedAt', cursor: page.headers['x-next-cursor'] });
+    expect(mismatched.status).toBe(400);
+  });
+});
@@ -0,0 +1,166 @@
+// Linking discovery-call jobs to pre-call plans.
+
+const request = require('supertest');
+const { wavBuffer } = require('./helpers/audio');
+const { app, waitForJob } = require('./helpers/stubApp');
+const { getLlmProvider } = require('../src/llm');
+
+async function createPlan(companyName) {
+  const res = await request(app).post('/precall-prep').send({
+    clientName: 'Dana Whitfield',
+    companyName,
+    meetingGoal: 'Qualify the AP automation project',
+  });
+  expect(res.status).toBe(200);
+  return res.body.precallPlanId;
+}
+
+describe('job <-> pre-call plan links', () => {
+  const jobIds = [];
+  const planIds = [];
+
+  afterAll(async () => {
+    for (const id of jobIds) {
+      await request(app).delete(`/jobs/${id}`);
+    }
+    for (const id of planIds) {
+      await request(app).delete(`/precall-plans/${id}`);
+    }
+  });
+
+  it('links a plan at upload time and coaches against it', async () => {
+    const planId = await createPlan('Northwind Supplies');
+    planIds.push(planId);
+
+    const unknown = await request(app)
+      .post('/process-file')
+      .field('precallPlanId', 'no-such-plan')
+      .attach('file', wavBuffer(), 'call.wav');
+    expect(unknown.status).toBe(400);
+
+    const upload = await request(app)
+      .post('/process-file')
+      .field('precallPlanId', planId)
+      .attach('file', wavBuffer(), 'call.wav');
+    expect(upload.status).toBe(200);
+    jobIds.push(upload.body.jobId);
+
+    const job = await waitForJob(upload.body.jobId);
+    expect(job).toMatchObject({ status: 'done', precallPlanId: planId });
+
+    const detected = await request(app)
+      .post(`/calls/${job.id}/checklist-coverage/detect`)
+      .send({});
+    expect(detected.status).toBe(200);
+    expect(detected.body).toMatchObject({
+      precallPlanId: planId,
+      promptId: 'checklist-coverage',
+      promptVersion: 1,
+    });
+    expect(detected.body.coverage.map((entry) => entry.status)).toEqual([
+      'asked',
+      'partial',
+      'missed',
+      'partial',
+    ]);
+    expect(detected.body.coverage[0]).toMatchObject({
+      id: 'q1',
+      question: 'How are supplier invoices entered and matched today?',
+      asked: true,
+      confidence: 0.95,
+    });
+    expect(detected.body.coverage[0].excerpt).toMatch(/^\[0:00\] Rep: /);
+
+    const coaching = await request(app)
+      .post('/postcall-coaching')
+      .send({ jobId: job.id });
+    expect(coaching.status).toBe(200);
+    expect(coaching.body.precallPlanId).toBe(planId);
+  });
+
+  it('suggests matching plans and links or unlinks one afterwards', async () => {
+    const matchingId = await createPlan('Northwind Supplies Ltd');
+    const otherId = await createPlan('Contoso Pharmacy');
+    planIds.push(matchingId, otherId);
+
+    const upload = await request(app)
+      .post('/process-file?force=true')
+      .attach('file', wavBuffer(), 'call.wav');
+    jobIds.push(upload.body.jobId);
+    const job = await waitForJob(upload.body.jobId);
+    expect(job.precallPlanId).toBeNull();
+
+    const noPlan = await request(app).post(`/calls/${job.id}/checklist-coverage/detect`);
+    expect(noPlan.status).toBe(409);
+
+    const suggestions = await request(app).get(`/jobs/${job.id}/plan-suggestions`);
+    expect(suggestions.status).toBe(200);
+    expect(suggestions.body.clientName).toBe('Northwind Supplies');
+    const suggestedIds = suggestions.body.suggestions.map((entry) => entry.precallPlanId);
+    expect(suggestedIds[0]).toBe(matchingId);
+    expect(suggestedIds).not.toContain(otherId);
+
+    const linked = await request(app)
+      .put(`/jobs/${job.id}/plan`)
+      .send({ precallPlanId: matchingId });
+    expect(linked.status).toBe(200);
+    expect(linked.body.precallPlanId).toBe(matchingId);
+
+    expect(
+      (await request(app).put(`/jobs/${job.id}/plan`).send({ precallPlanId: 'nope' })).status
+    ).toBe(404);
+    expect((await request(app).put(`/jobs/${job.id}/plan`).send({})).status).toBe(400);
+
+    // Deleting the plan leaves the job unlinked
+    await request(app).delete(`/precall-plans/${matchingId}`);
+    expect((await request(app).get(`/jobs/${job.id}`)).body.precallPlanId).toBeNull();
+
+    const unlinked = await request(app)
+      .put(`/jobs/${job.id}/plan`)
+      .send({ precallPlanId: null });
+    expect(unlinked.status).toBe(200);
+    expect(unlinked.body.precallPlanId).toBeNull();
+  });
+
+  it('sends the plan fields the analysis prompt version documents', async () => {
+    const planId = await createPlan('Northwind Supplies');
+    planIds.push(planId);
+
+    const complete = jest.spyOn(getLlmProvider(), 'complete');
+    const analysisInputs = () =>
+      complete.mock.calls
+        .filter(([options]) => options.feature === 'analysis')
+        .map(([options]) => JSON.parse(options.messages[1].content));
+
+    try {
+      const upload = await request(app)
+        .post('/process-file')
+        .field('precallPlanId', planId)
+        .attach('file', wavBuffer({ seconds: 3 }), 'call.wav');
+      jobIds.push(upload.body.jobId);
+      expect(await waitForJob(upload.body.jobId)).toMatchObject({
+        status: 'done',
+        analysisPromptVersion: 2,
+      });
+
+      const rerun = await request(app)
+        .post(`/jobs/${upload.body.jobId}/reanalyze`)
+        .send({ promptVersion: 1 });
+      expect(rerun.status).toBe(200);
+
+      const [latest, v1] = analysisInputs();
+      expect(latest).toMatchObject({
+        client: 'Northwind Supplies',
+        contact: 'Dana Whitfield',
+        project_goal: 'Qualify the AP automation project',
+      });
+      expect(v1).toMatchObject({
+        client: 'Northwind Supplies',
+        project_goal: 'Qualify the AP automation project',
+      });
+      expect(Object.keys(v1)).not.toEqual(expect.arrayContaining(['contact']));
+    } finally {
+      complete.mockRestore();
+    }
+  });
+});
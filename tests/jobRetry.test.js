@@ -0,0 +1,88 @@
+// The first analysis request fails; transcription calls are counted so the
+// retry can be checked to reuse the stored transcript
+jest.mock('../src/llm/providers/stub', () => {
+  const actual = jest.requireActual('../src/llm/providers/stub');
+  const calls = { transcribe: 0, analysisFailures: 0 };
+  return {
+    calls,
+    createStubProvider: () => {
+      const provider = actual.createStubProvider();
+      return {
+        ...provider,
+        transcribe: (options) => {
+          calls.transcribe += 1;
+          return provider.transcribe(options);
+        },
+        complete: (options) => {
+          if (options.feature === 'analysis' && calls.analysisFailures === 0) {
+            calls.analysisFailures += 1;
+            return Promise.reject(new Error('Analysis model unavailable'));
+          }
+          return provider.complete(options);
+        },
+      };
+    },
+  };
+});
+
+const request = require('supertest');
+const { wavBuffer } = require('./helpers/audio');
+const { app, waitForJob } = require('./helpers/stubApp');
+const { calls } = require('../src/llm/providers/stub');
+
+describe('POST /jobs/:id/retry', () => {
+  let jobId;
+
+  beforeAll(async () => {
+    const upload = await request(app).post('/process-file').attach('file', wavBuffer(), 'call.wav');
+    jobId = upload.body.jobId;
+    expect((await waitForJob(jobId)).status).toBe('error');
+  });
+
+  afterAll(async () => {
+    await request(app).delete(`/jobs/${jobId}`);
+  });
+
+  it('resumes at analysis without transcribing again and records both runs', async () => {
+    expect(calls.transcribe).toBe(1);
+    expect((await request(app).get(`/jobs/${jobId}/transcript`)).status).toBe(200);
+
+    // Transcription cannot be skipped past a missing analysis
+    const skipAhead = await request(app).post(`/jobs/${jobId}/retry`).send({ fromStage: 'email' });
+    expect(skipAhead.status).toBe(409);
+
+    const res = await request(app).post(`/jobs/${jobId}/retry`).send({});
+    expect(res.status).toBe(202);
+    expect(res.body).toMatchObject({ jobId, status: 'queued', fromStage: null });
+
+    const job = await waitForJob(jobId);
+    expect(job.status).toBe('done');
+    expect(calls.transcribe).toBe(1);
+
+    const attempts = await request(app).get(`/jobs/${jobId}/attempts`);
+    expect(attempts.status).toBe(200);
+    expect(attempts.body.attempts).toMatchObject([
+      { fromStage: 'transcribe', stage: 'analyze', status: 'failed', error: 'Analysis model unavailable' },
+      { fromStage: 'analyze', stage: 'email', status: 'succeeded' },
+    ]);
+  });
+
+  it('starts over from an earlier stage when asked to', async () => {
+    const res = await request(app).post(`/jobs/${jobId}/retry`).send({ fromStage: 'transcribe' });
+    expect(res.status).toBe(202);
+    expect((await waitForJob(jobId)).status).toBe('done');
+    expect(calls.transcribe).toBe(2);
+
+    const attempts = await request(app).get(`/jobs/${jobId}/attempts`);
+    expect(attempts.body.attempts[2]).toMatchObject({
+      fromStage: 'transcribe',
+      stage: 'email',
+      status: 'succeeded',
+    });
+  });
+
+  it('rejects unknown stages and jobs', async () => {
+    expect((await request(app).post(`/jobs/${jobId}/retry`).send({ fromStage: 'upload' })).status).toBe(400);
+    expect((await request(app).post('/jobs/no-such-job/retry').send({})).status).toBe(404);
+  });
+});
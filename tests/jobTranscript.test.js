@@ -0,0 +1,74 @@
+// Transcripts stored by the pipeline and served by GET /jobs/:id/transcript.
+
+const request = require('supertest');
+const { wavBuffer } = require('./helpers/audio');
+const { app, waitForJob } = require('./helpers/stubApp');
+const { createJob, deleteJobById, saveTranscript } = require('../src/db');
+const transcriptionFixture = require('../src/llm/fixtures/transcription.json');
+
+describe('GET /jobs/:id/transcript', () => {
+  let jobId;
+
+  beforeAll(async () => {
+    const upload = await request(app).post('/process-file').attach('file', wavBuffer(), 'call.wav');
+    jobId = upload.body.jobId;
+    expect((await waitForJob(jobId)).status).toBe('done');
+  });
+
+  afterAll(async () => {
+    await request(app).delete(`/jobs/${jobId}`);
+  });
+
+  it('returns the transcript saved while the job ran', async () => {
+    const res = await request(app).get(`/jobs/${jobId}/transcript`);
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      jobId,
+      text: transcriptionFixture.text,
+      durationSeconds: transcriptionFixture.duration,
+    });
+    expect(res.body.id).toBeTruthy();
+    expect(res.body.segments).toHaveLength(transcriptionFixture.segments.length);
+    expect(res.body.segments[0]).toMatchObject({ speaker: expect.any(String) });
+  });
+
+  it('replaces the text on a second save but keeps the record id and creation time', async () => {
+    const before = (await request(app).get(`/jobs/${jobId}/transcript`)).body;
+
+    saveTranscript({
+      id: 'replacement-id',
+      jobId,
+      text: 'Corrected transcript.',
+      model: 'whisper-1',
+      language: 'en',
+      durationSeconds: 3,
+      segments: [],
+    });
+
+    const res = await request(app).get(`/jobs/${jobId}/transcript`);
+    expect(res.body).toMatchObject({
+      id: before.id,
+      createdAt: before.createdAt,
+      text: 'Corrected transcript.',
+      model: 'whisper-1',
+      language: 'en',
+      durationSeconds: 3,
+      segments: [],
+    });
+  });
+
+  it('answers 404 for unknown jobs and jobs without a transcript', async () => {
+    const unknown = await request(app).get('/jobs/no-such-job/transcript');
+    expect(unknown.status).toBe(404);
+    expect(unknown.body.error).toBe('Job not found');
+
+    createJob({ id: 'job-without-transcript', status: 'error' });
+    try {
+      const missing = await request(app).get('/jobs/job-without-transcript/transcript');
+      expect(missing.status).toBe(404);
+      expect(missing.body.error).toBe('Transcript not found');
+    } finally {
+      await deleteJobById('job-without-transcript');
+    }
+  });
+});
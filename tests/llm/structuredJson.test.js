@@ -0,0 +1,115 @@
+jest.mock('../../src/logger', () => ({ warn: jest.fn(), error: jest.fn(), info: jest.fn() }));
+
+const { completeValidatedJson } = require('../../src/llm/structuredJson');
+const { POSTCALL_COACHING_SCHEMA } = require('../../src/schemas/postcallCoaching');
+const { validateAgainstSchema } = require('../../src/schemas/validate');
+
+const validCoaching = {
+  goalSummary: 'Qualify the invoicing automation project.',
+  goalAchieved: true,
+  goalComment: 'Budget and timeline confirmed.',
+  strengths: ['Clear agenda'],
+  improvementAreas: ['Dig deeper on volumes'],
+  missedQuestions: ['Who signs off?'],
+  coachingTips: ['Pause after questions'],
+  followUpsForClient: 'Send the proposal by Friday.',
+  primaryNextAction: 'Draft the proposal.',
+  nextActionSteps: ['Scope integrations', 'Price the build'],
+  riskLevel: 'low',
+  opportunitySize: 'medium',
+};
+
+describe('validateAgainstSchema', () => {
+  it('reports missing keys, wrong types and enum violations', () => {
+    const { primaryNextAction, ...missingAction } = validCoaching;
+    const errors = validateAgainstSchema(POSTCALL_COACHING_SCHEMA, {
+      ...missingAction,
+      strengths: 'Clear agenda',
+      riskLevel: 'severe',
+    });
+
+    expect(errors).toEqual([
+      'primaryNextAction is required',
+      'strengths must be of type array (got string)',
+      'riskLevel must be one of: "low", "medium", "high"',
+    ]);
+    expect(validateAgainstSchema(POSTCALL_COACHING_SCHEMA, validCoaching)).toEqual([]);
+  });
+});
+
+describe('completeValidatedJson', () => {
+  const messages = [{ role: 'user', content: 'coach me' }];
+
+  it('does a single repair round-trip with the validation errors', async () => {
+    const complete = jest
+      .fn()
+      .mockResolvedValueOnce(JSON.stringify({ ...validCoaching, riskLevel: 'severe' }))
+      .mockResolvedValueOnce(JSON.stringify(validCoaching));
+
+    const result = await completeValidatedJson({
+      messages,
+      schema: POSTCALL_COACHING_SCHEMA,
+      complete,
+      label: 'test',
+    });
+
+    expect(complete).toHaveBeenCalledTimes(2);
+    const repairMessages = complete.mock.calls[1][0];
+    expect(repairMessages).toHaveLength(3);
+    expect(repairMessages[1].role).toBe('assistant');
+    expect(repairMessages[2].content).toContain('riskLevel must be one of');
+    expect(result.value).toEqual(validCoaching);
+    expect(result.validation).toEqual({
+      valid: true,
+      repaired: true,
+      initialViolations: ['riskLevel must be one of: "low", "medium", "high"'],
+      violations: [],
+    });
+  });
+
+  it('keeps a still-invalid reply with its violations recorded', async () => {
+    const { goalSummary, ...incomplete } = validCoaching;
+    const complete = jest.fn().mockResolvedValue(JSON.stringify(incomplete));
+
+    const result = await completeValidatedJson({
+      messages,
+      schema: POSTCALL_COACHING_SCHEMA,
+      complete,
+      label: 'test',
+    });
+
+    expect(complete).toHaveBeenCalledTimes(2);
+    expect(result.value).toEqual(incomplete);
+    expect(result.validation.valid).toBe(false);
+    expect(result.validation.violations).toEqual(['goalSummary is required']);
+  });
+
+  it('throws when the model never returns parseable JSON', async () => {
+    const complete = jest.fn().mockResolvedValue('not json');
+
+    await expect(
+      completeValidatedJson({ messages, schema: POSTCALL_COACHING_SCHEMA, complete, label: 'test' })
+    ).rejects.toMatchObject({ code: 'INVALID_MODEL_JSON' });
+  });
+
+  it('treats JSON that is not an object as a failed parse', async () => {
+    const complete = jest.fn().mockResolvedValueOnce('null').mockResolvedValueOnce('[]');
+
+    await expect(
+      completeValidatedJson({ messages, schema: POSTCALL_COACHING_SCHEMA, complete, label: 'test' })
+    ).rejects.toMatchObject({
+      code: 'INVALID_MODEL_JSON',
+      violations: ['Response must be a JSON object (got array)'],
+    });
+    expect(complete.mock.calls[1][0][2].content).toContain('Response must be a JSON object (got null)');
+
+    const repaired = await completeValidatedJson({
+      messages,
+      schema: POSTCALL_COACHING_SCHEMA,
+      complete: jest.fn().mockResolvedValueOnce('"ok"').mockResolvedValueOnce(JSON.stringify(validCoaching)),
+      label: 'test',
+    });
+    expect(repaired.value).toEqual(validCoaching);
+    expect(repaired.validation.repaired).toBe(true);
+  });
+});
@@ -0,0 +1,35 @@
+jest.mock('../../src/db', () => ({ recordUsageEvent: jest.fn() }));
+
+const { estimateCostUsd } = require('../../src/llm/pricing');
+const { summarizeUsage } = require('../../src/llm/usage');
+
+describe('estimateCostUsd', () => {
+  it('prices tokens per million and audio per minute', () => {
+    expect(
+      estimateCostUsd({ model: 'gpt-4.1-mini', promptTokens: 1000000, completionTokens: 500000 })
+    ).toBe(1.2);
+    expect(estimateCostUsd({ model: 'whisper-1', audioSeconds: 600 })).toBe(0.06);
+  });
+
+  it('falls back to the base model for dated snapshots and returns null when unpriced', () => {
+    expect(estimateCostUsd({ model: 'gpt-4o-mini-2024-07-18', promptTokens: 1000000 })).toBe(0.15);
+    expect(estimateCostUsd({ model: 'some-local-model', promptTokens: 1000 })).toBeNull();
+  });
+});
+
+describe('summarizeUsage', () => {
+  const events = [
+    { createdAt: '2025-03-01T09:00:00.000Z', feature: 'analysis', model: 'gpt-4.1-mini', promptTokens: 100, completionTokens: 50, totalTokens: 150, audioSeconds: 0, costUsd: 0.5 },
+    { createdAt: '2025-03-01T10:00:00.000Z', feature: 'transcription', model: 'whisper-1', promptTokens: 0, completionTokens: 0, totalTokens: 0, audioSeconds: 90, costUsd: 0.009 },
+    { createdAt: '2025-03-02T10:00:00.000Z', feature: 'analysis', model: 'custom', promptTokens: 10, completionTokens: 5, totalTokens: 15, audioSeconds: 0, costUsd: null },
+  ];
+
+  it('groups by day and feature and counts unpriced calls', () => {
+    const summary = summarizeUsage(events, { period: 'day' });
+
+    expect(summary.totals).toMatchObject({ calls: 3, totalTokens: 165, audioSeconds: 90, costUsd: 0.509, unpricedCalls: 1 });
+    expect(summary.byFeature[0]).toMatchObject({ feature: 'analysis', calls: 2, models: ['custom', 'gpt-4.1-mini'] });
+    expect(summary.periods.map((entry) => entry.period)).toEqual(['2025-03-01', '2025-03-02']);
+    expect(summary.periods[0].byFeature.map((entry) => entry.feature)).toEqual(['analysis', 'transcription']);
+  });
+});
@@ -0,0 +1,31 @@
+// Recordings over TRANSCRIPTION_MAX_FILE_BYTES are split with ffmpeg; without
+// it the job has to fail with a message that says so.
+process.env.TRANSCRIPTION_MAX_FILE_BYTES = '1024';
+process.env.FFPROBE_PATH = '/nonexistent/ffprobe';
+process.env.FFMPEG_PATH = '/nonexistent/ffmpeg';
+
+const request = require('supertest');
+const { wavBuffer } = require('./helpers/audio');
+const { app, waitForJob } = require('./helpers/stubApp');
+
+describe('long recordings without ffmpeg', () => {
+  let jobId;
+
+  afterAll(async () => {
+    if (jobId) {
+      await request(app).delete(`/jobs/${jobId}`);
+    }
+  });
+
+  it('fails the job with a missing-binary error', async () => {
+    const upload = await request(app).post('/process-file').attach('file', wavBuffer(), 'call.wav');
+    jobId = upload.body.jobId;
+
+    const job = await waitForJob(jobId);
+    expect(job.status).toBe('error');
+    expect(job.error).toMatch(/^ffprobe not found \(\/nonexistent\/ffprobe\).*Install ffmpeg/);
+
+    const attempts = await request(app).get(`/jobs/${jobId}/attempts`);
+    expect(attempts.body.attempts).toMatchObject([{ stage: 'transcribe', status: 'failed' }]);
+  });
+});
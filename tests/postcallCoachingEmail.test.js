@@ -0,0 +1,105 @@
+// Post-call coaching emails: automatic when the setting is on, manual via
+// POST /postcall-coaching/:id/email, with the outcome stored on the record.
+process.env.SMTP_HOST = 'smtp.test';
+process.env.SMTP_PORT = '2525';
+process.env.FROM_EMAIL = 'coach@example.com';
+process.env.NOTIFY_EMAIL = 'sales@example.com';
+
+const mockSendMail = jest.fn();
+jest.mock('nodemailer', () => ({ createTransport: () => ({ sendMail: mockSendMail }) }));
+
+const request = require('supertest');
+const { wavBuffer } = require('./helpers/audio');
+const { app, waitForJob } = require('./helpers/stubApp');
+const { getPostcallCoachingById } = require('../src/db');
+const logger = require('../src/logger');
+
+const coachingEmails = () =>
+  mockSendMail.mock.calls.map(([message]) => message).filter((message) => /Post-Call Coaching/.test(message.subject));
+
+describe('post-call coaching email', () => {
+  let jobId;
+
+  beforeAll(async () => {
+    const upload = await request(app).post('/process-file').attach('file', wavBuffer(), 'call.wav');
+    jobId = upload.body.jobId;
+    expect((await waitForJob(jobId)).status).toBe('done');
+  });
+
+  beforeEach(() => {
+    mockSendMail.mockReset();
+    mockSendMail.mockResolvedValue({});
+  });
+
+  afterAll(async () => {
+    await request(app).delete(`/jobs/${jobId}`);
+  });
+
+  it('skips the email by default and sends it on request', async () => {
+    const coaching = await request(app).post('/postcall-coaching').send({ jobId });
+    expect(coaching.status).toBe(200);
+    expect(coaching.body.emailStatus).toBe('skipped');
+    expect(coachingEmails()).toHaveLength(0);
+
+    const sent = await request(app)
+      .post(`/postcall-coaching/${coaching.body.id}/email`)
+      .send({ to: 'rep@example.com' });
+    expect(sent.status).toBe(200);
+    expect(sent.body).toMatchObject({ emailStatus: 'sent', error: null });
+
+    const [message] = coachingEmails();
+    expect(message).toMatchObject({
+      from: 'coach@example.com',
+      to: 'rep@example.com',
+      subject: `Kalyan AI - Post-Call Coaching - Northwind Supplies - ${jobId}`,
+    });
+    for (const heading of [
+      'Goal & Outcome',
+      'Your Next Move',
+      'Client Follow-Up',
+      'Risk & Opportunity',
+      'Coaching',
+    ]) {
+      expect(message.text).toContain(`== ${heading} ==`);
+    }
+    expect(message.text).toContain('Risk Level: medium');
+    expect(message.text).toContain('- Scope Xero and PO data access.');
+
+    expect(getPostcallCoachingById(coaching.body.id)).toMatchObject({
+      emailStatus: 'sent',
+      emailSentAt: sent.body.emailSentAt,
+    });
+  });
+
+  it('sends automatically when autoPostcallCoachingEmail is on', async () => {
+    await request(app).post('/settings').send({ autoPostcallCoachingEmail: true });
+
+    const coaching = await request(app).post('/postcall-coaching').send({ jobId });
+    expect(coaching.status).toBe(200);
+    expect(coaching.body.emailStatus).toBe('sent');
+    expect(coachingEmails()).toHaveLength(1);
+    expect(coachingEmails()[0].to).toBe('sales@example.com');
+
+    await request(app).post('/settings').send({ autoPostcallCoachingEmail: false });
+  });
+
+  it('stores a failed delivery', async () => {
+    const coaching = await request(app).post('/postcall-coaching').send({ jobId });
+    mockSendMail.mockRejectedValue(new Error('mailbox unavailable'));
+    const logError = jest.spyOn(logger, 'error');
+
+    const failed = await request(app).post(`/postcall-coaching/${coaching.body.id}/email`);
+    expect(failed.status).toBe(502);
+    expect(logError).toHaveBeenCalledWith(
+      expect.objectContaining({ coachingId: coaching.body.id, jobId }),
+      expect.stringMatching(/failed to send email/)
+    );
+    logError.mockRestore();
+    expect(getPostcallCoachingById(coaching.body.id)).toMatchObject({
+      emailStatus: 'error',
+      emailSentAt: null,
+    });
+
+    expect((await request(app).post('/postcall-coaching/nope/email')).status).toBe(404);
+  });
+});
@@ -0,0 +1,36 @@
+const { scoreNameMatch, suggestPlansForJob } = require('../../src/precall/planMatching');
+
+describe('scoreNameMatch', () => {
+  it('ignores case, accents and legal forms', () => {
+    expect(scoreNameMatch('Northwind Supplies Ltd.', 'northwind supplies')).toBe(1);
+    expect(scoreNameMatch('Café Rouge', 'CAFE ROUGE Inc')).toBe(1);
+  });
+
+  it('scores shortened names and partial overlaps lower', () => {
+    expect(scoreNameMatch('Northwind', 'Northwind Supplies')).toBe(0.8);
+    expect(scoreNameMatch('Acme Supplies', 'Northwind Supplies')).toBeCloseTo(1 / 3);
+    expect(scoreNameMatch('Acme', '')).toBe(0);
+  });
+});
+
+describe('suggestPlansForJob', () => {
+  const job = { clientName: 'Northwind Supplies', createdAt: '2026-03-10T10:00:00.000Z' };
+  const plans = [
+    { id: 'other', companyName: 'Acme Supplies', createdAt: '2026-03-09T00:00:00.000Z' },
+    { id: 'later', companyName: 'Northwind Supplies', createdAt: '2026-03-11T00:00:00.000Z' },
+    { id: 'older', companyName: 'Northwind Supplies', createdAt: '2026-01-02T00:00:00.000Z' },
+    { id: 'recent', companyName: 'Northwind Supplies Ltd', createdAt: '2026-03-09T00:00:00.000Z' },
+    { id: 'contact', clientName: 'Northwind', companyName: 'Unknown', createdAt: '2026-03-09T00:00:00.000Z' },
+  ];
+
+  it('ranks by name score, then by the plan made closest before the call', () => {
+    const suggestions = suggestPlansForJob(job, plans);
+    expect(suggestions.map((match) => match.plan.id)).toEqual(['recent', 'older', 'later', 'contact']);
+    expect(suggestions[0]).toMatchObject({ matchedField: 'companyName', score: 1 });
+    expect(suggestions[3]).toMatchObject({ matchedField: 'clientName', score: 0.8 });
+  });
+
+  it('suggests nothing before the analysis has named the client', () => {
+    expect(suggestPlansForJob({ clientName: null }, plans)).toEqual([]);
+  });
+});
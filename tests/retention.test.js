@@ -0,0 +1,136 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LLM_PROVIDER = 'stub';
+process.env.DB_PATH = ':memory:';
+process.env.UPLOAD_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'retention-test-'));
+
+const request = require('supertest');
+const app = require('../src/server');
+const db = require('../src/db');
+const { runRetentionSweep, sweepOrphanedUploads } = require('../src/retention');
+
+const UPLOAD_DIR = process.env.UPLOAD_DIR;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function addJob(id, fields = {}) {
+  fs.writeFileSync(path.join(UPLOAD_DIR, id), 'audio');
+  db.createJob({ id, filename: id, originalname: `${id}.wav`, status: 'done' });
+  db.updateJob(id, fields);
+}
+
+afterAll(() => {
+  fs.rmSync(UPLOAD_DIR, { recursive: true, force: true });
+});
+
+describe('runRetentionSweep', () => {
+  it('deletes expired audio but keeps the job, and removes unreferenced files', async () => {
+    // Ahead of the files written below, so they are never younger than "now"
+    const now = Date.now() + 1000;
+    addJob('old-call', {
+      analysisJson: '{}',
+      analyzedAt: new Date(now - 40 * DAY_MS).toISOString(),
+    });
+    addJob('recent-call', {
+      analysisJson: '{}',
+      analyzedAt: new Date(now - 5 * DAY_MS).toISOString(),
+    });
+    addJob('running-call', { status: 'transcribing' });
+    fs.writeFileSync(path.join(UPLOAD_DIR, 'stray-upload'), 'orphan');
+
+    const result = await runRetentionSweep({ now, retentionDays: 30, minAgeMs: 0 });
+
+    expect(result).toEqual({ audioDeleted: 1, orphansRemoved: 1 });
+    expect(fs.readdirSync(UPLOAD_DIR).sort()).toEqual([
+      'recent-call',
+      'running-call',
+    ]);
+
+    const old = await request(app).get('/jobs/old-call');
+    expect(old.body.audioDeletedAt).toBe(new Date(now).toISOString());
+    expect(old.body.analysisJson).toBe('{}');
+
+    const retry = await request(app).post('/jobs/old-call/retry').send({ fromStage: 'transcribe' });
+    expect(retry.status).toBe(409);
+  });
+
+  it('leaves audio alone when no retention period is configured', async () => {
+    addJob('kept-call', {
+      analysisJson: '{}',
+      analyzedAt: new Date(Date.now() - 400 * DAY_MS).toISOString(),
+    });
+
+    const result = await runRetentionSweep({ retentionDays: 0, minAgeMs: 0 });
+    expect(result.audioDeleted).toBe(0);
+    expect(fs.existsSync(path.join(UPLOAD_DIR, 'kept-call'))).toBe(true);
+  });
+
+  it('only sweeps an S3 bucket when S3_PREFIX scopes it to this app', async () => {
+    const bucket = (prefix) => ({
+      name: 's3',
+      prefix,
+      listObjects: jest.fn().mockResolvedValue([{ key: 'someone-elses-file', lastModified: 0 }]),
+      deleteObject: jest.fn().mockResolvedValue(),
+    });
+
+    const unscoped = bucket('');
+    expect(await sweepOrphanedUploads({ minAgeMs: 0, storage: unscoped })).toBe(0);
+    expect(unscoped.listObjects).not.toHaveBeenCalled();
+    expect(unscoped.deleteObject).not.toHaveBeenCalled();
+
+    const scoped = bucket('discovery-calls/');
+    expect(await sweepOrphanedUploads({ minAgeMs: 0, storage: scoped })).toBe(1);
+    expect(scoped.deleteObject).toHaveBeenCalledWith('someone-elses-file');
+  });
+});
+
+describe('DELETE /jobs/:id', () => {
+  it('removes every record that belongs to the job', async () => {
+    addJob('deleted-call', { analysisJson: '{}' });
+    db.saveTranscript({ id: 'transcript-1', jobId: 'deleted-call', text: 'Hello' });
+    db.saveAnalysisRun({
+      id: 'run-1',
+      jobId: 'deleted-call',
+      createdAt: new Date().toISOString(),
+      promptId: 'analysis',
+      promptVersion: 1,
+      model: 'gpt-4.1-mini',
+      analysis: {},
+    });
+    db.savePostcallCoaching({
+      id: 'coaching-1',
+      jobId: 'deleted-call',
+      createdAt: new Date().toISOString(),
+      coachingJson: {},
+    });
+    db.saveCallChecklist({
+      id: 'checklist-1',
+      jobId: 'deleted-call',
+      createdAt: new Date().toISOString(),
+      coverageJson: {},
+    });
+    db.recordUsageEvent({
+      id: 'usage-1',
+      createdAt: new Date().toISOString(),
+      feature: 'postcall-coaching',
+      provider: 'stub',
+      jobId: 'deleted-call',
+      postcallCoachingId: 'coaching-1',
+    });
+
+    const res = await request(app).delete('/jobs/deleted-call');
+    expect(res.status).toBe(200);
+
+    expect(db.getJobById('deleted-call')).toBeFalsy();
+    expect(db.getTranscriptByJobId('deleted-call')).toBeFalsy();
+    expect(db.getAnalysisRunsByJobId('deleted-call')).toEqual([]);
+    expect(db.getLatestPostcallCoachingByJobId('deleted-call')).toBeNull();
+    expect(db.getLatestCallChecklistByJobId('deleted-call')).toBeNull();
+    expect(fs.existsSync(path.join(UPLOAD_DIR, 'deleted-call'))).toBe(false);
+
+    // Usage stays in the cost report, detached from the deleted job
+    const [usage] = db.getUsageEvents({ feature: 'postcall-coaching' });
+    expect(usage).toMatchObject({ id: 'usage-1', jobId: null, postcallCoachingId: null });
+  });
+});
@@ -0,0 +1,85 @@
+// Full-text search over records produced by the stub provider.
+
+const request = require('supertest');
+const { wavBuffer } = require('./helpers/audio');
+const { app, waitForJob } = require('./helpers/stubApp');
+
+describe('GET /search', () => {
+  let jobId;
+  let precallPlanId;
+  let coachingId;
+
+  beforeAll(async () => {
+    const upload = await request(app)
+      .post('/process-file')
+      .attach('file', wavBuffer(), 'search-call.wav');
+    jobId = upload.body.jobId;
+    expect((await waitForJob(jobId)).status).toBe('done');
+
+    const plan = await request(app).post('/precall-prep').send({
+      clientName: 'Dana Whitfield',
+      companyName: 'Northwind Supplies',
+      meetingGoal: 'Qualify the AP automation project',
+    });
+    expect(plan.status).toBe(200);
+    precallPlanId = plan.body.precallPlanId;
+
+    const coaching = await request(app).post('/postcall-coaching').send({ jobId });
+    expect(coaching.status).toBe(200);
+    coachingId = coaching.body.id;
+  });
+
+  afterAll(async () => {
+    await request(app).delete(`/jobs/${jobId}`);
+    await request(app).delete(`/precall-plans/${precallPlanId}`);
+  });
+
+  it('finds every kind of record with highlighted snippets and links', async () => {
+    const res = await request(app).get('/search').query({ q: 'xero' });
+    expect(res.status).toBe(200);
+
+    const types = new Set(res.body.results.map((result) => result.type));
+    expect(types).toEqual(new Set(['transcript', 'analysis', 'precall-plan', 'postcall-coaching']));
+
+    for (const result of res.body.results) {
+      expect(result.snippet).toMatch(/<mark>Xero<\/mark>/i);
+    }
+
+    const transcript = res.body.results.find((result) => result.type === 'transcript');
+    expect(transcript).toMatchObject({
+      id: jobId,
+      jobId,
+      field: 'text',
+      title: 'Northwind Supplies',
+      link: `/jobs/${jobId}/transcript`,
+    });
+
+    const plan = res.body.results.find((result) => result.type === 'precall-plan');
+    expect(plan).toMatchObject({ id: precallPlanId, link: `/precall-plans/${precallPlanId}` });
+
+    const coaching = res.body.results.find((result) => result.type === 'postcall-coaching');
+    expect(coaching).toMatchObject({ id: coachingId, jobId, link: `/postcall-coaching/${coachingId}` });
+  });
+
+  it('filters by type, matches a partial last word and rejects bad input', async () => {
+    const partial = await request(app)
+      .get('/search')
+      .query({ q: 'xer', types: 'analysis' });
+    expect(partial.status).toBe(200);
+    expect(partial.body.results.length).toBeGreaterThan(0);
+    expect(partial.body.results.every((result) => result.type === 'analysis')).toBe(true);
+
+    // Query syntax characters are treated as plain text
+    const quoted = await request(app).get('/search').query({ q: '"xero" OR (' });
+    expect(quoted.status).toBe(200);
+
+    expect((await request(app).get('/search').query({ q: '  ?! ' })).status).toBe(400);
+    expect((await request(app).get('/search').query({ q: 'xero', types: 'emails' })).status).toBe(400);
+  });
+
+  it('drops a job from the index when the job is deleted', async () => {
+    await request(app).delete(`/jobs/${jobId}`);
+    const res = await request(app).get('/search').query({ q: 'xero' });
+    expect(res.body.results.every((result) => result.jobId !== jobId)).toBe(true);
+  });
+});
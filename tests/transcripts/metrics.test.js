@@ -0,0 +1,37 @@
+const { computeConversationMetrics } = require('../../src/transcripts/metrics');
+
+describe('computeConversationMetrics', () => {
+  const segments = [
+    { id: 0, start: 0, end: 10, speaker: 'rep', text: 'Thanks for joining. How do you handle invoicing today?' },
+    { id: 1, start: 10.5, end: 20, speaker: 'client', text: 'Mostly spreadsheets, and' },
+    { id: 2, start: 20.1, end: 30, speaker: 'rep', text: 'Sorry, do you mean Excel? Or Google Sheets?' },
+    { id: 3, start: 30.5, end: 40, speaker: 'rep', text: 'We see both a lot.' },
+    { id: 4, start: 45, end: 50, speaker: 'client', text: 'Excel.', speakerSource: 'manual' },
+    { id: 5, start: 51, end: 52, speaker: null, text: 'unlabelled' },
+  ];
+
+  it('measures talk time, monologues, questions, interruptions and silences', () => {
+    const metrics = computeConversationMetrics(segments);
+
+    expect(metrics).toMatchObject({
+      durationSeconds: 50,
+      talkTime: {
+        rep: { seconds: 29.4, share: 0.67, words: 22 },
+        client: { seconds: 14.5, share: 0.33, words: 4 },
+      },
+      repToClientTalkRatio: 2.03,
+      longestMonologue: { speaker: 'rep', seconds: 19.9, start: 20.1, end: 40 },
+      questions: { rep: 3, client: 0 },
+      // The rep cut in on "Mostly spreadsheets, and"
+      interruptions: { rep: 1, client: 0 },
+      silences: { count: 1, totalSeconds: 5, longest: { seconds: 5, start: 40, end: 45 } },
+      speakerLabels: 'mixed',
+    });
+    expect(metrics.longestMonologueBySpeaker.client).toEqual({ seconds: 9.5, start: 10.5, end: 20 });
+  });
+
+  it('returns null without timestamped, labelled segments', () => {
+    expect(computeConversationMetrics(undefined)).toBeNull();
+    expect(computeConversationMetrics([{ start: 0, end: 1, text: 'Hi' }])).toBeNull();
+  });
+});
@@ -0,0 +1,40 @@
+const {
+  labelSpeakerTurns,
+  formatTimestamp,
+  formatSegmentsForPrompt,
+} = require('../../src/transcripts/segments');
+
+describe('labelSpeakerTurns', () => {
+  const segments = [
+    { id: 0, start: 0, end: 3, text: 'Thanks for joining. How do you handle invoicing today?' },
+    { id: 1, start: 3.2, end: 8, text: 'Mostly spreadsheets, honestly.' },
+    { id: 2, start: 8.1, end: 12, text: 'And we chase payments by hand.' },
+    { id: 3, start: 15, end: 18, text: 'Got it, that sounds painful.' },
+  ];
+
+  it('starts with the rep and flips after questions and long pauses', () => {
+    const labelled = labelSpeakerTurns(segments);
+    expect(labelled.map((s) => s.speaker)).toEqual(['rep', 'client', 'client', 'rep']);
+    expect(labelled.every((s) => s.speakerSource === 'heuristic')).toBe(true);
+  });
+
+  it('keeps manual labels and continues the heuristic from them', () => {
+    const corrected = segments.map((s) =>
+      s.id === 1 ? { ...s, speaker: 'rep', speakerSource: 'manual' } : s
+    );
+    const labelled = labelSpeakerTurns(corrected);
+    expect(labelled.map((s) => s.speaker)).toEqual(['rep', 'rep', 'rep', 'client']);
+    expect(labelled[1].speakerSource).toBe('manual');
+  });
+});
+
+describe('formatSegmentsForPrompt', () => {
+  it('prefixes each line with a timestamp and speaker', () => {
+    expect(formatTimestamp(3725)).toBe('1:02:05');
+    expect(
+      formatSegmentsForPrompt([
+        { start: 65, text: ' Hello there ', speaker: 'client' },
+      ])
+    ).toBe('[1:05] Client: Hello there');
+  });
+});
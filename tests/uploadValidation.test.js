@@ -0,0 +1,83 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LLM_PROVIDER = 'stub';
+process.env.DB_PATH = ':memory:';
+process.env.UPLOAD_MAX_BYTES = String(64 * 1024);
+process.env.UPLOAD_STAGING_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-validation-'));
+process.env.UPLOAD_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-validation-stored-'));
+
+// createJob can be made to fail to check the stored recording is cleaned up
+jest.mock('../src/db', () => {
+  const actual = jest.requireActual('../src/db');
+  return { ...actual, createJob: jest.fn(actual.createJob) };
+});
+
+const request = require('supertest');
+const { wavBuffer } = require('./helpers/audio');
+const app = require('../src/server');
+const { createJob } = require('../src/db');
+
+const STAGING_DIR = process.env.UPLOAD_STAGING_DIR;
+const STORED_DIR = process.env.UPLOAD_DIR;
+
+afterAll(() => {
+  fs.rmSync(STAGING_DIR, { recursive: true, force: true });
+  fs.rmSync(STORED_DIR, { recursive: true, force: true });
+});
+
+describe('POST /process-file validation', () => {
+  async function expectNoJobOrFile() {
+    const jobs = await request(app).get('/jobs');
+    expect(jobs.body).toEqual([]);
+    // Rejected files are removed asynchronously
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    expect(fs.readdirSync(STAGING_DIR)).toEqual([]);
+  }
+
+  it('rejects a non-audio file with 415', async () => {
+    const res = await request(app)
+      .post('/process-file')
+      .attach('file', Buffer.from('%PDF-1.7\n'), { filename: 'call.mp3', contentType: 'audio/mpeg' });
+
+    expect(res.status).toBe(415);
+    expect(res.body.error).toMatch(/not a supported audio or video recording/);
+    await expectNoJobOrFile();
+  });
+
+  it('rejects a declared non-media type with 415 before reading it', async () => {
+    const res = await request(app)
+      .post('/process-file')
+      .attach('file', wavBuffer(), { filename: 'call.wav', contentType: 'text/plain' });
+
+    expect(res.status).toBe(415);
+    expect(res.body.error).toMatch(/text\/plain/);
+    await expectNoJobOrFile();
+  });
+
+  it('rejects a file over the upload limit with 413', async () => {
+    const res = await request(app)
+      .post('/process-file')
+      .attach('file', wavBuffer({ seconds: 5 }), 'long-call.wav');
+
+    expect(res.status).toBe(413);
+    expect(res.body.error).toMatch(/upload limit is 0.1 MB/);
+    await expectNoJobOrFile();
+  });
+});
+
+describe('POST /process-file when the job cannot be saved', () => {
+  it('deletes the recording it already stored', async () => {
+    createJob.mockImplementationOnce(() => {
+      throw new Error('database is locked');
+    });
+
+    const res = await request(app).post('/process-file').attach('file', wavBuffer(), 'call.wav');
+
+    expect(res.status).toBe(500);
+    expect(res.body.error).toBe('Failed to create job record');
+    expect(fs.readdirSync(STORED_DIR)).toEqual([]);
+    expect((await request(app).get('/jobs')).body).toEqual([]);
+  });
+});
@@ -0,0 +1,105 @@
+// Runs the whole upload -> analysis -> coaching flow offline against the
+// stub LLM provider and a throwaway in-memory database.
+
+const request = require('supertest');
+const { wavBuffer } = require('../helpers/audio');
+const { app, waitForJob } = require('../helpers/stubApp');
+
+describe('upload -> analysis -> coaching with the stub provider', () => {
+  let jobId;
+  let forcedJobId;
+
+  afterAll(async () => {
+    for (const id of [forcedJobId, jobId]) {
+      if (id) {
+        await request(app).delete(`/jobs/${id}`);
+      }
+    }
+  });
+
+  it('transcribes, analyses and coaches an uploaded call without OPENAI_API_KEY', async () => {
+    const upload = await request(app)
+      .post('/process-file')
+      .attach('file', wavBuffer(), 'discovery-call.wav');
+    expect(upload.status).toBe(200);
+    jobId = upload.body.jobId;
+
+    const job = await waitForJob(jobId);
+    expect(job.status).toBe('done');
+    expect(job.resultSummary).toBe(
+      'Automate invoice-to-PO matching so month end closes in one day.'
+    );
+    expect(JSON.parse(job.analysisJson).CLIENT_NAME).toBe('Northwind Supplies');
+    expect(job).toMatchObject({
+      analysisPromptId: 'analysis',
+      analysisPromptVersion: 2,
+      analysisModel: 'gpt-4.1-mini',
+      clientName: 'Northwind Supplies',
+      clientIndustry: 'Wholesale distribution',
+    });
+    expect(job.audio).toEqual({
+      container: 'wav',
+      codec: 'pcm_s16le',
+      durationSeconds: 1,
+      sizeBytes: 16044,
+    });
+
+    const transcript = await request(app).get(`/jobs/${jobId}/transcript`);
+    expect(transcript.status).toBe(200);
+    expect(transcript.body.segments).toHaveLength(8);
+    expect(transcript.body.segments[0].speaker).toBe('rep');
+    expect(transcript.body.segments[1].speaker).toBe('client');
+
+    const coaching = await request(app).post('/postcall-coaching').send({ jobId });
+    expect(coaching.status).toBe(200);
+    expect(coaching.body.coaching.riskLevel).toBe('medium');
+    expect(coaching.body.validation).toMatchObject({ valid: true, repaired: false });
+    expect(coaching.body).toMatchObject({ promptId: 'postcall-coaching', promptVersion: 1 });
+
+    const usage = await request(app).get(`/jobs/${jobId}/usage`);
+    expect(usage.status).toBe(200);
+    expect(usage.body.byFeature.map((entry) => entry.feature).sort()).toEqual([
+      'analysis',
+      'postcall-coaching',
+      'transcription',
+    ]);
+    const coachingEvent = usage.body.events.find((event) => event.feature === 'postcall-coaching');
+    expect(coachingEvent.postcallCoachingId).toBe(coaching.body.id);
+    expect(usage.body.totals).toMatchObject({ calls: 3, audioSeconds: 75, costUsd: 0 });
+    expect(usage.body.totals.totalTokens).toBeGreaterThan(0);
+
+    const report = await request(app).get('/usage').query({ period: 'month' });
+    expect(report.status).toBe(200);
+    expect(report.body.periods).toHaveLength(1);
+    expect(report.body.periods[0].totals.calls).toBe(3);
+
+    const rerun = await request(app).post(`/jobs/${jobId}/reanalyze`).send({ promptVersion: 1 });
+    expect(rerun.status).toBe(200);
+    expect(rerun.body.run).toMatchObject({ promptId: 'analysis', promptVersion: 1 });
+    expect(rerun.body.baseline.promptVersion).toBe(2);
+    expect(rerun.body.comparison).toMatchObject({ identical: true, changed: 0 });
+
+    const unknownVersion = await request(app).post(`/jobs/${jobId}/reanalyze`).send({ promptVersion: 99 });
+    expect(unknownVersion.status).toBe(400);
+  });
+
+  it('answers a re-upload of the same recording with the existing job unless forced', async () => {
+    const again = await request(app)
+      .post('/process-file')
+      .attach('file', wavBuffer(), 'same-call-renamed.wav');
+    expect(again.status).toBe(200);
+    expect(again.body).toEqual({ jobId, duplicateOf: jobId, status: 'done' });
+
+    const forced = await request(app)
+      .post('/process-file?force=true')
+      .attach('file', wavBuffer(), 'same-call-renamed.wav');
+    expect(forced.status).toBe(200);
+    forcedJobId = forced.body.jobId;
+    expect(forcedJobId).not.toBe(jobId);
+    expect(forced.body.duplicateOf).toBe(jobId);
+
+    const forcedJob = await waitForJob(forcedJobId);
+    expect(forcedJob).toMatchObject({ status: 'done', duplicateOf: jobId });
+    expect(forcedJob.contentHash).toMatch(/^[0-9a-f]{64}$/);
+  });
+});